@@ -9,14 +9,288 @@
  * - Resource-level access control (e.g., audit assignments)
  */
 
+/**
+ * Access Policy Expressions
+ * Small declarative condition language for resource-level rules, so they can be
+ * stored in access_control_rules.condition instead of being hard-coded in JS.
+ *
+ * Syntax:
+ * - Paths: user.email, user.role, user.role_level, assignment.auditor_email, resource.*
+ * - Literals: 'text', "text", 42, true, false, null, ['a', 'b']
+ * - Comparisons: ==, !=, >, >=, <, <=, IN
+ * - Logic: AND, OR, NOT (or &&, ||, !) and parentheses
+ *
+ * String comparisons are trimmed and case-insensitive (emails are stored inconsistently).
+ * Unknown paths evaluate to null, so `assignment == null` checks for missing context.
+ *
+ * Example: assignment.auditor_email == user.email OR user.role_level >= 3
+ */
+class AccessPolicy {
+  constructor() {
+    this.cache = new Map()
+  }
+
+  /**
+   * Split an expression into tokens
+   * @param {string} expression - Policy expression
+   * @returns {Array<Object>} Tokens ({ type, value, pos })
+   */
+  tokenize(expression) {
+    const tokens = []
+    let i = 0
+
+    while (i < expression.length) {
+      const char = expression[i]
+
+      if (/\s/.test(char)) {
+        i++
+        continue
+      }
+
+      // String literals
+      if (char === "'" || char === '"') {
+        let j = i + 1
+        let value = ''
+        while (j < expression.length && expression[j] !== char) {
+          if (expression[j] === '\\' && j + 1 < expression.length) j++
+          value += expression[j]
+          j++
+        }
+        if (j >= expression.length) {
+          throw new Error(`Policy syntax error at position ${i}: unterminated string`)
+        }
+        tokens.push({ type: 'literal', value, pos: i })
+        i = j + 1
+        continue
+      }
+
+      // Number literals
+      const numberMatch = /^-?\d+(\.\d+)?/.exec(expression.slice(i))
+      if (numberMatch && (char !== '-' || tokens.length === 0 || tokens[tokens.length - 1].type === 'op')) {
+        tokens.push({ type: 'literal', value: parseFloat(numberMatch[0]), pos: i })
+        i += numberMatch[0].length
+        continue
+      }
+
+      // Operators and punctuation
+      const opMatch = /^(==|!=|>=|<=|&&|\|\||>|<|!|\(|\)|\[|\]|,)/.exec(expression.slice(i))
+      if (opMatch) {
+        const symbolMap = { '&&': 'AND', '||': 'OR', '!': 'NOT' }
+        const value = symbolMap[opMatch[0]] || opMatch[0]
+        const type = ['(', ')', '[', ']', ','].includes(value) ? 'punct' : 'op'
+        tokens.push({ type, value, pos: i })
+        i += opMatch[0].length
+        continue
+      }
+
+      // Keywords and paths
+      const wordMatch = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)*/.exec(expression.slice(i))
+      if (wordMatch) {
+        const word = wordMatch[0]
+        const upper = word.toUpperCase()
+        if (['AND', 'OR', 'NOT', 'IN'].includes(upper)) {
+          tokens.push({ type: 'op', value: upper, pos: i })
+        } else if (['TRUE', 'FALSE', 'NULL'].includes(upper)) {
+          tokens.push({ type: 'literal', value: upper === 'NULL' ? null : upper === 'TRUE', pos: i })
+        } else {
+          tokens.push({ type: 'path', value: word.split('.'), pos: i })
+        }
+        i += word.length
+        continue
+      }
+
+      throw new Error(`Policy syntax error at position ${i}: unexpected character '${char}'`)
+    }
+
+    return tokens
+  }
+
+  /**
+   * Parse an expression into an AST (cached per expression string)
+   * @param {string} expression - Policy expression
+   * @returns {Object} AST node
+   */
+  compile(expression) {
+    if (this.cache.has(expression)) {
+      return this.cache.get(expression)
+    }
+
+    const tokens = this.tokenize(expression)
+    let index = 0
+
+    const peek = () => tokens[index]
+    const isOp = (value) => peek() && peek().type === 'op' && peek().value === value
+    const isPunct = (value) => peek() && peek().type === 'punct' && peek().value === value
+    const fail = (message) => {
+      const pos = peek() ? peek().pos : expression.length
+      throw new Error(`Policy syntax error at position ${pos}: ${message}`)
+    }
+    const expectPunct = (value) => {
+      if (!isPunct(value)) fail(`expected '${value}'`)
+      index++
+    }
+
+    const parseOr = () => {
+      let node = parseAnd()
+      while (isOp('OR')) {
+        index++
+        node = { type: 'or', left: node, right: parseAnd() }
+      }
+      return node
+    }
+
+    const parseAnd = () => {
+      let node = parseNot()
+      while (isOp('AND')) {
+        index++
+        node = { type: 'and', left: node, right: parseNot() }
+      }
+      return node
+    }
+
+    const parseNot = () => {
+      if (isOp('NOT')) {
+        index++
+        return { type: 'not', operand: parseNot() }
+      }
+      return parseComparison()
+    }
+
+    const parseComparison = () => {
+      const left = parsePrimary()
+      const token = peek()
+      if (token && token.type === 'op' && ['==', '!=', '>', '>=', '<', '<=', 'IN'].includes(token.value)) {
+        index++
+        return { type: 'compare', op: token.value, left, right: parsePrimary() }
+      }
+      return left
+    }
+
+    const parsePrimary = () => {
+      const token = peek()
+      if (!token) fail('unexpected end of expression')
+
+      if (isPunct('(')) {
+        index++
+        const node = parseOr()
+        expectPunct(')')
+        return node
+      }
+
+      if (isPunct('[')) {
+        index++
+        const items = []
+        while (!isPunct(']')) {
+          items.push(parsePrimary())
+          if (isPunct(',')) index++
+          else if (!isPunct(']')) fail("expected ',' or ']'")
+        }
+        index++
+        return { type: 'list', items }
+      }
+
+      if (token.type === 'literal') {
+        index++
+        return { type: 'literal', value: token.value }
+      }
+
+      if (token.type === 'path') {
+        index++
+        return { type: 'path', path: token.value }
+      }
+
+      fail(`unexpected '${token.value}'`)
+    }
+
+    const ast = parseOr()
+    if (index < tokens.length) {
+      fail(`unexpected '${peek().value}'`)
+    }
+
+    this.cache.set(expression, ast)
+    return ast
+  }
+
+  /**
+   * Check an expression for syntax errors
+   * @param {string} expression - Policy expression
+   * @returns {Object} { valid: boolean, error?: string }
+   */
+  validate(expression) {
+    try {
+      this.compile(expression)
+      return { valid: true }
+    } catch (error) {
+      return { valid: false, error: error.message }
+    }
+  }
+
+  /**
+   * Evaluate an expression against a scope of variables
+   * @param {string} expression - Policy expression
+   * @param {Object} scope - Variables (e.g., { user, assignment })
+   * @returns {boolean} Result of the expression
+   */
+  evaluate(expression, scope) {
+    return Boolean(this.evaluateNode(this.compile(expression), scope))
+  }
+
+  evaluateNode(node, scope) {
+    switch (node.type) {
+      case 'or':
+        return this.evaluateNode(node.left, scope) || this.evaluateNode(node.right, scope)
+      case 'and':
+        return this.evaluateNode(node.left, scope) && this.evaluateNode(node.right, scope)
+      case 'not':
+        return !this.evaluateNode(node.operand, scope)
+      case 'literal':
+        return node.value
+      case 'list':
+        return node.items.map(item => this.evaluateNode(item, scope))
+      case 'path':
+        // Only own properties are visible, so expressions can't reach prototypes
+        return node.path.reduce((value, key) => (
+          value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key) ? value[key] : null
+        ), scope) ?? null
+      case 'compare':
+        return this.compare(node.op, this.evaluateNode(node.left, scope), this.evaluateNode(node.right, scope))
+      default:
+        throw new Error(`Unknown policy node: ${node.type}`)
+    }
+  }
+
+  compare(op, left, right) {
+    const normalize = (value) => (typeof value === 'string' ? value.toLowerCase().trim() : value)
+
+    switch (op) {
+      case '==':
+        return normalize(left) === normalize(right)
+      case '!=':
+        return normalize(left) !== normalize(right)
+      case 'IN':
+        return Array.isArray(right) && right.map(normalize).includes(normalize(left))
+      default:
+        // Ordering comparisons only make sense for non-null values
+        if (left === null || right === null) return false
+        if (op === '>') return left > right
+        if (op === '>=') return left >= right
+        if (op === '<') return left < right
+        return left <= right
+    }
+  }
+}
+
 class AccessControl {
   constructor() {
     this.STORAGE_KEY = "userInfo"
+    // "View as" state lives in sessionStorage so it is scoped to one tab
+    this.IMPERSONATION_KEY = "impersonation"
     this.rulesLoaded = false
     this.rulesLoadPromise = null
     
     // Define role hierarchy (higher number = higher access level)
-    this.ROLE_HIERARCHY = {
+    // Built-in roles; custom roles from the roles table are merged in by loadRolesFromDatabase()
+    this.DEFAULT_ROLE_HIERARCHY = {
       'Super Admin': 5,
       'Admin': 4,
       'Quality Supervisor': 3,
@@ -24,12 +298,31 @@ class AccessControl {
       'Employee': 1,
       'General User': 0
     }
+    this.ROLE_HIERARCHY = { ...this.DEFAULT_ROLE_HIERARCHY }
+
+    // Per-role permission bundles and sidebar items to hide (menu aria-labels or hrefs)
+    this.DEFAULT_ROLE_DEFINITIONS = {
+      'Employee': {
+        permissions: { pages: [], features: [] },
+        hiddenMenuItems: [
+          "Auditor's Dashboard", 'Create New Audit', 'Audit Distribution', 'Improvement Corner',
+          'Search', 'scorecards.html', 'user-management.html'
+        ]
+      }
+    }
+    this.ROLE_DEFINITIONS = { ...this.DEFAULT_ROLE_DEFINITIONS }
+
+    // Condition shared by the audit pages: employees can only open their own audits,
+    // everyone else only the audits they are the auditor of
+    const OWN_ASSIGNMENT_CONDITION = "assignment == null" +
+      " OR (user.role == 'Employee' AND assignment.employee_email == user.email)" +
+      " OR (user.role != 'Employee' AND assignment.auditor_email == user.email)"
 
     // Define default page access rules (fallback if database not available)
     // Each page can specify:
     // - allowedRoles: Array of roles that can access
     // - minRoleLevel: Minimum role level required (uses hierarchy)
-    // - customCheck: Function for custom access logic
+    // - condition: Policy expression evaluated against the user and page context (see AccessPolicy)
     this.DEFAULT_PAGE_ACCESS_RULES = {
       'home.html': {
         allowedRoles: ['*'] // All authenticated users
@@ -45,41 +338,11 @@ class AccessControl {
       },
       'edit-audit.html': {
         minRoleLevel: 2, // Quality Analyst and above
-        customCheck: (user, context) => {
-          // Additional check: user must be the auditor or the audited employee
-          if (context && context.assignment) {
-            const userEmail = (user.email || '').toLowerCase().trim()
-            const assignmentEmployeeEmail = (context.assignment.employee_email || '').toLowerCase().trim()
-            const assignmentAuditorEmail = (context.assignment.auditor_email || '').toLowerCase().trim()
-            
-            // Employees can only access their own audits
-            if (user.role === 'Employee') {
-              return assignmentEmployeeEmail === userEmail
-            }
-            // Auditors can access audits they're assigned to
-            return assignmentAuditorEmail === userEmail
-          }
-          return true // If no context, allow if role check passes
-        }
+        condition: OWN_ASSIGNMENT_CONDITION
       },
       'audit-form.html': {
         minRoleLevel: 2, // Quality Analyst and above
-        customCheck: (user, context) => {
-          // Additional check: user must be the auditor or the audited employee
-          if (context && context.assignment) {
-            const userEmail = (user.email || '').toLowerCase().trim()
-            const assignmentEmployeeEmail = (context.assignment.employee_email || '').toLowerCase().trim()
-            const assignmentAuditorEmail = (context.assignment.auditor_email || '').toLowerCase().trim()
-            
-            // Employees can only access their own audits
-            if (user.role === 'Employee') {
-              return assignmentEmployeeEmail === userEmail
-            }
-            // Auditors can access audits they're assigned to
-            return assignmentAuditorEmail === userEmail
-          }
-          return true
-        }
+        condition: OWN_ASSIGNMENT_CONDITION
       },
       'audit-view.html': {
         allowedRoles: ['*'] // All authenticated users can view (with resource-level checks)
@@ -151,6 +414,7 @@ class AccessControl {
       },
       'view_all_audits': {
         minRoleLevel: 2
+        // Optional per-role reach, e.g. scopes: { 'Quality Supervisor': 'team', 'Quality Analyst': 'channel' }
       },
       'manage_users': {
         minRoleLevel: 4 // Admin and above
@@ -169,9 +433,47 @@ class AccessControl {
       }
     }
 
+    // Define default resource rules (fallback if database not available)
+    // The resource being checked is available as `resource` (and under its own name, e.g. `assignment`)
+    this.DEFAULT_RESOURCE_RULES = {
+      'audit_assignment': {
+        // Employees: own audits only. Auditors: audits they're assigned to. Quality Analysts and above: all audits
+        condition: "(user.role == 'Employee' AND resource.employee_email == user.email)" +
+          " OR (user.role != 'Employee' AND (resource.auditor_email == user.email OR user.role_level >= 2))",
+        contextName: 'assignment',
+        denyReason: 'You do not have permission to access this audit assignment',
+        // Audits of employees outside the view_all_audits scope are denied unless the user took part in them
+        scope: { feature: 'view_all_audits', field: 'employee_email', exemptFields: ['employee_email', 'auditor_email'] }
+      }
+    }
+
+    this.policy = new AccessPolicy()
+
+    // Grants for these features are logged to access_decision_log (denials are always logged)
+    this.SENSITIVE_FEATURES = ['manage_users', 'delete_audit']
+    this.DECISION_LOG_DEDUPE_MS = 60000
+    this.loggedDecisions = new Map()
+
+    // user_access_rules with this rule_type let a user act as another role (e.g. leave cover)
+    this.ROLE_DELEGATION_RULE_TYPE = 'role'
+    this.roleDelegations = new Map()
+
+    // How far a scoped feature reaches for a role: everything, the user's department or
+    // channel, or their team (everyone below them via users.team_supervisor)
+    this.SCOPE_TYPES = ['all', 'department', 'channel', 'team']
+    this.scopeDirectory = null
+    this.scopeDirectoryPromise = null
+
+    // Realtime subscription that re-applies rules when they change (see startLiveUpdates)
+    this.LIVE_REFRESH_DEBOUNCE_MS = 1000
+    this.liveChannel = null
+    this.liveRefreshTimer = null
+    this.lastEnforcedPage = null
+
     // Initialize with default rules (will be overridden by database rules if available)
     this.PAGE_ACCESS_RULES = { ...this.DEFAULT_PAGE_ACCESS_RULES }
     this.FEATURE_PERMISSIONS = { ...this.DEFAULT_FEATURE_PERMISSIONS }
+    this.RESOURCE_RULES = { ...this.DEFAULT_RESOURCE_RULES }
     
     // Load rules from database (async, non-blocking)
     this.loadRulesFromDatabase()
@@ -196,6 +498,8 @@ class AccessControl {
           return
         }
 
+        await this.loadRolesFromDatabase()
+
         // Load page rules
         const { data: pageRules, error: pageError } = await window.supabaseClient
           .from('access_control_rules')
@@ -208,32 +512,35 @@ class AccessControl {
           // Convert database rules to internal format
           const dbPageRules = {}
           pageRules.forEach(rule => {
-            dbPageRules[rule.resource_name] = {}
+            dbPageRules[rule.resource_name] = { ruleId: rule.id }
             if (rule.allowed_roles) {
               dbPageRules[rule.resource_name].allowedRoles = rule.allowed_roles
             }
             if (rule.min_role_level !== null && rule.min_role_level !== undefined) {
               dbPageRules[rule.resource_name].minRoleLevel = rule.min_role_level
             }
-            // Note: customCheck functions cannot be stored in database, use defaults for those
+            if (rule.condition) {
+              dbPageRules[rule.resource_name].condition = rule.condition
+            }
             console.log(`[AccessControl] Processed rule for ${rule.resource_name}:`, {
               allowedRoles: rule.allowed_roles,
               minRoleLevel: rule.min_role_level,
+              condition: rule.condition,
               is_active: rule.is_active
             })
           })
 
-          // Merge database rules with defaults (database takes precedence, but keep customCheck from defaults)
+          // Merge database rules with defaults (database takes precedence, default condition used if none stored)
           Object.keys(this.DEFAULT_PAGE_ACCESS_RULES).forEach(pageName => {
             const defaultRule = this.DEFAULT_PAGE_ACCESS_RULES[pageName]
             const dbRule = dbPageRules[pageName]
             
             if (dbRule) {
-              // Use database rule but preserve customCheck from default if it exists
+              // Use database rule but fall back to the default condition if the row has none
               // If allowedRoles is present, clear minRoleLevel to avoid conflicts
               const mergedRule = {
                 ...dbRule,
-                customCheck: defaultRule.customCheck // Preserve custom check functions
+                condition: dbRule.condition || defaultRule.condition
               }
               
               // If allowedRoles is set, explicitly clear minRoleLevel
@@ -278,13 +585,19 @@ class AccessControl {
           // Convert database rules to internal format
           const dbFeatureRules = {}
           featureRules.forEach(rule => {
-            dbFeatureRules[rule.resource_name] = {}
+            dbFeatureRules[rule.resource_name] = { ruleId: rule.id }
             if (rule.allowed_roles) {
               dbFeatureRules[rule.resource_name].allowedRoles = rule.allowed_roles
             }
             if (rule.min_role_level !== null && rule.min_role_level !== undefined) {
               dbFeatureRules[rule.resource_name].minRoleLevel = rule.min_role_level
             }
+            if (rule.condition) {
+              dbFeatureRules[rule.resource_name].condition = rule.condition
+            }
+            if (rule.scopes) {
+              dbFeatureRules[rule.resource_name].scopes = rule.scopes
+            }
           })
 
           // Merge database rules with defaults
@@ -307,12 +620,46 @@ class AccessControl {
           })
         }
 
+        // Load resource rules (policy conditions for records such as audit assignments)
+        const { data: resourceRules, error: resourceError } = await window.supabaseClient
+          .from('access_control_rules')
+          .select('*')
+          .eq('rule_type', 'resource')
+          .eq('is_active', true)
+
+        if (!resourceError && resourceRules) {
+          this.RESOURCE_RULES = { ...this.DEFAULT_RESOURCE_RULES }
+          resourceRules.forEach(rule => {
+            if (!rule.condition) return
+            this.RESOURCE_RULES[rule.resource_name] = {
+              ...this.DEFAULT_RESOURCE_RULES[rule.resource_name],
+              ruleId: rule.id,
+              condition: rule.condition
+            }
+          })
+        }
+
+        // Preload the current user's delegations so synchronous resource checks can use them
+        const currentUser = this.getCurrentUser()
+        if (currentUser && currentUser.email) {
+          await this.loadRoleDelegations(currentUser.email)
+        }
+
+        // Same for the user directory when any feature is scoped
+        if (currentUser && Object.values(this.FEATURE_PERMISSIONS).some(permission => permission.scopes)) {
+          await this.loadScopeDirectory()
+        }
+
         this.rulesLoaded = true
+        this.startLiveUpdates()
       } catch (error) {
         console.warn('Error loading access control rules from database, using defaults:', error)
         // Use default rules on error
         this.PAGE_ACCESS_RULES = { ...this.DEFAULT_PAGE_ACCESS_RULES }
         this.FEATURE_PERMISSIONS = { ...this.DEFAULT_FEATURE_PERMISSIONS }
+        this.RESOURCE_RULES = { ...this.DEFAULT_RESOURCE_RULES }
+        this.ROLE_HIERARCHY = { ...this.DEFAULT_ROLE_HIERARCHY }
+        this.ROLE_DEFINITIONS = { ...this.DEFAULT_ROLE_DEFINITIONS }
         this.rulesLoaded = true
       } finally {
         this.rulesLoadPromise = null
@@ -322,20 +669,158 @@ class AccessControl {
     return this.rulesLoadPromise
   }
 
+  /**
+   * Load role definitions (level, permission bundle, hidden menu items) from the roles table
+   * Built-in roles keep their defaults unless the table overrides them
+   */
+  async loadRolesFromDatabase() {
+    const { data: roles, error } = await window.supabaseClient
+      .from('roles')
+      .select('*')
+      .eq('is_active', true)
+
+    if (error || !roles) {
+      if (error) console.warn('[AccessControl] Could not load roles, using built-in roles:', error)
+      return
+    }
+
+    const hierarchy = { ...this.DEFAULT_ROLE_HIERARCHY }
+    const definitions = { ...this.DEFAULT_ROLE_DEFINITIONS }
+    roles.forEach(role => {
+      hierarchy[role.name] = role.level
+      definitions[role.name] = {
+        description: role.description || '',
+        permissions: {
+          pages: (role.permissions && role.permissions.pages) || [],
+          features: (role.permissions && role.permissions.features) || []
+        },
+        hiddenMenuItems: role.hidden_menu_items || []
+      }
+    })
+
+    this.ROLE_HIERARCHY = hierarchy
+    this.ROLE_DEFINITIONS = definitions
+  }
+
+  /**
+   * Get the sidebar menu items a role should not see
+   * @param {string} role - Role name
+   * @returns {Array<string>} Menu aria-labels or hrefs
+   */
+  getHiddenMenuItems(role) {
+    const definition = this.ROLE_DEFINITIONS[role]
+    return definition ? definition.hiddenMenuItems || [] : []
+  }
+
+  /**
+   * Check whether a role's permission bundle grants a page or feature outright
+   * @returns {boolean} True if the bundle lists the resource
+   */
+  checkRoleBundleStep(user, resourceType, resourceName, trace) {
+    const definition = this.ROLE_DEFINITIONS[user.role]
+    const bundle = definition && definition.permissions
+      ? definition.permissions[resourceType === 'page' ? 'pages' : 'features'] || []
+      : []
+
+    if (bundle.includes(resourceName)) {
+      this.traceStep(trace, 'Role bundle', 'pass', `Granted by the '${user.role}' role's permission bundle`)
+      return true
+    }
+    return false
+  }
+
   /**
    * Refresh rules from database (useful after admin updates)
    */
   async refreshRules() {
     this.rulesLoaded = false
     this.rulesLoadPromise = null
+    this.roleDelegations.clear()
+    this.scopeDirectory = null
+    this.scopeDirectoryPromise = null
     return this.loadRulesFromDatabase()
   }
 
+  /**
+   * Subscribe to rule, role and user-rule changes so open tabs apply them within seconds
+   * Safe to call repeatedly; only one channel is opened per page.
+   */
+  startLiveUpdates() {
+    if (this.liveChannel || !window.supabaseClient || typeof window.supabaseClient.channel !== 'function') {
+      return
+    }
+
+    const user = this.getCurrentUser()
+    if (!user || !user.email) return
+
+    const userEmail = user.email.toLowerCase()
+    const onRuleChange = () => this.scheduleLiveRefresh()
+    // Delete events can't be filtered server-side, so user rules are filtered here
+    // (a delete without the old row's user_email is treated as relevant)
+    const onUserRuleChange = (payload) => {
+      const row = payload.new && payload.new.user_email ? payload.new : payload.old
+      if (!row || !row.user_email || row.user_email.toLowerCase() === userEmail) {
+        this.scheduleLiveRefresh()
+      }
+    }
+
+    this.liveChannel = window.supabaseClient
+      .channel(`access-control-${userEmail}`)
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'access_control_rules' }, onRuleChange)
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'roles' }, onRuleChange)
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'user_access_rules' }, onUserRuleChange)
+      .subscribe((status) => {
+        if (status === 'SUBSCRIBED') {
+          console.log('[AccessControl] Listening for access rule changes')
+        } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+          console.warn('[AccessControl] Live rule updates unavailable:', status)
+        }
+      })
+  }
+
+  /**
+   * Debounce bursts of changes (e.g. a bulk rule edit) into one refresh
+   */
+  scheduleLiveRefresh() {
+    clearTimeout(this.liveRefreshTimer)
+    this.liveRefreshTimer = setTimeout(() => {
+      this.applyPermissionChanges().catch(error => {
+        console.warn('[AccessControl] Failed to apply permission changes:', error)
+      })
+    }, this.LIVE_REFRESH_DEBOUNCE_MS)
+  }
+
+  /**
+   * Reload rules and re-check the current page with the arguments it was enforced with
+   * Pages can listen for the 'accessRulesChanged' event to re-check features.
+   */
+  async applyPermissionChanges() {
+    await this.refreshRules()
+    document.dispatchEvent(new CustomEvent('accessRulesChanged'))
+
+    if (this.lastEnforcedPage) {
+      const { pageName, context, redirectTo } = this.lastEnforcedPage
+      await this.enforcePageAccess(pageName, context, redirectTo)
+    }
+  }
+
   /**
    * Get current user info from localStorage
    * @returns {Object|null} User info or null
    */
   getCurrentUser() {
+    const impersonation = this.getImpersonation()
+    if (impersonation) {
+      return impersonation.user
+    }
+    return this.getRealUser()
+  }
+
+  /**
+   * Get the signed-in user, ignoring any "view as" impersonation
+   * @returns {Object|null} User info or null
+   */
+  getRealUser() {
     try {
       const userInfo = localStorage.getItem(this.STORAGE_KEY)
       if (!userInfo) return null
@@ -347,6 +832,142 @@ class AccessControl {
     }
   }
 
+  /**
+   * Get the active "view as" session, if any
+   * Only honoured while the signed-in user is the Super Admin who started it
+   * @returns {Object|null} { user, impersonator_email, started_at } or null
+   */
+  getImpersonation() {
+    try {
+      const stored = sessionStorage.getItem(this.IMPERSONATION_KEY)
+      if (!stored) return null
+
+      const impersonation = JSON.parse(stored)
+      const realUser = this.getRealUser()
+      if (!realUser || realUser.role !== 'Super Admin' ||
+          (realUser.email || '').toLowerCase() !== (impersonation.impersonator_email || '').toLowerCase()) {
+        sessionStorage.removeItem(this.IMPERSONATION_KEY)
+        return null
+      }
+      return impersonation
+    } catch (error) {
+      console.error('Error reading impersonation state:', error)
+      return null
+    }
+  }
+
+  /**
+   * Check if the tab is in "view as" mode
+   * @returns {boolean} True while impersonating
+   */
+  isImpersonating() {
+    return this.getImpersonation() !== null
+  }
+
+  /**
+   * Start viewing the app as another user or as a role (Super Admins only)
+   * Everything that uses getCurrentUser() - page guards, the sidebar, data filters - follows;
+   * writes through SupabaseDB are blocked until stopImpersonation() is called.
+   * @param {Object} target - { email } to view as a real user, or { role } for a role preview
+   * @returns {Object} The user being viewed as
+   */
+  async startImpersonation(target) {
+    const realUser = this.getRealUser()
+    if (!realUser || realUser.role !== 'Super Admin') {
+      throw new Error('Only Super Admins can view the app as another user')
+    }
+
+    let user
+    if (target && target.email) {
+      const { data, error } = await window.supabaseClient
+        .from('users')
+        .select('email, name, role, department, channel, team_supervisor, designation, employee_id, avatar_url, is_active')
+        .eq('email', target.email)
+        .maybeSingle()
+
+      if (error) throw error
+      if (!data) throw new Error(`User not found: ${target.email}`)
+      user = { ...data, id: data.email, avatar: data.avatar_url, provider: realUser.provider }
+    } else if (target && target.role && this.ROLE_HIERARCHY[target.role] !== undefined) {
+      // Role preview: a synthetic user that owns no data (.invalid never resolves)
+      const slug = target.role.toLowerCase().replace(/[^a-z0-9]+/g, '-')
+      user = {
+        id: `preview+${slug}@view-as.invalid`,
+        email: `preview+${slug}@view-as.invalid`,
+        name: `${target.role} (preview)`,
+        role: target.role,
+        department: realUser.department,
+        is_active: true,
+        provider: realUser.provider
+      }
+    } else {
+      throw new Error('Choose a user or a role to view as')
+    }
+
+    sessionStorage.setItem(this.IMPERSONATION_KEY, JSON.stringify({
+      user,
+      target_type: target.email ? 'user' : 'role',
+      impersonator_email: realUser.email,
+      started_at: new Date().toISOString()
+    }))
+    this.roleDelegations.clear()
+
+    await this.logImpersonation('start')
+    return user
+  }
+
+  /**
+   * Leave "view as" mode
+   */
+  async stopImpersonation() {
+    if (!this.isImpersonating()) return
+    await this.logImpersonation('stop')
+    sessionStorage.removeItem(this.IMPERSONATION_KEY)
+    this.roleDelegations.clear()
+  }
+
+  /**
+   * Throw if writes are not allowed because the tab is in "view as" mode
+   * Called by SupabaseDB.insert/update/delete
+   * @param {string} tableName - Table being written
+   * @param {string} operation - 'insert', 'update' or 'delete'
+   */
+  assertWritable(tableName, operation) {
+    if (!this.isImpersonating()) return
+
+    this.logImpersonation('blocked_write', { table: tableName, operation })
+    const error = new Error(`Read-only while viewing as another user: ${operation} on ${tableName} was blocked`)
+    error.code = 'impersonation_read_only'
+    throw error
+  }
+
+  /**
+   * Record a "view as" event in impersonation_log (non-blocking on failure)
+   * @param {string} action - 'start', 'stop' or 'blocked_write'
+   * @param {Object} detail - Extra information (e.g. the blocked table)
+   */
+  async logImpersonation(action, detail = null) {
+    const impersonation = this.getImpersonation()
+    if (!impersonation || !window.supabaseClient) return
+
+    try {
+      const { error } = await window.supabaseClient
+        .from('impersonation_log')
+        .insert({
+          impersonator_email: impersonation.impersonator_email,
+          target_type: impersonation.target_type,
+          target_email: impersonation.target_type === 'user' ? impersonation.user.email : null,
+          target_role: impersonation.user.role,
+          action,
+          detail,
+          page_url: window.location ? window.location.pathname : null
+        })
+      if (error) console.warn('[AccessControl] Failed to log impersonation:', error)
+    } catch (error) {
+      console.warn('[AccessControl] Failed to log impersonation:', error)
+    }
+  }
+
   /**
    * Get role level for a given role
    * @param {string} role - Role name
@@ -389,12 +1010,53 @@ class AccessControl {
     return allowedRoles.includes(user.role)
   }
 
+  /**
+   * Evaluate a policy condition for a user
+   * Fails closed: a condition that cannot be parsed or evaluated denies access
+   * @param {string} condition - Policy expression (see AccessPolicy)
+   * @param {Object} user - User object
+   * @param {Object} context - Extra variables exposed to the expression (e.g., { assignment })
+   * @returns {Object} { allowed: boolean, error?: string }
+   */
+  evaluateCondition(condition, user, context = null) {
+    const scope = {
+      ...(context || {}),
+      user: {
+        ...user,
+        role_level: this.getRoleLevel(user.role)
+      }
+    }
+
+    try {
+      return { allowed: this.policy.evaluate(condition, scope) }
+    } catch (error) {
+      console.error(`[AccessControl] Error evaluating condition "${condition}":`, error)
+      return { allowed: false, error: error.message }
+    }
+  }
+
+  /**
+   * Check whether a user_access_rules row is within its validity window
+   * Rules without valid_from/valid_until are permanent
+   * @param {Object} rule - Rule with optional valid_from / valid_until
+   * @param {Date} now - Point in time to check (defaults to now)
+   * @returns {boolean} True if the rule currently applies
+   */
+  isRuleInEffect(rule, now = new Date()) {
+    if (!rule) return false
+    if (rule.valid_from && new Date(rule.valid_from) > now) return false
+    if (rule.valid_until && new Date(rule.valid_until) <= now) return false
+    return true
+  }
+
   /**
    * Check user-specific access rules from database
+   * Rules outside their valid_from/valid_until window are ignored, so expired grants
+   * stop applying without anyone having to deactivate them.
    * @param {string} userEmail - User email
    * @param {string} resourceName - Resource name (page or feature)
    * @param {string} resourceType - 'page' or 'feature'
-   * @returns {Object|null} { access_type: 'allow'|'deny', is_active: boolean } or null if no rule
+   * @returns {Object|null} { access_type: 'allow'|'deny', is_active, valid_from, valid_until, delegated_by } or null if no rule
    */
   async checkUserSpecificRule(userEmail, resourceName, resourceType) {
     try {
@@ -404,21 +1066,20 @@ class AccessControl {
 
       const { data, error } = await window.supabaseClient
         .from('user_access_rules')
-        .select('access_type, is_active')
+        .select('access_type, is_active, valid_from, valid_until, delegated_by')
         .eq('user_email', userEmail)
         .eq('rule_type', resourceType)
         .eq('resource_name', resourceName)
         .eq('is_active', true)
         .order('created_at', { ascending: false })
-        .limit(1)
-        .maybeSingle()
 
-      if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
+      if (error) {
         console.warn('Error checking user-specific rule:', error)
         return null
       }
 
-      return data || null
+      const now = new Date()
+      return (data || []).find(rule => this.isRuleInEffect(rule, now)) || null
     } catch (error) {
       console.warn('Exception checking user-specific rule:', error)
       return null
@@ -426,40 +1087,344 @@ class AccessControl {
   }
 
   /**
-   * Check if user can access a page
-   * @param {string} pageName - Name of the page (e.g., 'audit-distribution.html')
-   * @param {Object} context - Optional context object for custom checks (e.g., { assignment: {...} })
-   * @returns {Object} { allowed: boolean, reason?: string }
+   * Load a user's role delegations ("act as Quality Supervisor until ...") into the cache
+   * @param {string} userEmail - User email
+   * @returns {Array} Active delegation rules (validity is checked when they are applied)
    */
-  async canAccessPage(pageName, context = null) {
-    const user = this.getCurrentUser()
-    
-    if (!user) {
-      return {
-        allowed: false,
-        reason: 'User not authenticated'
+  async loadRoleDelegations(userEmail) {
+    if (this.roleDelegations.has(userEmail)) {
+      return this.roleDelegations.get(userEmail)
+    }
+
+    let delegations = []
+    try {
+      if (window.supabaseClient) {
+        const { data, error } = await window.supabaseClient
+          .from('user_access_rules')
+          .select('id, resource_name, valid_from, valid_until, delegated_by')
+          .eq('user_email', userEmail)
+          .eq('rule_type', this.ROLE_DELEGATION_RULE_TYPE)
+          .eq('access_type', 'allow')
+          .eq('is_active', true)
+
+        if (error) {
+          console.warn('Error loading role delegations:', error)
+        } else {
+          delegations = data || []
+        }
       }
+    } catch (error) {
+      console.warn('Exception loading role delegations:', error)
     }
 
-    // Check if user is active
-    if (user.is_active === false) {
-      return {
-        allowed: false,
-        reason: 'User account is inactive'
+    this.roleDelegations.set(userEmail, delegations)
+    return delegations
+  }
+
+  /**
+   * Find the highest delegated role currently in effect for a user (from the cache)
+   * Delegations never lower a user's own role.
+   * @param {Object} user - User object with email and role
+   * @returns {Object|null} The delegation rule, or null if none applies
+   */
+  getActiveRoleDelegation(user) {
+    if (!user || !user.email) return null
+
+    const now = new Date()
+    let best = null
+    for (const delegation of this.roleDelegations.get(user.email) || []) {
+      if (!this.isRuleInEffect(delegation, now)) continue
+      const level = this.getRoleLevel(delegation.resource_name)
+      if (level <= this.getRoleLevel(user.role)) continue
+      if (!best || level > this.getRoleLevel(best.resource_name)) {
+        best = delegation
       }
     }
+    return best
+  }
 
-    // First check user-specific rules (highest priority)
-    const userRule = await this.checkUserSpecificRule(user.email, pageName, 'page')
-    if (userRule) {
-      console.log(`[AccessControl] User-specific rule found for ${user.email} on ${pageName}:`, userRule)
-      return {
-        allowed: userRule.access_type === 'allow',
-        reason: userRule.access_type === 'allow' 
-          ? 'Access granted via user-specific rule' 
-          : 'Access denied via user-specific rule'
+  /**
+   * Return the user as seen by role-based checks, with any active delegated role applied
+   * @param {Object} user - User object
+   * @param {Array|null} trace - Trace being built
+   * @returns {Object} The user, or a copy acting as the delegated role (original kept in delegated_from_role)
+   */
+  applyRoleDelegation(user, trace) {
+    const delegation = this.getActiveRoleDelegation(user)
+    if (!delegation) {
+      this.traceStep(trace, 'Role delegation', 'skip', 'No active role delegation')
+      return user
+    }
+
+    const until = delegation.valid_until ? ` until ${new Date(delegation.valid_until).toLocaleString()}` : ''
+    const by = delegation.delegated_by ? ` for ${delegation.delegated_by}` : ''
+    this.traceStep(trace, 'Role delegation', 'pass', `Acting as ${delegation.resource_name}${by}${until}`)
+    return { ...user, role: delegation.resource_name, delegated_from_role: user.role }
+  }
+
+  /**
+   * Get the scope type a feature has for a user's role
+   * @param {string} featureName - Feature whose scopes apply (e.g. 'view_all_audits')
+   * @param {Object} user - User object with role
+   * @returns {string} One of SCOPE_TYPES ('all' when the feature is not scoped for the role)
+   */
+  getScopeType(featureName, user) {
+    const permission = this.FEATURE_PERMISSIONS[featureName]
+    const scopes = permission && permission.scopes
+    if (!scopes || !user) return 'all'
+
+    const type = scopes[user.role] || scopes['*'] || 'all'
+    return this.SCOPE_TYPES.includes(type) ? type : 'all'
+  }
+
+  /**
+   * Load the user directory (department, channel, team_supervisor) used to resolve scopes
+   * @returns {Array|null} Users, or null if the directory could not be loaded
+   */
+  async loadScopeDirectory() {
+    if (this.scopeDirectoryPromise) {
+      return this.scopeDirectoryPromise
+    }
+
+    this.scopeDirectoryPromise = (async () => {
+      try {
+        if (!window.supabaseClient) return null
+
+        const { data, error } = await window.supabaseClient
+          .from('users')
+          .select('email, department, channel, team_supervisor')
+
+        if (error) {
+          console.warn('Error loading user directory for scopes:', error)
+          return null
+        }
+        return data || []
+      } catch (error) {
+        console.warn('Exception loading user directory for scopes:', error)
+        return null
+      }
+    })().then(directory => {
+      this.scopeDirectory = directory
+      // Allow a retry on the next call if loading failed
+      if (!directory) this.scopeDirectoryPromise = null
+      return directory
+    })
+
+    return this.scopeDirectoryPromise
+  }
+
+  /**
+   * Resolve a scope type to the set of user emails it covers
+   * @param {string} type - Scope type
+   * @param {Object} user - User the scope is relative to
+   * @param {Array|null} directory - User directory from loadScopeDirectory()
+   * @returns {Object|null} { type, value, emails: Set|null } (emails null = unrestricted), or null if unresolvable
+   */
+  buildScope(type, user, directory) {
+    if (type === 'all') return { type, value: null, emails: null }
+    if (!directory || !user) return null
+
+    const normalize = email => (email || '').toLowerCase().trim()
+    const userEmail = normalize(user.email)
+    // The cached userInfo may predate department/channel changes, so prefer the directory row
+    const self = directory.find(entry => normalize(entry.email) === userEmail) || user
+    let members = []
+
+    if (type === 'department' || type === 'channel') {
+      const value = self[type]
+      if (value) {
+        members = directory.filter(entry => entry[type] === value).map(entry => normalize(entry.email))
       }
+      const emails = new Set(members)
+      emails.add(userEmail)
+      return { type, value: value || null, emails }
+    }
+
+    // team: walk team_supervisor links down from the user
+    const reports = new Map()
+    directory.forEach(entry => {
+      const supervisor = normalize(entry.team_supervisor)
+      if (!supervisor) return
+      if (!reports.has(supervisor)) reports.set(supervisor, [])
+      reports.get(supervisor).push(normalize(entry.email))
+    })
+
+    const emails = new Set([userEmail])
+    const queue = [userEmail]
+    while (queue.length > 0) {
+      (reports.get(queue.shift()) || []).forEach(email => {
+        if (!emails.has(email)) {
+          emails.add(email)
+          queue.push(email)
+        }
+      })
     }
+    return { type, value: userEmail, emails }
+  }
+
+  /**
+   * Get the current user's scope for a feature (role delegations applied)
+   * @param {string} featureName - Feature whose scopes apply (e.g. 'view_all_audits')
+   * @param {Object} user - User (defaults to the current user)
+   * @returns {Object|null} { type, value, emails } or null if it could not be resolved
+   */
+  async getAccessScope(featureName, user = this.getCurrentUser()) {
+    if (!user) return null
+
+    await this.loadRoleDelegations(user.email)
+    const effectiveUser = this.applyRoleDelegation(user, null)
+    const type = this.getScopeType(featureName, effectiveUser)
+    if (type === 'all') return this.buildScope(type, effectiveUser, null)
+
+    return this.buildScope(type, effectiveUser, await this.loadScopeDirectory())
+  }
+
+  /**
+   * Emails whose records the current user may see through a scoped feature
+   * Use to filter queries, e.g. query.in('employee_email', emails)
+   * @param {string} featureName - Feature whose scopes apply (e.g. 'view_all_audits')
+   * @returns {Array<string>|null} Emails, or null when unrestricted (fails closed to [])
+   */
+  async getScopedEmails(featureName) {
+    const scope = await this.getAccessScope(featureName)
+    if (!scope) return []
+    return scope.emails ? [...scope.emails] : null
+  }
+
+  /**
+   * Append a step to an evaluation trace (no-op when not tracing)
+   * @param {Array|null} trace - Trace being built
+   * @param {string} step - Step name
+   * @param {string} outcome - 'pass', 'fail' or 'skip'
+   * @param {string} detail - Human-readable explanation
+   */
+  traceStep(trace, step, outcome, detail) {
+    if (trace) {
+      trace.push({ step, outcome, detail })
+    }
+  }
+
+  /**
+   * Checks shared by every decision: authenticated and active
+   * @returns {Object|null} Denial decision, or null if the user may proceed
+   */
+  checkUserStatus(user, trace) {
+    if (!user) {
+      this.traceStep(trace, 'Authentication', 'fail', 'No authenticated user')
+      return { allowed: false, reason: 'User not authenticated', matchedRule: null }
+    }
+    this.traceStep(trace, 'Authentication', 'pass', `Authenticated as ${user.email} (${user.role || 'no role'})`)
+
+    if (user.is_active === false) {
+      this.traceStep(trace, 'Account status', 'fail', 'Account is inactive')
+      return { allowed: false, reason: 'User account is inactive', matchedRule: null }
+    }
+    this.traceStep(trace, 'Account status', 'pass', 'Account is active')
+    return null
+  }
+
+  /**
+   * Apply a user-specific rule if one exists
+   * @returns {Object|null} Decision from the user rule, or null if there is none
+   */
+  async checkUserRuleStep(user, resourceName, resourceType, trace) {
+    const userRule = await this.checkUserSpecificRule(user.email, resourceName, resourceType)
+    if (!userRule) {
+      this.traceStep(trace, 'User-specific rule', 'skip', 'No user-specific rule')
+      return null
+    }
+
+    const allowed = userRule.access_type === 'allow'
+    this.traceStep(trace, 'User-specific rule', allowed ? 'pass' : 'fail', `User-specific '${userRule.access_type}' rule matched`)
+    return {
+      allowed,
+      reason: allowed ? 'Access granted via user-specific rule' : 'Access denied via user-specific rule',
+      matchedRule: { source: 'user_access_rules', rule_type: resourceType, resource_name: resourceName, access_type: userRule.access_type }
+    }
+  }
+
+  /**
+   * Evaluate a rule's condition and record it in the trace
+   * @returns {Object|null} Denial decision, or null if the condition passed (or there is none)
+   */
+  checkConditionStep(rule, user, context, trace, matchedRule, denyReason = 'Access condition not met') {
+    if (!rule.condition) {
+      this.traceStep(trace, 'Condition', 'skip', 'No condition on rule')
+      return null
+    }
+
+    const conditionResult = this.evaluateCondition(rule.condition, user, context)
+    if (conditionResult.allowed) {
+      this.traceStep(trace, 'Condition', 'pass', `${rule.condition} → true`)
+      return null
+    }
+
+    this.traceStep(trace, 'Condition', 'fail', conditionResult.error
+      ? `${rule.condition} → error: ${conditionResult.error}`
+      : `${rule.condition} → false`)
+    return {
+      allowed: false,
+      reason: conditionResult.error ? 'Error in access check' : denyReason,
+      matchedRule
+    }
+  }
+
+  /**
+   * Check that a resource falls within the user's scope for the rule's scoped feature
+   * Synchronous: uses the directory preloaded by loadRulesFromDatabase()
+   * @returns {Object|null} Denial decision, or null if the resource is in scope
+   */
+  checkScopeStep(rule, user, resource, trace, matchedRule) {
+    if (!rule.scope) return null
+
+    const type = this.getScopeType(rule.scope.feature, user)
+    if (type === 'all') {
+      this.traceStep(trace, 'Scope', 'skip', `'${rule.scope.feature}' is not scoped for ${user.role}`)
+      return null
+    }
+
+    const normalize = email => (email || '').toLowerCase().trim()
+    const userEmail = normalize(user.email)
+    const exemptField = (rule.scope.exemptFields || []).find(field => normalize(resource[field]) === userEmail)
+    if (exemptField) {
+      this.traceStep(trace, 'Scope', 'pass', `User is the ${exemptField.replace(/_email$/, '')} on this record`)
+      return null
+    }
+
+    const scope = this.buildScope(type, user, this.scopeDirectory)
+    if (!scope) {
+      this.traceStep(trace, 'Scope', 'fail', 'User directory not loaded, cannot resolve scope')
+      return { allowed: false, reason: 'Unable to verify access scope', matchedRule }
+    }
+
+    const subject = normalize(resource[rule.scope.field])
+    const scopeText = scope.value ? `${type} '${scope.value}'` : type
+    if (scope.emails.has(subject)) {
+      this.traceStep(trace, 'Scope', 'pass', `${subject} is within ${scopeText}`)
+      return null
+    }
+
+    this.traceStep(trace, 'Scope', 'fail', `${subject || 'Record'} is outside ${scopeText}`)
+    return { allowed: false, reason: `This record is outside your ${type}`, matchedRule }
+  }
+
+  /**
+   * Evaluate page access for a user
+   * @returns {Object} { allowed, reason?, matchedRule }
+   */
+  async evaluatePageAccess(user, pageName, context = null, trace = null) {
+    const statusDenial = this.checkUserStatus(user, trace)
+    if (statusDenial) return statusDenial
+
+    // First check user-specific rules (highest priority)
+    const userDecision = await this.checkUserRuleStep(user, pageName, 'page', trace)
+    if (userDecision) {
+      console.log(`[AccessControl] User-specific rule found for ${user.email} on ${pageName}:`, userDecision.matchedRule)
+      return userDecision
+    }
+
+    await this.loadRoleDelegations(user.email)
+    user = this.applyRoleDelegation(user, trace)
 
     // No user-specific rule, check role-based rules
     // Get access rule for this page
@@ -467,24 +1432,36 @@ class AccessControl {
     
     console.log(`[AccessControl] Checking access for ${user.email} (${user.role}) to ${pageName}:`, rule)
     
+    const grantedByRole = this.checkRoleBundleStep(user, 'page', pageName, trace)
+
     if (!rule) {
       // No rule defined - default to allowing access (fail open for backward compatibility)
       console.warn(`No access rule defined for page: ${pageName}`)
+      this.traceStep(trace, 'Page rule', 'pass', 'No rule defined for this page (allowed by default)')
       return {
         allowed: true,
-        reason: 'No access rule defined'
+        reason: 'No access rule defined',
+        matchedRule: null
       }
     }
 
-    // Check allowedRoles first - if present and user matches, allow access (unless customCheck overrides)
-    if (rule.allowedRoles) {
+    const matchedRule = { rule_type: 'page', resource_name: pageName, ...this.describeRule(rule) }
+
+    // Check allowedRoles first - if present and user matches, allow access (unless condition overrides)
+    if (grantedByRole) {
+      // Role bundle grants the page; only the condition still applies
+    } else if (rule.allowedRoles) {
+      const rolesText = Array.isArray(rule.allowedRoles) ? rule.allowedRoles.join(', ') : rule.allowedRoles
       if (this.hasAllowedRole(user, rule.allowedRoles)) {
-        // User matches allowedRoles - allow access (but still run customCheck if present)
+        // User matches allowedRoles - allow access (but still evaluate condition if present)
         // Skip minRoleLevel check since allowedRoles takes precedence
+        this.traceStep(trace, 'Allowed roles', 'pass', `Role '${user.role}' is in [${rolesText}]`)
       } else {
+        this.traceStep(trace, 'Allowed roles', 'fail', `Role '${user.role}' is not in [${rolesText}]`)
         return {
           allowed: false,
-          reason: `Role '${user.role}' is not allowed. Required: ${Array.isArray(rule.allowedRoles) ? rule.allowedRoles.join(', ') : rule.allowedRoles}`
+          reason: `Role '${user.role}' is not allowed. Required: ${rolesText}`,
+          matchedRule
         }
       }
     } else {
@@ -494,178 +1471,284 @@ class AccessControl {
           const requiredRole = Object.keys(this.ROLE_HIERARCHY).find(
             role => this.ROLE_HIERARCHY[role] === rule.minRoleLevel
           )
+          this.traceStep(trace, 'Minimum role level', 'fail', `Level ${this.getRoleLevel(user.role)} is below required level ${rule.minRoleLevel}`)
           return {
             allowed: false,
-            reason: `Insufficient role level. Required: ${requiredRole || `Level ${rule.minRoleLevel}`} or above`
+            reason: `Insufficient role level. Required: ${requiredRole || `Level ${rule.minRoleLevel}`} or above`,
+            matchedRule
           }
         }
+        this.traceStep(trace, 'Minimum role level', 'pass', `Level ${this.getRoleLevel(user.role)} meets required level ${rule.minRoleLevel}`)
       }
     }
 
-    // Run custom check if provided
-    if (rule.customCheck && typeof rule.customCheck === 'function') {
-      try {
-        const customResult = rule.customCheck(user, context)
-        if (!customResult) {
-          return {
-            allowed: false,
-            reason: 'Custom access check failed'
-          }
-        }
-      } catch (error) {
-        console.error('Error in custom access check:', error)
-        return {
-          allowed: false,
-          reason: 'Error in access check'
-        }
-      }
-    }
+    // Evaluate policy condition if provided
+    const conditionDenial = this.checkConditionStep(rule, user, context, trace, matchedRule)
+    if (conditionDenial) return conditionDenial
 
     return {
-      allowed: true
+      allowed: true,
+      matchedRule
     }
   }
 
   /**
-   * Check if user can access a feature
-   * @param {string} featureName - Name of the feature
-   * @returns {Object} { allowed: boolean, reason?: string }
+   * Evaluate feature access for a user
+   * @returns {Object} { allowed, reason?, matchedRule }
    */
-  async canAccessFeature(featureName) {
-    const user = this.getCurrentUser()
-    
-    if (!user) {
-      return {
-        allowed: false,
-        reason: 'User not authenticated'
-      }
-    }
-
-    if (user.is_active === false) {
-      return {
-        allowed: false,
-        reason: 'User account is inactive'
-      }
-    }
+  async evaluateFeatureAccess(user, featureName, context = null, trace = null) {
+    const statusDenial = this.checkUserStatus(user, trace)
+    if (statusDenial) return statusDenial
 
     // First check user-specific rules (highest priority)
-    const userRule = await this.checkUserSpecificRule(user.email, featureName, 'feature')
-    if (userRule) {
-      return {
-        allowed: userRule.access_type === 'allow',
-        reason: userRule.access_type === 'allow' 
-          ? 'Access granted via user-specific rule' 
-          : 'Access denied via user-specific rule'
-      }
-    }
+    const userDecision = await this.checkUserRuleStep(user, featureName, 'feature', trace)
+    if (userDecision) return userDecision
+
+    await this.loadRoleDelegations(user.email)
+    user = this.applyRoleDelegation(user, trace)
 
     // No user-specific rule, check role-based rules
     const permission = this.FEATURE_PERMISSIONS[featureName]
+    const grantedByRole = this.checkRoleBundleStep(user, 'feature', featureName, trace)
     
+    if (!permission && grantedByRole) {
+      return {
+        allowed: true,
+        matchedRule: { source: 'roles', rule_type: 'feature', resource_name: featureName, role: user.role }
+      }
+    }
+
     if (!permission) {
       // No permission defined - default to denying access (fail closed for security)
+      this.traceStep(trace, 'Feature rule', 'fail', 'No permission defined for this feature (denied by default)')
       return {
         allowed: false,
-        reason: `No permission defined for feature: ${featureName}`
+        reason: `No permission defined for feature: ${featureName}`,
+        matchedRule: null
       }
     }
 
-    // Check allowedRoles
-    if (permission.allowedRoles) {
+    const matchedRule = { rule_type: 'feature', resource_name: featureName, ...this.describeRule(permission) }
+
+    // Check allowedRoles (skipped when the role bundle grants the feature)
+    if (permission.allowedRoles && !grantedByRole) {
+      const rolesText = Array.isArray(permission.allowedRoles) ? permission.allowedRoles.join(', ') : permission.allowedRoles
       if (!this.hasAllowedRole(user, permission.allowedRoles)) {
+        this.traceStep(trace, 'Allowed roles', 'fail', `Role '${user.role}' is not in [${rolesText}]`)
         return {
           allowed: false,
-          reason: `Role '${user.role}' is not allowed for this feature`
+          reason: `Role '${user.role}' is not allowed for this feature`,
+          matchedRule
         }
       }
+      this.traceStep(trace, 'Allowed roles', 'pass', `Role '${user.role}' is in [${rolesText}]`)
     }
 
     // Check minRoleLevel
-    if (permission.minRoleLevel !== undefined) {
+    if (permission.minRoleLevel !== undefined && !grantedByRole) {
       if (!this.hasMinimumRoleLevel(user, permission.minRoleLevel)) {
         const requiredRole = Object.keys(this.ROLE_HIERARCHY).find(
           role => this.ROLE_HIERARCHY[role] === permission.minRoleLevel
         )
+        this.traceStep(trace, 'Minimum role level', 'fail', `Level ${this.getRoleLevel(user.role)} is below required level ${permission.minRoleLevel}`)
         return {
           allowed: false,
-          reason: `Insufficient role level. Required: ${requiredRole || `Level ${permission.minRoleLevel}`} or above`
+          reason: `Insufficient role level. Required: ${requiredRole || `Level ${permission.minRoleLevel}`} or above`,
+          matchedRule
         }
       }
+      this.traceStep(trace, 'Minimum role level', 'pass', `Level ${this.getRoleLevel(user.role)} meets required level ${permission.minRoleLevel}`)
     }
 
+    // Evaluate policy condition if provided
+    const conditionDenial = this.checkConditionStep(permission, user, context, trace, matchedRule)
+    if (conditionDenial) return conditionDenial
+
     return {
-      allowed: true
+      allowed: true,
+      matchedRule
     }
   }
 
   /**
-   * Check if user can access a specific resource (e.g., audit assignment)
-   * @param {string} resourceType - Type of resource ('audit_assignment', etc.)
-   * @param {Object} resource - Resource object
-   * @returns {Object} { allowed: boolean, reason?: string }
+   * Evaluate resource access for a user
+   * @returns {Object} { allowed, reason?, matchedRule }
    */
-  canAccessResource(resourceType, resource) {
-    const user = this.getCurrentUser()
-    
-    if (!user) {
+  evaluateResourceAccess(user, resourceType, resource, trace = null) {
+    const statusDenial = this.checkUserStatus(user, trace)
+    if (statusDenial) return statusDenial
+
+    const rule = this.RESOURCE_RULES[resourceType]
+
+    if (!rule) {
+      this.traceStep(trace, 'Resource rule', 'fail', `Unknown resource type: ${resourceType}`)
       return {
         allowed: false,
-        reason: 'User not authenticated'
+        reason: `Unknown resource type: ${resourceType}`,
+        matchedRule: null
       }
     }
 
-    if (user.is_active === false) {
+    if (!resource) {
+      this.traceStep(trace, 'Resource', 'fail', 'Resource not provided')
       return {
         allowed: false,
-        reason: 'User account is inactive'
+        reason: 'Resource not provided',
+        matchedRule: null
       }
     }
 
-    const userEmail = (user.email || '').toLowerCase().trim()
+    // Synchronous check: uses delegations preloaded by loadRulesFromDatabase()
+    user = this.applyRoleDelegation(user, trace)
 
-    switch (resourceType) {
-      case 'audit_assignment':
-        if (!resource) {
-          return {
-            allowed: false,
-            reason: 'Resource not provided'
-          }
-        }
+    const matchedRule = { rule_type: 'resource', resource_name: resourceType, ...this.describeRule(rule) }
+    const context = { resource }
+    if (rule.contextName) {
+      context[rule.contextName] = resource
+    }
 
-        const assignmentEmployeeEmail = (resource.employee_email || '').toLowerCase().trim()
-        const assignmentAuditorEmail = (resource.auditor_email || '').toLowerCase().trim()
+    const conditionDenial = this.checkConditionStep(
+      rule, user, context, trace, matchedRule,
+      rule.denyReason || `You do not have permission to access this ${resourceType}`
+    )
+    if (conditionDenial) return conditionDenial
 
-        // Employees can only access their own audits
-        if (user.role === 'Employee') {
-          if (assignmentEmployeeEmail === userEmail) {
-            return { allowed: true }
-          }
-          return {
-            allowed: false,
-            reason: 'You can only access your own audit assignments'
-          }
-        }
+    const scopeDenial = this.checkScopeStep(rule, user, resource, trace, matchedRule)
+    if (scopeDenial) return scopeDenial
 
-        // Auditors can access audits they're assigned to
-        if (assignmentAuditorEmail === userEmail) {
-          return { allowed: true }
-        }
+    return { allowed: true, matchedRule }
+  }
 
-        // Quality Analysts and above can access all audits
-        if (this.hasMinimumRoleLevel(user, 2)) {
-          return { allowed: true }
-        }
+  /**
+   * Serializable summary of a rule for logs and traces
+   */
+  describeRule(rule) {
+    const description = { source: rule.ruleId ? 'access_control_rules' : 'default' }
+    if (rule.ruleId) description.rule_id = rule.ruleId
+    if (rule.allowedRoles) description.allowed_roles = rule.allowedRoles
+    if (rule.minRoleLevel !== undefined) description.min_role_level = rule.minRoleLevel
+    if (rule.condition) description.condition = rule.condition
+    if (rule.scopes) description.scopes = rule.scopes
+    return description
+  }
 
-        return {
-          allowed: false,
-          reason: 'You do not have permission to access this audit assignment'
-        }
+  /**
+   * Strip internal fields from a decision before returning it to callers
+   */
+  toAccessResult(decision) {
+    const result = { allowed: decision.allowed }
+    if (decision.reason) result.reason = decision.reason
+    return result
+  }
+
+  /**
+   * Persist an access decision to access_decision_log
+   * Denials are always logged; grants only for SENSITIVE_FEATURES. Non-blocking and
+   * de-duplicated per tab so repeated checks of the same thing don't flood the table.
+   */
+  logDecision(user, resourceType, resourceName, decision) {
+    if (!user || !window.supabaseClient) return
+
+    const isSensitive = resourceType === 'feature' && this.SENSITIVE_FEATURES.includes(resourceName)
+    if (decision.allowed && !isSensitive) return
+
+    const key = `${user.email}|${resourceType}|${resourceName}|${decision.allowed}`
+    const lastLogged = this.loggedDecisions.get(key)
+    if (lastLogged && Date.now() - lastLogged < this.DECISION_LOG_DEDUPE_MS) return
+    this.loggedDecisions.set(key, Date.now())
+
+    window.supabaseClient
+      .from('access_decision_log')
+      .insert({
+        user_email: user.email,
+        user_role: user.role || null,
+        resource_type: resourceType,
+        resource_name: resourceName,
+        allowed: decision.allowed,
+        reason: decision.reason || null,
+        matched_rule: decision.matchedRule || null,
+        page_url: window.location ? window.location.pathname : null
+      })
+      .then(({ error }) => {
+        if (error) console.warn('[AccessControl] Failed to log access decision:', error)
+      })
+  }
+
+  /**
+   * Check if user can access a page
+   * @param {string} pageName - Name of the page (e.g., 'audit-distribution.html')
+   * @param {Object} context - Optional context object for conditions (e.g., { assignment: {...} })
+   * @returns {Object} { allowed: boolean, reason?: string }
+   */
+  async canAccessPage(pageName, context = null) {
+    const user = this.getCurrentUser()
+    const decision = await this.evaluatePageAccess(user, pageName, context)
+    this.logDecision(user, 'page', pageName, decision)
+    return this.toAccessResult(decision)
+  }
 
+  /**
+   * Check if user can access a feature
+   * @param {string} featureName - Name of the feature
+   * @param {Object} context - Optional context for the feature's policy condition
+   * @returns {Object} { allowed: boolean, reason?: string }
+   */
+  async canAccessFeature(featureName, context = null) {
+    const user = this.getCurrentUser()
+    const decision = await this.evaluateFeatureAccess(user, featureName, context)
+    this.logDecision(user, 'feature', featureName, decision)
+    return this.toAccessResult(decision)
+  }
+
+  /**
+   * Check if user can access a specific resource (e.g., audit assignment)
+   * @param {string} resourceType - Type of resource ('audit_assignment', etc.)
+   * @param {Object} resource - Resource object
+   * @returns {Object} { allowed: boolean, reason?: string }
+   */
+  canAccessResource(resourceType, resource) {
+    const user = this.getCurrentUser()
+    const decision = this.evaluateResourceAccess(user, resourceType, resource)
+    this.logDecision(user, 'resource', resourceType, decision)
+    return this.toAccessResult(decision)
+  }
+
+  /**
+   * Explain an access decision for any user, step by step ("why was I denied")
+   * Nothing is logged - this is a read-only diagnostic for access-control.html
+   * @param {Object} user - User object (email, role, is_active)
+   * @param {string|Object} resource - Page name, or { type: 'page'|'feature'|'resource', name, resource? }
+   * @param {Object} context - Optional context for conditions (e.g., { assignment: {...} })
+   * @returns {Object} { allowed, reason, matchedRule, trace, resourceType, resourceName }
+   */
+  async explainAccess(user, resource, context = null) {
+    const target = typeof resource === 'string' ? { type: 'page', name: resource } : (resource || {})
+    const trace = []
+    let decision
+
+    if (user && user.email) {
+      await this.loadRoleDelegations(user.email)
+      await this.loadScopeDirectory()
+    }
+
+    switch (target.type) {
+      case 'feature':
+        decision = await this.evaluateFeatureAccess(user, target.name, context, trace)
+        break
+      case 'resource':
+        decision = this.evaluateResourceAccess(user, target.name, target.resource || context?.resource, trace)
+        break
       default:
-        return {
-          allowed: false,
-          reason: `Unknown resource type: ${resourceType}`
-        }
+        decision = await this.evaluatePageAccess(user, target.name, context, trace)
+    }
+
+    return {
+      resourceType: target.type || 'page',
+      resourceName: target.name,
+      allowed: decision.allowed,
+      reason: decision.reason || (decision.allowed ? 'All checks passed' : 'Access denied'),
+      matchedRule: decision.matchedRule || null,
+      trace
     }
   }
 
@@ -678,6 +1761,9 @@ class AccessControl {
    * @returns {boolean} True if access allowed, false if denied (and redirected)
    */
   async enforcePageAccess(pageName, context = null, redirectTo = 'home.html') {
+    // Remembered so live rule changes can re-check the page the same way
+    this.lastEnforcedPage = { pageName, context, redirectTo }
+
     const accessCheck = await this.canAccessPage(pageName, context)
     
     if (!accessCheck.allowed) {
@@ -768,6 +1854,7 @@ const accessControl = new AccessControl()
 
 // Make it globally available
 window.AccessControl = AccessControl
+window.AccessPolicy = AccessPolicy
 window.accessControl = accessControl
 
 // Export for module systems (if needed)
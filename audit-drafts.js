@@ -0,0 +1,285 @@
+/**
+ * Audit Drafts
+ * Autosaves an audit in progress (parameter selections, feedback and comments, timer,
+ * conversation link) to the audit_drafts table so a reload or crash doesn't lose it.
+ * Drafts are keyed by auditor + assignment; reopening the same assignment (or audit being
+ * edited) offers to resume the draft. auditor-dashboard.html lists them.
+ *
+ * A page opts in with AuditDrafts.start() and reports which audit its form is open for
+ * through getContext(). AuditDrafts polls that, so every way a page opens its form is
+ * covered without hooking each one. Field values are read and restored with the same
+ * helpers auth-check.js uses to preserve a form across sign-out.
+ */
+
+const AUDIT_DRAFTS_TABLE = 'audit_drafts'
+const AUDIT_DRAFT_WATCH_MS = 2000
+const AUDIT_DRAFT_AUTOSAVE_MS = 15000
+
+window.AuditDrafts = {
+  options: null,
+  currentKey: null, // draft key of the audit the form is open for
+  context: null, // set once resume has been offered; autosave only runs while set
+  busy: false,
+  saving: false,
+  hasDraft: false,
+  closed: false, // submitted or cancelled; autosave waits for the form to close
+  lastSavedForm: null,
+  lastSavedTimer: null,
+
+  getAuditorEmail() {
+    try {
+      const userInfo = JSON.parse(localStorage.getItem('userInfo') || '{}')
+      return (userInfo.email || '').toLowerCase().trim()
+    } catch (error) {
+      return ''
+    }
+  },
+
+  /**
+   * Start autosaving on this page
+   * @param {Object} options
+   * @param {Function} options.getContext - Returns null while no audit is open, otherwise
+   *   { key, assignmentId, auditId, auditTable, scorecardId, scorecardName, employeeName,
+   *     employeeEmail, conversationId, pageUrl }
+   * @param {Function} [options.getRoot] - Returns the element whose fields are saved
+   * @param {string} [options.exclude] - Selector for containers to leave out (e.g. a reversal form)
+   * @param {Function} [options.getTimer] - Returns { seconds, started_at }
+   * @param {Function} [options.restoreTimer] - Puts a saved timer back
+   */
+  start(options) {
+    if (this.options) return
+    this.options = options
+
+    setInterval(() => this.watch(), AUDIT_DRAFT_WATCH_MS)
+    setInterval(() => this.save(), AUDIT_DRAFT_AUTOSAVE_MS)
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden') this.save()
+    })
+    window.addEventListener('auth:before-logout', () => this.save())
+  },
+
+  readContext() {
+    try {
+      return this.options.getContext() || null
+    } catch (error) {
+      console.warn('Error reading audit draft context:', error)
+      return null
+    }
+  },
+
+  snapshot() {
+    const root = (this.options.getRoot && this.options.getRoot()) || document
+    return {
+      form_state: window.AuthChecker.collectFormFields(root, this.options.exclude),
+      timer: this.options.getTimer ? this.options.getTimer() : null
+    }
+  },
+
+  /**
+   * Notice the form being opened for a different audit (or closed)
+   */
+  async watch() {
+    if (this.busy) return
+
+    const context = this.readContext()
+    const key = context ? String(context.key) : null
+    if (this.closed) {
+      // Pages reset their editing state while submitting, which would look like a new audit
+      if (context) return
+      this.closed = false
+    }
+    if (key === this.currentKey) {
+      // Same audit: keep details like the linked conversation current
+      if (context && this.context) this.context = context
+      return
+    }
+
+    this.currentKey = key
+    this.context = null
+    this.hasDraft = false
+    if (!context) return
+
+    this.busy = true
+    try {
+      await this.offerResume(context)
+    } finally {
+      this.busy = false
+    }
+
+    // Only what changes from here on is worth a draft
+    if (this.currentKey !== key) return
+    const state = this.snapshot()
+    this.lastSavedForm = JSON.stringify(state.form_state)
+    this.lastSavedTimer = JSON.stringify(state.timer)
+    this.context = context
+  },
+
+  /**
+   * Ask whether to pick up a saved draft for this audit
+   * @param {Object} context - From getContext()
+   */
+  async offerResume(context) {
+    let draft
+    try {
+      draft = await this.get(context.key)
+    } catch (error) {
+      console.warn('Could not check for an audit draft:', error.message || error)
+      return
+    }
+    if (!draft || !window.confirmationDialog) return
+
+    const savedAt = new Date(draft.updated_at).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    })
+    const resume = await window.confirmationDialog.show({
+      title: 'Resume Draft',
+      message: `You have a draft of this audit${draft.employee_name ? ` for ${draft.employee_name}` : ''}, saved ${savedAt}. ` +
+        'Pick up where you left off? Starting over replaces the draft once you make changes.',
+      confirmText: 'Resume',
+      cancelText: 'Start Over',
+      type: 'info'
+    })
+    if (!resume) return
+
+    this.hasDraft = true
+    // Parameters render after the scorecard loads; applyFormState fills them in as they appear
+    window.AuthChecker.applyFormState(draft.form_state || [])
+    if (draft.timer && this.options.restoreTimer) {
+      try {
+        this.options.restoreTimer(draft.timer)
+      } catch (error) {
+        console.warn('Could not restore audit timer:', error)
+      }
+    }
+  },
+
+  /**
+   * Save the open audit if it changed since the last save
+   */
+  async save() {
+    const context = this.context
+    const auditorEmail = this.getAuditorEmail()
+    if (!context || !auditorEmail || !window.supabaseClient || this.saving) return
+
+    const state = this.snapshot()
+    const formJson = JSON.stringify(state.form_state)
+    const timerJson = JSON.stringify(state.timer)
+    const formChanged = formJson !== this.lastSavedForm
+    // A running timer alone doesn't start a draft, but keeps an existing one current
+    if (!formChanged && !(this.hasDraft && timerJson !== this.lastSavedTimer)) return
+
+    this.saving = true
+    try {
+      const { error } = await window.supabaseClient
+        .from(AUDIT_DRAFTS_TABLE)
+        .upsert({
+          auditor_email: auditorEmail,
+          draft_key: String(context.key),
+          assignment_id: context.assignmentId ? String(context.assignmentId) : null,
+          audit_id: context.auditId ? String(context.auditId) : null,
+          audit_table: context.auditTable || null,
+          scorecard_id: context.scorecardId ? String(context.scorecardId) : null,
+          scorecard_name: context.scorecardName || null,
+          employee_name: context.employeeName || null,
+          employee_email: context.employeeEmail || null,
+          conversation_id: context.conversationId ? String(context.conversationId) : null,
+          page_url: context.pageUrl || (window.location.pathname.split('/').pop() + window.location.search),
+          form_state: state.form_state,
+          timer: state.timer,
+          updated_at: new Date().toISOString()
+        }, { onConflict: 'auditor_email,draft_key' })
+
+      if (error) throw error
+
+      // The form may have been submitted while this was in flight
+      if (this.context !== context) return
+      this.lastSavedForm = formJson
+      this.lastSavedTimer = timerJson
+      this.hasDraft = true
+    } catch (error) {
+      console.warn('Audit draft autosave failed:', error.message || error)
+    } finally {
+      this.saving = false
+    }
+  },
+
+  /**
+   * Drop the draft for the open audit once it has been submitted or cancelled.
+   * Autosave stays off until the form has closed and is opened again.
+   * @param {string} [key] - Draft key, if the page captured it before resetting its state
+   */
+  async discard(key = this.currentKey) {
+    const auditorEmail = this.getAuditorEmail()
+    this.context = null
+    this.hasDraft = false
+    this.closed = true
+    this.currentKey = null
+    if (!key || !auditorEmail || !window.supabaseClient) return
+
+    // Let an autosave already on its way land first so it isn't left behind
+    while (this.saving) {
+      await new Promise((resolve) => setTimeout(resolve, 200))
+    }
+
+    const { error } = await window.supabaseClient
+      .from(AUDIT_DRAFTS_TABLE)
+      .delete()
+      .eq('auditor_email', auditorEmail)
+      .eq('draft_key', key)
+    if (error) {
+      console.warn('Could not delete audit draft:', error.message || error)
+    }
+  },
+
+  /**
+   * The signed-in auditor's draft for one audit
+   * @param {string} key - Draft key
+   * @returns {Promise<Object|null>}
+   */
+  async get(key) {
+    const auditorEmail = this.getAuditorEmail()
+    if (!auditorEmail || !window.supabaseClient) return null
+
+    const { data, error } = await window.supabaseClient
+      .from(AUDIT_DRAFTS_TABLE)
+      .select('*')
+      .eq('auditor_email', auditorEmail)
+      .eq('draft_key', String(key))
+      .maybeSingle()
+    if (error) throw error
+    return data
+  },
+
+  /**
+   * All of the signed-in auditor's drafts, most recent first
+   * @returns {Promise<Array>}
+   */
+  async list() {
+    const auditorEmail = this.getAuditorEmail()
+    if (!auditorEmail || !window.supabaseClient) return []
+
+    const { data, error } = await window.supabaseClient
+      .from(AUDIT_DRAFTS_TABLE)
+      .select('id, draft_key, assignment_id, audit_id, audit_table, scorecard_id, scorecard_name, employee_name, employee_email, conversation_id, page_url, timer, created_at, updated_at')
+      .eq('auditor_email', auditorEmail)
+      .order('updated_at', { ascending: false })
+    if (error) throw error
+    return data || []
+  },
+
+  /**
+   * Delete one of the signed-in auditor's drafts by id
+   * @param {string} id - Draft id
+   */
+  async remove(id) {
+    const { error } = await window.supabaseClient
+      .from(AUDIT_DRAFTS_TABLE)
+      .delete()
+      .eq('id', id)
+      .eq('auditor_email', this.getAuditorEmail())
+    if (error) throw error
+  }
+}
@@ -0,0 +1,306 @@
+/**
+ * Audit Version History
+ * Every save of an audit (create, edit, reversal decision, ATA correction, restore) writes a
+ * full snapshot of the row to audit_versions. audit-view.html shows the history with a
+ * field-level diff between versions and can restore an older version.
+ *
+ * Audits live in one table per scorecard, so versions are keyed by (audit_table, audit_id).
+ * Diffs aren't stored; they're worked out from consecutive snapshots when shown.
+ */
+
+const AUDIT_VERSIONS_TABLE = 'audit_versions'
+
+// Columns that describe the audit's workflow rather than its content. Restoring a version or
+// applying an ATA correction leaves these as they are.
+const AUDIT_WORKFLOW_FIELDS = [
+  'id', 'created_at', 'updated_at', 'submitted_at',
+  'auditor_email', 'auditor_name',
+  'audit_start_time', 'audit_end_time', 'audit_duration',
+  'validation_status', 'within_auditor_scope', 'sla_in_hours', 'response_from_auditor',
+  'score_before_appeal', 'score_after_appeal', 'did_result_in_pass', 'passed_after_appeal',
+  'audit_rating', 'audit_rating_feedback', 'audit_rated_at'
+]
+const AUDIT_WORKFLOW_PREFIXES = ['acknowledgement_', 'reversal_']
+
+// Score summary columns, shown under "Score" in the diff
+const AUDIT_SCORE_FIELDS = [
+  'average_score', 'passing_status', 'total_errors_count',
+  'critical_errors', 'critical_fail_error', 'significant_error'
+]
+
+const AUDIT_VERSION_ACTIONS = {
+  original: 'Before history was recorded',
+  create: 'Submitted',
+  edit: 'Edited',
+  reversal_decision: 'Reversal decision',
+  ata_correction: 'ATA correction',
+  restore: 'Restored'
+}
+
+window.AuditHistory = {
+  TABLE: AUDIT_VERSIONS_TABLE,
+  ACTIONS: AUDIT_VERSION_ACTIONS,
+
+  getCurrentUser() {
+    try {
+      const userInfo = JSON.parse(localStorage.getItem('userInfo') || '{}')
+      return { email: userInfo.email || null, name: userInfo.name || null }
+    } catch (error) {
+      return { email: null, name: null }
+    }
+  },
+
+  /**
+   * Whether a column holds audit content (scores, parameters, feedback, comments)
+   * @param {string} column - Column name
+   * @returns {boolean}
+   */
+  isContentField(column) {
+    if (AUDIT_WORKFLOW_FIELDS.includes(column)) return false
+    return !AUDIT_WORKFLOW_PREFIXES.some((prefix) => column.startsWith(prefix))
+  },
+
+  /**
+   * Copy the content columns of `changes` over `base`
+   * @param {Object} base - Audit row
+   * @param {Object} changes - Row or payload with the new content
+   * @returns {Object} New row
+   */
+  mergeContent(base, changes) {
+    const merged = { ...base }
+    Object.keys(changes || {}).forEach((column) => {
+      if (this.isContentField(column)) merged[column] = changes[column]
+    })
+    return merged
+  },
+
+  /**
+   * Build an audit_versions row. Version numbers are assigned by the database.
+   * @param {Object} options
+   * @param {string} options.table - Scorecard table the audit lives in
+   * @param {Object} options.row - The audit row as saved
+   * @param {string} options.action - One of AUDIT_VERSION_ACTIONS
+   * @param {boolean} [options.applied=true] - False when the snapshot is only proposed (ATA)
+   * @param {number} [options.restoredFromVersion] - Version a restore copied
+   * @returns {Object}
+   */
+  buildVersion({ table, row, action, applied = true, restoredFromVersion = null }) {
+    const user = this.getCurrentUser()
+    return {
+      id: crypto.randomUUID(),
+      audit_table: table,
+      audit_id: String(row.id),
+      action,
+      applied,
+      // Round-trip through JSON so only plain column values are stored
+      snapshot: JSON.parse(JSON.stringify(row)),
+      changed_by_email: user.email,
+      changed_by_name: user.name,
+      restored_from_version: restoredFromVersion
+    }
+  },
+
+  /**
+   * Record a version after a save (non-blocking on failure)
+   * @param {Object} options - As buildVersion, plus:
+   * @param {Object} [options.previous] - The audit before this save. If the audit has no
+   *   history yet it is recorded first, so the first diff has something to compare against.
+   */
+  async recordVersion(options) {
+    if (!window.supabaseClient || !options.table || !options.row || options.row.id == null) return
+
+    const rows = []
+    try {
+      if (options.previous) {
+        const { count, error } = await window.supabaseClient
+          .from(AUDIT_VERSIONS_TABLE)
+          .select('id', { count: 'exact', head: true })
+          .eq('audit_table', options.table)
+          .eq('audit_id', String(options.row.id))
+        if (!error && count === 0) {
+          // Pages keep extra camelCase keys on loaded audits; keep only real columns
+          const original = {}
+          Object.keys(options.row).forEach((column) => {
+            if (column in options.previous) original[column] = options.previous[column]
+          })
+          rows.push(this.buildVersion({ table: options.table, row: { ...original, id: options.row.id }, action: 'original' }))
+        }
+      }
+      rows.push(this.buildVersion(options))
+
+      // One at a time so the original gets the lower version number
+      while (rows.length > 0) {
+        const { error } = await window.supabaseClient.from(AUDIT_VERSIONS_TABLE).insert([rows[0]])
+        if (error) throw error
+        rows.shift()
+      }
+    } catch (error) {
+      if (window.QMSOfflineSync && window.QMSOfflineSync.isNetworkError(error)) {
+        // Queue whatever wasn't saved, original first, so the outbox keeps the same order
+        if (rows.length === 0) rows.push(this.buildVersion(options))
+        for (const version of rows) {
+          await window.QMSOfflineSync.enqueue({
+            type: 'insert',
+            table: AUDIT_VERSIONS_TABLE,
+            payload: version,
+            label: 'Audit history entry'
+          })
+        }
+        return
+      }
+      console.warn('Failed to record audit version:', error.message || error)
+    }
+  },
+
+  /**
+   * All versions of an audit, oldest first
+   * @param {string} table - Scorecard table
+   * @param {string} auditId - Audit id
+   * @returns {Promise<Array>}
+   */
+  async listVersions(table, auditId) {
+    const { data, error } = await window.supabaseClient
+      .from(AUDIT_VERSIONS_TABLE)
+      .select('*')
+      .eq('audit_table', table)
+      .eq('audit_id', String(auditId))
+      .order('version', { ascending: true })
+    if (error) throw error
+    return data || []
+  },
+
+  /**
+   * Field-level differences between two snapshots
+   * @param {Object} before - Older snapshot (null for the first version)
+   * @param {Object} after - Newer snapshot
+   * @param {Array} parameters - Scorecard parameters as { key, label }
+   * @returns {Array} Changes as { column, group, label, before, after }
+   */
+  diff(before, after, parameters = []) {
+    before = before || {}
+    after = after || {}
+    const labels = {}
+    parameters.forEach((param) => { labels[param.key] = param.label })
+
+    const changes = []
+    const columns = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+    columns.forEach((column) => {
+      if (column === 'id' || column === 'updated_at') return
+      // Snapshots of offline saves only hold the columns that were written
+      if (!(column in after)) return
+
+      if (column === 'parameter_comments') {
+        const beforeComments = before.parameter_comments || {}
+        const afterComments = after.parameter_comments || {}
+        const keys = [...new Set([...Object.keys(beforeComments), ...Object.keys(afterComments)])]
+        keys.forEach((key) => {
+          const beforeText = this.commentText(beforeComments[key])
+          const afterText = this.commentText(afterComments[key])
+          if (beforeText !== afterText) {
+            changes.push({ column: `parameter_comments.${key}`, group: 'comment', label: labels[key] || key, before: beforeText, after: afterText })
+          }
+        })
+        return
+      }
+
+      if (this.sameValue(before[column], after[column])) return
+
+      let group = 'field'
+      let label = this.humanize(column)
+      if (labels[column]) {
+        group = 'parameter'
+        label = labels[column]
+      } else if (column.startsWith('feedback_') && labels[column.slice('feedback_'.length)]) {
+        group = 'feedback'
+        label = labels[column.slice('feedback_'.length)]
+      } else if (AUDIT_SCORE_FIELDS.includes(column)) {
+        group = 'score'
+      }
+      changes.push({ column, group, label, before: before[column], after: after[column] })
+    })
+
+    const order = ['score', 'parameter', 'feedback', 'comment', 'field']
+    return changes.sort((a, b) => order.indexOf(a.group) - order.indexOf(b.group))
+  },
+
+  sameValue(a, b) {
+    const empty = (value) => value === null || value === undefined || value === '' ||
+      (Array.isArray(value) && value.length === 0)
+    if (empty(a) && empty(b)) return true
+    if (typeof a === 'number' || typeof b === 'number') {
+      return Number(a) === Number(b)
+    }
+    return JSON.stringify(a) === JSON.stringify(b)
+  },
+
+  // Parameter comments are stored as { comment } or { comments: [] }
+  commentText(entry) {
+    if (!entry) return ''
+    if (Array.isArray(entry.comments)) return entry.comments.filter(Boolean).join('\n')
+    return entry.comment || ''
+  },
+
+  humanize(column) {
+    return column.replace(/_/g, ' ').replace(/\b\w/g, (letter) => letter.toUpperCase())
+  },
+
+  /**
+   * Display text for a snapshot value
+   * @param {*} value
+   * @returns {string}
+   */
+  formatValue(value) {
+    if (value === null || value === undefined || value === '') return '—'
+    if (Array.isArray(value)) return value.length ? value.join('\n') : '—'
+    if (typeof value === 'object') return JSON.stringify(value, null, 2)
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No'
+    return String(value)
+  },
+
+  /**
+   * Put an older version's content back on the audit and record that as a new version.
+   * Acknowledgement, reversal and rating state are left as they are.
+   * @param {Object} version - audit_versions row to restore
+   * @returns {Promise<Object>} The updated audit row
+   */
+  async restore(version) {
+    const access = window.accessControl
+      ? await window.accessControl.canAccessFeature('edit_audit', { audit: version.snapshot })
+      : { allowed: false }
+    if (!access.allowed) {
+      throw new Error(access.reason || 'You do not have permission to edit audits')
+    }
+
+    const content = {}
+    Object.keys(version.snapshot || {}).forEach((column) => {
+      if (this.isContentField(column)) content[column] = version.snapshot[column]
+    })
+
+    const { data, error } = await window.supabaseClient
+      .from(version.audit_table)
+      .update(content)
+      .eq('id', version.audit_id)
+      .select()
+    if (error) throw error
+    if (!data || data.length === 0) throw new Error('Audit not found')
+
+    // The restored answers may score differently under the scorecard's current rules; let the
+    // server recompute the score like the other save paths do
+    if (globalThis.AuditScoring && window.SupabaseConfig) {
+      try {
+        const scoreCheck = await globalThis.AuditScoring.verifyOnServer(window.SupabaseConfig, version.audit_table, version.audit_id)
+        if (scoreCheck.corrected) Object.assign(data[0], scoreCheck.fields)
+      } catch (error) {
+        console.warn('Server score check failed:', error.message)
+      }
+    }
+
+    await this.recordVersion({
+      table: version.audit_table,
+      row: data[0],
+      action: 'restore',
+      restoredFromVersion: version.version
+    })
+    return data[0]
+  }
+}
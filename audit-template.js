@@ -466,6 +466,75 @@ window.generateAuditFormHTML = function(options = {}) {
     `;
 };
 
+// ============================================================================
+// Conditional Parameters
+// ============================================================================
+
+/**
+ * Show the parameter rows whose show_if condition is met and hide the rest. Pages mark each
+ * parameter's row with data-parameter-row="<field_id>"; a hidden row's inputs are disabled so
+ * the browser doesn't require an answer from it, and enabled again when it comes back.
+ * @param {Array} parameters - The scorecard's parameters, in display order
+ * @param {Object} values - Current answers, { field_id: value }
+ * @param {Element} container - Element holding the parameter rows (default: document)
+ * @returns {Array} field_ids of the hidden parameters
+ */
+window.applyParameterConditions = function(parameters = [], values = {}, container = document) {
+    const hidden = window.AuditScoring.hiddenParameters(parameters, values);
+
+    parameters.forEach(param => {
+        const fieldId = window.AuditScoring.normalizeParameter(param).fieldId;
+        const row = container.querySelector(`[data-parameter-row="${fieldId}"]`);
+        if (!row) return;
+
+        const isHidden = hidden.includes(fieldId);
+        row.style.display = isHidden ? 'none' : '';
+        row.dataset.conditionHidden = isHidden ? 'true' : 'false';
+
+        row.querySelectorAll('input, select, textarea, button').forEach(element => {
+            if (isHidden && !element.disabled) {
+                element.disabled = true;
+                element.dataset.conditionDisabled = 'true';
+            } else if (!isHidden && element.dataset.conditionDisabled === 'true') {
+                element.disabled = false;
+                delete element.dataset.conditionDisabled;
+            }
+        });
+    });
+
+    return hidden;
+};
+
+/**
+ * Parameters shown on the form that still need an answer: radios with nothing selected,
+ * ratings left on "-", and N/A on a parameter that doesn't allow it (a parameter saved as N/A
+ * while hidden that its condition has brought back). Hidden parameters are saved as N/A and
+ * need nothing.
+ * @param {Array} parameters - The scorecard's parameters (or edit-audit.html's error fields)
+ * @param {Array} hidden - field_ids hidden by their condition (from applyParameterConditions)
+ * @param {Element} container - Element holding the parameter inputs (default: document)
+ * @returns {Array} The unanswered parameters
+ */
+window.getUnansweredParameters = function(parameters = [], hidden = [], container = document) {
+    return parameters.filter(param => {
+        const { fieldId, fieldType, allowNa } = window.AuditScoring.normalizeParameter(param);
+        if (hidden.includes(fieldId)) return false;
+
+        let value = null;
+        if (fieldType === 'radio') {
+            const selected = container.querySelector(`input[name="${fieldId}"]:checked`);
+            value = selected ? selected.value : null;
+        } else {
+            const input = container.querySelector(`[name="${fieldId}"]`);
+            if (!input) return false;
+            value = input.value;
+        }
+
+        if (value === null || value === '') return true;
+        return !allowNa && parseInt(value) === window.AuditScoring.NA;
+    });
+};
+
 // Export for use in other files
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
@@ -475,7 +544,9 @@ if (typeof module !== 'undefined' && module.exports) {
         generateAuditHeader: window.generateAuditHeader,
         generateTranscriptSection: window.generateTranscriptSection,
         generateSplitter: window.generateSplitter,
-        generateAuditFormHTML: window.generateAuditFormHTML
+        generateAuditFormHTML: window.generateAuditFormHTML,
+        applyParameterConditions: window.applyParameterConditions,
+        getUnansweredParameters: window.getUnansweredParameters
     };
 }
 
@@ -10,8 +10,30 @@ class AuthChecker {
     this.STORAGE_KEY = "userInfo"
     this.LOGIN_PAGE = "login.html"
     this.INDEX_PAGE = "index.html"
+    this.PROFILE_PAGE = "profile.html"
     this.isRedirecting = false
     this.supabaseClient = null
+    this.userChannel = null
+    // Session activity is reported (and remote sign-outs noticed) once per interval across all tabs
+    this.SESSION_CHECK_KEY = "lastSessionCheck"
+    this.SESSION_CHECK_INTERVAL_MS = 5 * 60 * 1000
+    this.sessionCheckTimer = null
+    // Inactivity timeout (IDLE_TIMEOUT_MINUTES in env-config.js, 0 disables it); activity in any tab counts
+    const idleMinutes = Number(window.env?.IDLE_TIMEOUT_MINUTES ?? 30)
+    const warningSeconds = Number(window.env?.IDLE_WARNING_SECONDS ?? 60)
+    this.IDLE_TIMEOUT_MS = (Number.isFinite(idleMinutes) ? idleMinutes : 30) * 60 * 1000
+    this.IDLE_WARNING_MS = Math.min((Number.isFinite(warningSeconds) ? warningSeconds : 60) * 1000, this.IDLE_TIMEOUT_MS / 2)
+    this.ACTIVITY_BROADCAST_MS = Math.min(30 * 1000, this.IDLE_WARNING_MS / 2)
+    this.lastActivityAt = Date.now()
+    this.lastActivityBroadcastAt = 0
+    this.idleTimer = null
+    this.idleWarningVisible = false
+    this.idleLoggingOut = false
+    this.currentUserEmail = null
+    // Unsaved audit inputs are kept through a forced logout and offered back after signing in again
+    this.FORM_STATE_KEY = "preservedFormState"
+    this.FORM_STATE_MAX_AGE_MS = 24 * 60 * 60 * 1000
+    this.AUDIT_FORM_PAGES = ["create-audit.html", "edit-audit.html", "audit-form.html"]
   }
 
   /**
@@ -51,26 +73,35 @@ class AuthChecker {
             // Check authentication type
             const provider = user.provider || 'password'
             
-            // For password-based login, verify user exists and is active in database
+            // For password-based login, validate the server-issued session token
+            // The userInfo blob in localStorage is only a cache and is never trusted on its own
             if (provider === 'password') {
-              // Initialize Supabase for database access
-              if (!this.initSupabase()) {
-                // Supabase not ready yet, but allow access with cached data
-                return user
+              if (!window.SupabasePasswordAuth) {
+                // Without the auth helpers the session can't be checked; the cache alone
+                // proves nothing, so sign in again
+                console.warn('Password auth helpers missing, cannot verify session')
+                this.clearInvalidCache()
+                return null
               }
               
-              // Wait for SupabaseUsers to be available
-              if (!window.SupabaseUsers) {
-                // Not ready yet, allow access with cached data
-                return user
+              if (!window.SupabasePasswordAuth.getSessionToken()) {
+                console.warn('No password session token found, user needs to sign in again')
+                this.clearInvalidCache()
+                return null
               }
               
               try {
-                // Verify user still exists and is active
-                const userData = await window.SupabaseUsers.getUserByEmail(user.email.toLowerCase().trim())
+                // Verify session is valid and the user still exists and is active
+                const userData = await window.SupabasePasswordAuth.validateSession()
                 
                 if (!userData) {
-                  console.warn('User no longer exists in database:', user.email)
+                  console.warn('Password session is invalid or expired:', user.email)
+                  this.clearInvalidCache()
+                  return null
+                }
+                
+                if (userData.email.toLowerCase() !== user.email.toLowerCase()) {
+                  console.warn('Password session does not match cached user:', user.email)
                   this.clearInvalidCache()
                   return null
                 }
@@ -97,16 +128,19 @@ class AuthChecker {
                   is_active: userData.is_active
                 }
                 localStorage.setItem(this.STORAGE_KEY, JSON.stringify(updatedUserInfo))
+                this.announceRoleChange(user, updatedUserInfo)
                 return updatedUserInfo
               } catch (error) {
-                console.warn('Error verifying password user:', error)
-                // Allow access with cached data if verification fails
-                return user
+                // Fail closed: an unreachable auth service or tampered storage must not
+                // unlock the page, so treat it like an invalid session
+                console.warn('Error verifying password session:', error)
+                this.clearInvalidCache()
+                return null
               }
             }
             
-            // For Google/Supabase OAuth login, verify session
-            if (provider === 'google' || provider === 'supabase') {
+            // For Google and other OAuth/SSO logins, verify the Supabase Auth session
+            if (this.isSsoProvider(provider)) {
               if (!this.initSupabase()) {
                 // Supabase not ready, allow cached access
                 return user
@@ -164,7 +198,7 @@ class AuthChecker {
                     localStorage.setItem('lastLoginUpdate', now.toString())
                   }
                   
-                  // Update avatar URL from Google if available
+                  // Update avatar URL from the identity provider if available
                   if (authUser.user_metadata?.avatar_url && !userData.avatar_url) {
                     try {
                       await window.SupabaseUsers.updateUser(userData.email, {
@@ -192,6 +226,7 @@ class AuthChecker {
                     is_active: userData.is_active
                   }
                   localStorage.setItem(this.STORAGE_KEY, JSON.stringify(updatedUserInfo))
+                  this.announceRoleChange(user, updatedUserInfo)
                   return updatedUserInfo
                 }
                 
@@ -222,6 +257,28 @@ class AuthChecker {
     }
   }
 
+  /**
+   * Tell other tabs to re-check access when a refresh found a different role
+   * @param {Object} previous - User info before the refresh
+   * @param {Object} updated - User info after the refresh
+   */
+  announceRoleChange(previous, updated) {
+    if (window.AuthBroadcast && previous.role !== updated.role) {
+      window.AuthBroadcast.post('role-change', { email: updated.email, role: updated.role })
+    }
+  }
+
+  /**
+   * True for sign-ins backed by a Supabase Auth session (Google and other OAuth/SSO providers)
+   * @param {string} provider - userInfo.provider
+   */
+  isSsoProvider(provider) {
+    if (window.SupabaseSSO) {
+      return window.SupabaseSSO.isSsoProvider(provider)
+    }
+    return provider === 'google' || provider === 'supabase'
+  }
+
   /**
    * Clear invalid user data from cache
    */
@@ -235,17 +292,19 @@ class AuthChecker {
 
   /**
    * Redirect to login page
+   * @param {string} reason - Optional reason shown on the login page (e.g. 'idle')
    */
-  redirectToLogin() {
+  redirectToLogin(reason) {
     if (this.isRedirecting) return
 
     this.isRedirecting = true
+    const target = reason ? `${this.LOGIN_PAGE}?reason=${encodeURIComponent(reason)}` : this.LOGIN_PAGE
 
     try {
-      window.location.href = this.LOGIN_PAGE
+      window.location.href = target
     } catch (error) {
       console.error('Error redirecting to login:', error)
-      window.location.replace(this.LOGIN_PAGE)
+      window.location.replace(target)
     }
   }
 
@@ -276,13 +335,540 @@ class AuthChecker {
       this.clearInvalidCache()
       // Redirect to login
       this.redirectToLogin()
+      return
+    }
+
+    const mfaPassed = await this.enforceMfa(user)
+    if (!mfaPassed) {
+      return
+    }
+
+    this.currentUserEmail = user.email
+    this.watchCurrentUser(user)
+    this.trackSession()
+    this.startIdleTimer()
+    this.restoreFormState(user)
+  }
+
+  /**
+   * Report this browser's activity and sign out if the session was revoked elsewhere
+   * (profile.html Sessions tab or user-management.html). Throttled across tabs.
+   */
+  async trackSession() {
+    if (!window.SupabasePasswordAuth || this.isRedirecting) {
+      return
+    }
+
+    const lastCheck = parseInt(localStorage.getItem(this.SESSION_CHECK_KEY) || '0')
+    if (Date.now() - lastCheck < this.SESSION_CHECK_INTERVAL_MS) {
+      return
+    }
+    localStorage.setItem(this.SESSION_CHECK_KEY, Date.now().toString())
+
+    let provider = 'password'
+    try {
+      provider = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}').provider || 'password'
+    } catch (error) {
+      // Keep the default provider
+    }
+
+    try {
+      await window.SupabasePasswordAuth.touchSession(provider)
+    } catch (error) {
+      if (error.status === 401) {
+        await this.forceLogout('This session was signed out from another device or by an administrator.')
+      } else {
+        console.warn('Error recording session activity:', error)
+      }
+    }
+  }
+
+  /**
+   * Follow sign-outs in other tabs and keep checking for remote revocation while the page is open
+   */
+  watchSessionRevocation() {
+    window.addEventListener('storage', (event) => {
+      // Another tab logged out or was signed out remotely (also covers browsers without BroadcastChannel)
+      if (event.key === this.STORAGE_KEY && event.newValue === null && this.shouldProtectPage()) {
+        this.handleRemoteLogout()
+      }
+    })
+
+    if (window.AuthBroadcast) {
+      window.AuthBroadcast.subscribe((message) => this.handleBroadcast(message))
+    }
+
+    if (!this.sessionCheckTimer && this.shouldProtectPage()) {
+      this.sessionCheckTimer = setInterval(() => this.trackSession(), this.SESSION_CHECK_INTERVAL_MS)
+    }
+  }
+
+  /**
+   * Apply an auth event sent by another tab (see AuthBroadcast in supabase-config.js)
+   * @param {Object} message - { type, ... }
+   */
+  handleBroadcast(message) {
+    if (!this.shouldProtectPage()) return
+
+    switch (message.type) {
+      case 'logout':
+        this.handleRemoteLogout(message.reason)
+        break
+      case 'login':
+        // Someone else signed in from another tab; this page still shows the previous user
+        if (this.currentUserEmail && message.email &&
+            message.email.toLowerCase() !== this.currentUserEmail.toLowerCase()) {
+          window.location.reload()
+        }
+        break
+      case 'role-change':
+        if (window.accessControl) {
+          window.accessControl.scheduleLiveRefresh()
+        }
+        break
+      case 'activity':
+        this.lastActivityAt = Math.max(this.lastActivityAt, message.at || Date.now())
+        if (this.idleWarningVisible && window.confirmationDialog) {
+          // The user is active in another tab, so close this tab's warning as if they chose to stay
+          window.confirmationDialog.hide(false)
+        }
+        break
+    }
+  }
+
+  /**
+   * Another tab logged out: keep unsaved audit input, drop this tab's state and go to login
+   * @param {string} reason - Reason passed on to the login page
+   */
+  handleRemoteLogout(reason) {
+    if (this.isRedirecting) return
+
+    this.preserveFormState(reason || 'logout')
+    this.stopTimers()
+    sessionStorage.removeItem('impersonation')
+    this.redirectToLogin(reason)
+  }
+
+  /**
+   * Start watching for inactivity; a warning is shown IDLE_WARNING_MS before the timeout
+   */
+  startIdleTimer() {
+    if (this.idleTimer || this.IDLE_TIMEOUT_MS <= 0) return
+
+    const activityEvents = ['mousedown', 'mousemove', 'keydown', 'scroll', 'touchstart', 'wheel']
+    const onActivity = () => this.recordActivity()
+    activityEvents.forEach((eventName) => {
+      window.addEventListener(eventName, onActivity, { passive: true, capture: true })
+    })
+
+    this.lastActivityAt = Date.now()
+    this.idleTimer = setInterval(() => this.checkIdle(), 1000)
+  }
+
+  /**
+   * Note user activity in this tab and share it with other tabs (throttled)
+   * @param {boolean} force - Broadcast even if one was sent recently
+   */
+  recordActivity(force = false) {
+    // Once the warning is up the user has to choose to stay signed in
+    if (this.idleWarningVisible || this.idleLoggingOut) return
+
+    const now = Date.now()
+    this.lastActivityAt = now
+    if (window.AuthBroadcast && (force || now - this.lastActivityBroadcastAt >= this.ACTIVITY_BROADCAST_MS)) {
+      this.lastActivityBroadcastAt = now
+      window.AuthBroadcast.post('activity', { at: now })
+    }
+  }
+
+  /**
+   * Show the warning or sign out once the user has been idle long enough
+   */
+  checkIdle() {
+    if (this.isRedirecting || this.idleLoggingOut) return
+
+    const remaining = this.IDLE_TIMEOUT_MS - (Date.now() - this.lastActivityAt)
+
+    if (remaining <= 0) {
+      this.handleIdleTimeout()
+    } else if (remaining <= this.IDLE_WARNING_MS) {
+      this.showIdleWarning(remaining)
     }
   }
 
+  /**
+   * Ask the user whether to stay signed in, counting down the remaining time
+   * @param {number} remaining - Milliseconds until the automatic sign-out
+   */
+  async showIdleWarning(remaining) {
+    const seconds = Math.ceil(remaining / 1000)
+    const message = `You have been inactive for a while. For your security you will be signed out in ${seconds} second${seconds !== 1 ? 's' : ''}.`
+
+    if (this.idleWarningVisible) {
+      window.confirmationDialog.setMessage(message)
+      return
+    }
+
+    // Don't replace a dialog the page is already showing; the timeout still applies
+    if (!window.confirmationDialog || window.confirmationDialog.isVisible) return
+
+    // Cancel (also Escape or clicking outside) keeps the user signed in
+    this.idleWarningVisible = true
+    const signOut = await window.confirmationDialog.show({
+      title: 'Are you still there?',
+      message,
+      confirmText: 'Sign Out',
+      cancelText: 'Stay Signed In',
+      type: 'warning'
+    })
+    this.idleWarningVisible = false
+
+    // Closed by the timeout itself
+    if (this.idleLoggingOut || this.isRedirecting) return
+
+    if (signOut) {
+      await this.logout()
+    } else {
+      this.recordActivity(true)
+    }
+  }
+
+  /**
+   * Sign out after the inactivity timeout, keeping any unsaved audit input
+   */
+  async handleIdleTimeout() {
+    this.idleLoggingOut = true
+    this.stopTimers()
+
+    if (this.idleWarningVisible && window.confirmationDialog) {
+      window.confirmationDialog.hide(false)
+    }
+
+    console.log('Signing out after inactivity')
+    this.preserveFormState('idle')
+    await this.logout({ reason: 'idle' })
+  }
+
+  /**
+   * Stop the session check and inactivity timers
+   */
+  stopTimers() {
+    if (this.sessionCheckTimer) {
+      clearInterval(this.sessionCheckTimer)
+      this.sessionCheckTimer = null
+    }
+    if (this.idleTimer) {
+      clearInterval(this.idleTimer)
+      this.idleTimer = null
+    }
+  }
+
+  /**
+   * Save the values of the audit form on this page so they survive a forced logout
+   * Pages with state outside their inputs can listen for the 'auth:before-logout' event
+   * @param {string} reason - Why the user is being signed out
+   */
+  preserveFormState(reason) {
+    try {
+      window.dispatchEvent(new CustomEvent('auth:before-logout', { detail: { reason } }))
+
+      const currentPage = window.location.pathname.split("/").pop()
+      if (!this.AUDIT_FORM_PAGES.includes(currentPage) || !this.currentUserEmail) return
+
+      const fields = AuthChecker.collectFormFields(document.getElementById('auditForm') || document)
+      if (fields.length === 0) return
+
+      localStorage.setItem(this.FORM_STATE_KEY, JSON.stringify({
+        page: currentPage,
+        search: window.location.search,
+        email: this.currentUserEmail,
+        reason,
+        saved_at: Date.now(),
+        fields
+      }))
+    } catch (error) {
+      console.warn('Error preserving form state:', error)
+    }
+  }
+
+  /**
+   * Offer back audit input saved by preserveFormState when the same user reopens the same page
+   * @param {Object} user - Authenticated user info
+   */
+  async restoreFormState(user) {
+    let saved
+    try {
+      saved = JSON.parse(localStorage.getItem(this.FORM_STATE_KEY) || 'null')
+    } catch (error) {
+      localStorage.removeItem(this.FORM_STATE_KEY)
+      return
+    }
+    if (!saved) return
+
+    if (saved.email !== user.email || Date.now() - saved.saved_at > this.FORM_STATE_MAX_AGE_MS) {
+      localStorage.removeItem(this.FORM_STATE_KEY)
+      return
+    }
+
+    const currentPage = window.location.pathname.split("/").pop()
+    if (saved.page !== currentPage || saved.search !== window.location.search) return
+
+    localStorage.removeItem(this.FORM_STATE_KEY)
+
+    const savedAt = new Date(saved.saved_at).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })
+    const restore = window.confirmationDialog
+      ? await window.confirmationDialog.show({
+          title: 'Restore Unsaved Audit',
+          message: `You were signed out at ${savedAt} while working on this audit. Restore the values you had entered?`,
+          confirmText: 'Restore',
+          cancelText: 'Discard',
+          type: 'info'
+        })
+      : confirm('You were signed out while working on this audit. Restore the values you had entered?')
+
+    if (restore) {
+      AuthChecker.applyFormState(saved.fields)
+    }
+  }
+
+  /**
+   * Snapshot the values of a form's fields (also used by AuditDrafts for autosave)
+   * @param {Element|Document} root - Container to read
+   * @param {string} [exclude] - Selector for containers whose fields are skipped
+   * @returns {Array} Fields as { id, name, value, checked }
+   */
+  static collectFormFields(root, exclude) {
+    const skippedTypes = ['password', 'file', 'button', 'submit', 'reset', 'image']
+    const fields = []
+
+    root.querySelectorAll('input, select, textarea').forEach((element) => {
+      if (element.disabled || skippedTypes.includes(element.type)) return
+      if (!element.id && !element.name) return
+      if (exclude && element.closest(exclude)) return
+
+      if (element.type === 'radio') {
+        if (element.checked) {
+          fields.push({ id: element.id, name: element.name, value: element.value, checked: true })
+        }
+      } else if (element.type === 'checkbox') {
+        fields.push({ id: element.id, name: element.name, value: element.value, checked: element.checked })
+      } else if (element.value !== '') {
+        fields.push({ id: element.id, name: element.name, value: element.value })
+      }
+    })
+
+    return fields
+  }
+
+  /**
+   * Put saved values back, waiting for fields that the page renders after loading its data
+   * @param {Array} fields - Fields saved by collectFormFields
+   */
+  static applyFormState(fields) {
+    let pending = fields
+    let observer = null
+
+    const apply = () => {
+      pending = pending.filter((field) => !AuthChecker.applyFormField(field))
+      if (pending.length === 0 && observer) {
+        observer.disconnect()
+      }
+    }
+
+    apply()
+    if (pending.length === 0) return
+
+    observer = new MutationObserver(apply)
+    observer.observe(document.body, { childList: true, subtree: true })
+    setTimeout(() => {
+      observer.disconnect()
+      if (pending.length > 0) {
+        console.warn(`Could not restore ${pending.length} audit field(s)`)
+      }
+    }, 30000)
+  }
+
+  /**
+   * Restore one saved field
+   * @param {Object} field - { id, name, value, checked }
+   * @returns {boolean} True if the field was found and set
+   */
+  static applyFormField(field) {
+    let element = field.id ? document.getElementById(field.id) : null
+    if (!element && field.name) {
+      element = field.checked !== undefined
+        ? document.querySelector(`[name="${CSS.escape(field.name)}"][value="${CSS.escape(field.value)}"]`)
+        : document.getElementsByName(field.name)[0]
+    }
+    if (!element) return false
+
+    if (field.checked !== undefined) {
+      element.checked = field.checked
+    } else {
+      element.value = field.value
+      // Select options may not be loaded yet
+      if (element.tagName === 'SELECT' && element.value !== field.value) return false
+    }
+
+    // Let the page recalculate scores and other derived values
+    element.dispatchEvent(new Event('input', { bubbles: true }))
+    element.dispatchEvent(new Event('change', { bubbles: true }))
+    return true
+  }
+
+  /**
+   * Enforce the second factor before the page is unlocked
+   * Users with MFA enabled must have verified this session; users whose role requires MFA
+   * can only reach profile.html until they enroll
+   * @param {Object} user - Authenticated user info
+   * @returns {boolean} True if the page may be used
+   */
+  async enforceMfa(user) {
+    const currentPage = window.location.pathname.split("/").pop()
+    const redirectToVerification = () => {
+      this.isRedirecting = true
+      const returnTo = encodeURIComponent(currentPage + window.location.search)
+      window.location.href = `${this.LOGIN_PAGE}?mfa=verify&returnTo=${returnTo}`
+      return false
+    }
+
+    // Asked on every page load: a remembered pass in browser storage could be forged.
+    // Anything short of a clear answer fails closed to the verification step
+    if (!window.SupabasePasswordAuth) {
+      console.warn('Password auth helpers missing, cannot check MFA status')
+      return redirectToVerification()
+    }
+
+    let status
+    try {
+      status = await window.SupabasePasswordAuth.getMfaStatus()
+    } catch (error) {
+      if (error.status === 401) {
+        this.clearInvalidCache()
+        this.redirectToLogin()
+        return false
+      }
+      console.warn('Error checking MFA status:', error)
+      return redirectToVerification()
+    }
+
+    if (status.enrolled && !status.verified) {
+      return redirectToVerification()
+    }
+
+    if (status.required && !status.enrolled) {
+      if (currentPage !== this.PROFILE_PAGE) {
+        this.isRedirecting = true
+        window.location.href = `${this.PROFILE_PAGE}?mfa=setup`
+        return false
+      }
+      // Profile page stays usable so the user can enroll
+      return true
+    }
+
+    return true
+  }
+
+  /**
+   * Watch the current user's row so deactivations and role changes apply within seconds
+   * instead of waiting for the next session check
+   * @param {Object} user - Cached user info
+   */
+  watchCurrentUser(user) {
+    if (this.userChannel || !this.initSupabase() || typeof this.supabaseClient.channel !== 'function') {
+      return
+    }
+
+    const userEmail = user.email.toLowerCase()
+
+    this.userChannel = this.supabaseClient
+      .channel(`user-status-${userEmail}`)
+      .on(
+        'postgres_changes',
+        { event: 'UPDATE', schema: 'public', table: 'users', filter: `email=eq.${user.email}` },
+        (payload) => this.handleCurrentUserChange(payload.new)
+      )
+      .on(
+        'postgres_changes',
+        // users has replica identity full (migration 20261019000020), so delete events carry
+        // the old email and can be filtered to this user's row
+        { event: 'DELETE', schema: 'public', table: 'users', filter: `email=eq.${user.email}` },
+        (payload) => {
+          if (payload.old && (payload.old.email || '').toLowerCase() === userEmail) {
+            this.forceLogout('Your account has been removed. Please contact your administrator.')
+          }
+        }
+      )
+      .subscribe((status) => {
+        if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+          console.warn('Live account updates unavailable:', status)
+        }
+      })
+  }
+
+  /**
+   * Apply a change to the current user's row
+   * @param {Object} userData - Updated users row
+   */
+  async handleCurrentUserChange(userData) {
+    if (!userData) return
+
+    if (userData.is_active === false) {
+      await this.forceLogout('Your account has been deactivated. Please contact your administrator.')
+      return
+    }
+
+    try {
+      const cached = JSON.parse(localStorage.getItem(this.STORAGE_KEY) || '{}')
+      const roleChanged = cached.role !== userData.role
+      const updatedUserInfo = {
+        ...cached,
+        name: userData.name || cached.name,
+        role: userData.role || cached.role,
+        department: userData.department,
+        designation: userData.designation,
+        employee_id: userData.employee_id,
+        permissions: userData.permissions,
+        is_active: userData.is_active
+      }
+      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(updatedUserInfo))
+      this.announceRoleChange(cached, updatedUserInfo)
+
+      // Role, department and permission changes can all change what this page allows
+      if (window.accessControl) {
+        if (roleChanged) {
+          console.log(`Role changed from ${cached.role} to ${userData.role}, re-checking access`)
+        }
+        window.accessControl.scheduleLiveRefresh()
+      }
+    } catch (error) {
+      console.error('Error applying user update:', error)
+    }
+  }
+
+  /**
+   * Sign the user out immediately (e.g. after deactivation) with an explanation
+   * @param {string} message - Shown before redirecting to the login page
+   */
+  async forceLogout(message) {
+    if (this.isRedirecting) return
+
+    if (this.userChannel) {
+      this.supabaseClient.removeChannel(this.userChannel)
+      this.userChannel = null
+    }
+    this.stopTimers()
+    this.preserveFormState('forced')
+
+    alert(message)
+    await this.logout()
+  }
+
   /**
    * Logout user and redirect to login
+   * @param {Object} options - { reason } - shown on the login page and passed to other tabs
    */
-  async logout() {
+  async logout({ reason } = {}) {
     try {
       // Get user info to check authentication provider
       const userInfoStr = localStorage.getItem(this.STORAGE_KEY)
@@ -299,8 +885,12 @@ class AuthChecker {
       
       console.log('Logging out user with provider:', provider)
       
-      // Only sign out from Supabase Auth if user logged in via OAuth
-      if (provider === 'google' || provider === 'supabase') {
+      // Only sign out from Supabase Auth if user logged in via OAuth/SSO
+      if (this.isSsoProvider(provider)) {
+        if (window.SupabasePasswordAuth) {
+          // End the tracked session while the Supabase JWT is still available
+          await window.SupabasePasswordAuth.signOut()
+        }
         if (this.initSupabase() && window.SupabaseAuth) {
           try {
             console.log('Signing out from Supabase Auth...')
@@ -313,8 +903,15 @@ class AuthChecker {
         } else {
           console.warn('Supabase Auth not available for sign-out')
         }
-      } else {
-        console.log('Email/password user - skipping Supabase Auth sign-out')
+      } else if (window.SupabasePasswordAuth) {
+        // Revoke the server-side password session
+        console.log('Revoking password session...')
+        await window.SupabasePasswordAuth.signOut()
+      }
+      
+      // Sign out the other open tabs too (sent before userInfo is removed so they get the reason)
+      if (window.AuthBroadcast) {
+        window.AuthBroadcast.post('logout', { reason })
       }
       
       // Clear all authentication-related localStorage items
@@ -322,9 +919,11 @@ class AuthChecker {
       localStorage.removeItem(this.STORAGE_KEY)
       localStorage.removeItem('sessionToken')
       localStorage.removeItem('lastLoginUpdate')
+      sessionStorage.removeItem('impersonation')
+      localStorage.removeItem(this.SESSION_CHECK_KEY)
       
       console.log('Logout complete, redirecting to login page...')
-      this.redirectToLogin()
+      this.redirectToLogin(reason)
       
     } catch (error) {
       console.error('Error during logout:', error)
@@ -334,12 +933,17 @@ class AuthChecker {
         localStorage.removeItem(this.STORAGE_KEY)
         localStorage.removeItem('sessionToken')
         localStorage.removeItem('lastLoginUpdate')
+        sessionStorage.removeItem('impersonation')
       } catch (cleanupError) {
         console.error('Error during cleanup:', cleanupError)
       }
       
+      if (window.AuthBroadcast) {
+        window.AuthBroadcast.post('logout', { reason })
+      }
+      
       // Force redirect even if there are errors
-      this.redirectToLogin()
+      this.redirectToLogin(reason)
     }
   }
 
@@ -364,6 +968,8 @@ class AuthChecker {
    * Listen to authentication state changes
    */
   setupAuthListener() {
+    this.watchSessionRevocation()
+
     if (!this.initSupabase()) {
       return
     }
@@ -40,6 +40,27 @@ const SUPABASE_URL = process.env.VITE_SUPABASE_URL || process.env.SUPABASE_URL |
 const SUPABASE_ANON_KEY = process.env.VITE_SUPABASE_ANON_KEY || process.env.SUPABASE_ANON_KEY || '';
 const INTERCOM_ACCESS_TOKEN = process.env.VITE_INTERCOM_ACCESS_TOKEN || process.env.INTERCOM_ACCESS_TOKEN || '';
 const INTERCOM_APP_ID = process.env.VITE_INTERCOM_APP_ID || process.env.INTERCOM_APP_ID || '';
+// Inactivity sign-out (optional); 0 minutes disables it
+const IDLE_TIMEOUT_MINUTES = parseInt(process.env.VITE_IDLE_TIMEOUT_MINUTES || process.env.IDLE_TIMEOUT_MINUTES || '30', 10);
+const IDLE_WARNING_SECONDS = parseInt(process.env.VITE_IDLE_WARNING_SECONDS || process.env.IDLE_WARNING_SECONDS || '60', 10);
+// Extra sign-in providers (optional), a JSON array - see SupabaseSSO in supabase-config.js, e.g.
+// [{"id":"azure","label":"Microsoft","type":"oauth","provider":"azure","scopes":"email","domains":["example.com"]}]
+const SSO_PROVIDERS_JSON = process.env.VITE_SSO_PROVIDERS || process.env.SSO_PROVIDERS || '[]';
+let SSO_PROVIDERS = [];
+try {
+  SSO_PROVIDERS = JSON.parse(SSO_PROVIDERS_JSON);
+  if (!Array.isArray(SSO_PROVIDERS)) {
+    throw new Error('SSO_PROVIDERS must be a JSON array');
+  }
+  SSO_PROVIDERS.forEach(provider => {
+    if (!provider.id || !['oauth', 'saml'].includes(provider.type)) {
+      throw new Error(`Each SSO provider needs an id and a type of "oauth" or "saml": ${JSON.stringify(provider)}`);
+    }
+  });
+} catch (error) {
+  console.error(`Error: Invalid SSO_PROVIDERS - ${error.message}`);
+  process.exit(1);
+}
 
 // Validate required environment variables
 if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
@@ -66,7 +87,10 @@ window.env = {
   SUPABASE_ANON_KEY: '${SUPABASE_ANON_KEY}',
   INTERCOM_ACCESS_TOKEN: '${INTERCOM_ACCESS_TOKEN}',
   INTERCOM_API_BASE_URL: 'https://api.intercom.io',
-  INTERCOM_APP_ID: '${INTERCOM_APP_ID}'
+  INTERCOM_APP_ID: '${INTERCOM_APP_ID}',
+  IDLE_TIMEOUT_MINUTES: ${Number.isNaN(IDLE_TIMEOUT_MINUTES) ? 30 : IDLE_TIMEOUT_MINUTES},
+  IDLE_WARNING_SECONDS: ${Number.isNaN(IDLE_WARNING_SECONDS) ? 60 : IDLE_WARNING_SECONDS},
+  SSO_PROVIDERS: ${JSON.stringify(SSO_PROVIDERS)}
 };
 `;
 
@@ -217,7 +217,15 @@ class ConfirmationDialog {
     // Update colors based on type
     this.updateTypeStyles(config.type)
   }
-  
+
+  /**
+   * Replace the message while the dialog is open (e.g. for a countdown)
+   * @param {string} message - New message text
+   */
+  setMessage(message) {
+    this.elements.message.textContent = message
+  }
+
   /**
    * Update styles based on dialog type
    * @param {string} type - Dialog type (warning, error, info, success)
@@ -18,6 +18,19 @@ window.env = {
   //   Development: 'http://localhost:3000'
   //   Production:  'https://your-domain.com'
   //   Auto-detect: '' (leave empty)
-  SITE_URL: ''
+  SITE_URL: '',
+  
+  // Sign users out after this many minutes without activity in any tab (0 disables)
+  // A warning is shown IDLE_WARNING_SECONDS before signing out
+  IDLE_TIMEOUT_MINUTES: 30,
+  IDLE_WARNING_SECONDS: 60,
+  
+  // Sign-in providers in addition to Google (see SupabaseSSO in supabase-config.js)
+  // Users whose email domain is listed are offered the provider on the login page; add a
+  // matching row to the sso_providers table to provision them and map IdP groups to roles
+  SSO_PROVIDERS: [
+    // { id: 'azure', label: 'Microsoft', type: 'oauth', provider: 'azure', scopes: 'email', domains: ['example.com'] },
+    // { id: 'okta', label: 'Okta', type: 'saml', providerId: 'your-sso-provider-id', domains: ['example.org'], enforce: true }
+  ]
 };
 
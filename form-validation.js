@@ -3,6 +3,49 @@
  * Provides comprehensive form validation for the QMS
  */
 
+/**
+ * Password strength rules for passwords users choose themselves (reset page, profile)
+ * The password-auth edge function enforces the same rules (PASSWORD_RULES) - keep them in sync
+ */
+const PASSWORD_POLICY = [
+  { id: "length", message: "At least 8 characters", test: (password) => password.length >= 8 },
+  { id: "lowercase", message: "A lowercase letter", test: (password) => /[a-z]/.test(password) },
+  { id: "uppercase", message: "An uppercase letter", test: (password) => /[A-Z]/.test(password) },
+  { id: "number", message: "A number", test: (password) => /\d/.test(password) },
+  {
+    id: "not_email",
+    message: "Not based on your email address",
+    test: (password, email) => {
+      const localPart = (email || "").split("@")[0].toLowerCase()
+      return !localPart || !password.toLowerCase().includes(localPart)
+    },
+  },
+]
+
+window.PasswordPolicy = {
+  rules: PASSWORD_POLICY,
+
+  /**
+   * Check a password against the policy
+   * @param {string} password - Password to check
+   * @param {string} email - Account email, for the not_email rule
+   * @returns {Object} { valid, failed } - failed lists the rules that did not pass
+   */
+  check(password, email) {
+    const failed = PASSWORD_POLICY.filter((rule) => !rule.test(password || "", email))
+    return { valid: failed.length === 0, failed }
+  },
+
+  /**
+   * One-line description of what is still missing, e.g. for an error message
+   */
+  describe(password, email) {
+    const { failed } = this.check(password, email)
+    if (failed.length === 0) return ""
+    return `Password needs: ${failed.map((rule) => rule.message.toLowerCase()).join(", ")}`
+  },
+}
+
 class FormValidator {
   constructor() {
     this.rules = new Map()
@@ -60,6 +103,12 @@ class FormValidator {
       pattern: /^https?:\/\/.+/,
       message: "Please enter a valid URL",
     })
+
+    // Password strength (data-validate="password" or "password:user@example.com")
+    this.addRule("password", {
+      validator: (value, email) => window.PasswordPolicy.check(value, email).valid,
+      message: () => "Password does not meet the requirements",
+    })
   }
 
   /**
@@ -117,6 +117,9 @@ class SidebarLoader {
       // Initialize sidebar functionality after loading
       this.initializeSidebarFunctionality()
       
+      // Show the "view as" banner while impersonating
+      this.renderImpersonationBanner()
+
       // Hide menu items for employees
       this.hideEmployeeMenuItems()
       
@@ -472,6 +475,11 @@ class SidebarLoader {
    * Get user info from localStorage
    */
   getUserInfo() {
+    // In "view as" mode the sidebar reflects the user being viewed as
+    if (window.accessControl && window.accessControl.isImpersonating()) {
+      return window.accessControl.getCurrentUser()
+    }
+
     try {
       const userInfo = localStorage.getItem("userInfo")
       if (!userInfo) return null
@@ -822,6 +830,41 @@ class SidebarLoader {
     // Sidebar failed to load, using fallback
   }
 
+  /**
+   * Render a persistent banner while a Super Admin is viewing as another user
+   */
+  renderImpersonationBanner() {
+    const existingBanner = document.getElementById("impersonationBanner")
+    if (existingBanner) existingBanner.remove()
+
+    const impersonation = window.accessControl ? window.accessControl.getImpersonation() : null
+    if (!impersonation) return
+
+    const viewedUser = impersonation.user
+    const banner = document.createElement("div")
+    banner.id = "impersonationBanner"
+    banner.setAttribute("role", "status")
+    banner.style.cssText = "position: fixed; top: 0; left: 0; right: 0; z-index: 10000; display: flex; align-items: center; justify-content: center; gap: 0.75rem; padding: 0.375rem 1rem; background: #b45309; color: #ffffff; font-size: 0.8125rem; font-weight: 500; box-shadow: 0 1px 3px rgba(0,0,0,0.2);"
+
+    const label = document.createElement("span")
+    label.textContent = `Viewing as ${viewedUser.name || viewedUser.email} (${viewedUser.role}) \u2014 read-only`
+    banner.appendChild(label)
+
+    const exitButton = document.createElement("button")
+    exitButton.type = "button"
+    exitButton.textContent = "Exit view as"
+    exitButton.style.cssText = "padding: 0.125rem 0.625rem; border: 1px solid #ffffff; border-radius: 0.25rem; background: transparent; color: #ffffff; font-size: 0.75rem; font-weight: 600; cursor: pointer;"
+    exitButton.addEventListener("click", async () => {
+      exitButton.disabled = true
+      await window.accessControl.stopImpersonation()
+      window.location.href = "access-control.html"
+    })
+    banner.appendChild(exitButton)
+
+    document.body.appendChild(banner)
+    document.body.style.paddingTop = `${banner.offsetHeight}px`
+  }
+
   /**
    * Get cache key for notification counts (user-specific)
    */
@@ -973,6 +1016,7 @@ class SidebarLoader {
       const { data: scorecards, error: scorecardsError } = await window.supabaseClient
         .from('scorecards')
         .select('table_name')
+        .neq('status', 'draft') // Drafts have no audit table yet
 
       if (scorecardsError) {
         console.warn('Error loading scorecards for reversal count:', scorecardsError)
@@ -1066,6 +1110,7 @@ class SidebarLoader {
       const { data: scorecards, error: scorecardsError } = await window.supabaseClient
         .from('scorecards')
         .select('table_name')
+        .neq('status', 'draft') // Drafts have no audit table yet
 
       if (scorecardsError) {
         console.warn('Error loading scorecards for employee reversal count:', scorecardsError)
@@ -1179,6 +1224,7 @@ class SidebarLoader {
       const { data: scorecards, error: scorecardsError } = await window.supabaseClient
         .from('scorecards')
         .select('table_name')
+        .neq('status', 'draft') // Drafts have no audit table yet
 
       if (scorecardsError) {
         console.warn('Error loading scorecards for acknowledgment count:', scorecardsError)
@@ -1275,7 +1321,9 @@ class SidebarLoader {
   }
 
   /**
-   * Hide menu items for employees based on their role
+   * Hide menu items the user's role should not see
+   * The list comes from the roles table (via AccessControl); built-in defaults are used
+   * until it has loaded, then the list is applied again.
    */
   hideEmployeeMenuItems() {
     try {
@@ -1283,73 +1331,20 @@ class SidebarLoader {
       if (!userInfo) return
 
       const userRole = userInfo.role || ''
-      const isEmployee = userRole === 'Employee'
-
-      if (!isEmployee) return
-
-      // Hide Auditor's Dashboard (check both possible aria-label variations)
-      let auditorsDashboard = document.querySelector('[aria-label="Auditor\'s Dashboard"]')
-      if (!auditorsDashboard) {
-        auditorsDashboard = document.querySelector('[aria-label="Auditors\' Dashboard"]')
-      }
-      if (auditorsDashboard) {
-        const parentLi = auditorsDashboard.closest('li[role="none"]')
-        if (parentLi) {
-          parentLi.style.display = 'none'
-        }
-      }
-
-      // Hide Create Audit
-      const createAudit = document.querySelector('[aria-label="Create New Audit"]')
-      if (createAudit) {
-        const parentLi = createAudit.closest('li[role="none"]')
-        if (parentLi) {
-          parentLi.style.display = 'none'
-        }
-      }
-
-      // Hide Audit Distribution
-      const auditDistribution = document.querySelector('[aria-label="Audit Distribution"]')
-      if (auditDistribution) {
-        const parentLi = auditDistribution.closest('li[role="none"]')
-        if (parentLi) {
-          parentLi.style.display = 'none'
-        }
-      }
+      const accessControl = window.accessControl
 
-      // Hide Improvement Corner
-      const improvementCorner = document.querySelector('[aria-label="Improvement Corner"]')
-      if (improvementCorner) {
-        const parentLi = improvementCorner.closest('li[role="none"]')
-        if (parentLi) {
-          parentLi.style.display = 'none'
-        }
-      }
-
-      // Hide Search
-      const searchLink = document.querySelector('[aria-label="Search"]')
-      if (searchLink) {
-        const parentLi = searchLink.closest('li[role="none"]')
-        if (parentLi) {
-          parentLi.style.display = 'none'
-        }
-      }
+      if (accessControl) {
+        this.hideMenuItems(accessControl.getHiddenMenuItems(userRole))
 
-      // Hide Scorecards and User Management from Settings submenu, but keep Profile
-      const scorecardsLink = document.querySelector('.submenu-item[href="scorecards.html"]')
-      if (scorecardsLink) {
-        const parentLi = scorecardsLink.closest('li[role="none"]')
-        if (parentLi) {
-          parentLi.style.display = 'none'
-        }
-      }
-
-      const userManagementLink = document.querySelector('.submenu-item[href="user-management.html"]')
-      if (userManagementLink) {
-        const parentLi = userManagementLink.closest('li[role="none"]')
-        if (parentLi) {
-          parentLi.style.display = 'none'
-        }
+        // Re-apply once custom roles have loaded from the database
+        Promise.resolve(accessControl.rulesLoadPromise).then(() => {
+          this.hideMenuItems(accessControl.getHiddenMenuItems(userRole))
+        })
+      } else if (userRole === 'Employee') {
+        this.hideMenuItems([
+          "Auditor's Dashboard", 'Create New Audit', 'Audit Distribution', 'Improvement Corner',
+          'Search', 'scorecards.html', 'user-management.html'
+        ])
       }
     } catch (error) {
       console.error('Error hiding employee menu items:', error)
@@ -1359,6 +1354,29 @@ class SidebarLoader {
     this.updateAccessControlMenuItem()
   }
 
+  /**
+   * Hide sidebar entries by aria-label (menu items) or href (links and submenu items)
+   * @param {Array<string>} items - aria-labels or hrefs
+   */
+  hideMenuItems(items) {
+    items.forEach(item => {
+      const selectors = [`[aria-label="${item}"]`, `a[href="${item}"]`]
+      // Some sidebar versions spell it "Auditors' Dashboard"
+      if (item === "Auditor's Dashboard") {
+        selectors.push(`[aria-label="Auditors' Dashboard"]`)
+      }
+
+      selectors.forEach(selector => {
+        document.querySelectorAll(selector).forEach(element => {
+          const parentLi = element.closest('li[role="none"]')
+          if (parentLi) {
+            parentLi.style.display = 'none'
+          }
+        })
+      })
+    })
+  }
+
   /**
    * Update Access Control menu item visibility based on user role
    */
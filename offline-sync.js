@@ -0,0 +1,633 @@
+/**
+ * Offline Sync
+ * Keeps audit writes (submissions, edits, acknowledgements) from being lost on a flaky
+ * connection. When a Supabase write fails because the network is down, the page hands
+ * it to QMSOfflineSync.enqueue(); it is stored in an IndexedDB outbox (same setup as the
+ * QMSConversationCache in admin-conversations.js, with a localStorage fallback) and
+ * replayed when the browser comes back online.
+ *
+ * Conflict detection: an update can be queued with `base`, the row as this browser
+ * last loaded it. Before replaying, the current server row is fetched; if a field we're
+ * changing was also changed on the server since `base`, the entry is held as a conflict
+ * for the user to resolve instead of silently overwriting someone else's work.
+ *
+ * Also registers sw.js, which caches the static pages so the forms open offline.
+ */
+
+const OUTBOX_DB_NAME = 'QMSOfflineOutbox'
+const OUTBOX_STORE_NAME = 'outbox'
+const OUTBOX_DB_VERSION = 1
+const OUTBOX_STORAGE_KEY = 'qmsOfflineOutbox'
+const OUTBOX_SYNC_LOCK = 'qms-offline-sync'
+const OUTBOX_SYNC_INTERVAL_MS = 60 * 1000
+const OUTBOX_MAX_ATTEMPTS = 5
+
+// Check if IndexedDB is available
+const OUTBOX_INDEXEDDB_AVAILABLE = typeof indexedDB !== 'undefined'
+
+// Initialize IndexedDB database
+function initOutboxDB() {
+  return new Promise((resolve, reject) => {
+    if (!OUTBOX_INDEXEDDB_AVAILABLE) {
+      console.warn('IndexedDB not available, offline outbox will use localStorage')
+      resolve(null)
+      return
+    }
+
+    const request = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION)
+
+    request.onerror = () => reject(request.error)
+    request.onsuccess = () => resolve(request.result)
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result
+      if (!db.objectStoreNames.contains(OUTBOX_STORE_NAME)) {
+        const objectStore = db.createObjectStore(OUTBOX_STORE_NAME, { keyPath: 'id' })
+        objectStore.createIndex('status', 'status', { unique: false })
+        objectStore.createIndex('userEmail', 'userEmail', { unique: false })
+        objectStore.createIndex('createdAt', 'createdAt', { unique: false })
+      }
+    }
+  })
+}
+
+// Get database instance (with initialization)
+let outboxDBInstance = null
+async function getOutboxDB() {
+  if (!OUTBOX_INDEXEDDB_AVAILABLE) {
+    return null
+  }
+
+  if (outboxDBInstance) {
+    return outboxDBInstance
+  }
+
+  try {
+    outboxDBInstance = await initOutboxDB()
+    return outboxDBInstance
+  } catch (error) {
+    console.error('Failed to open offline outbox, using localStorage:', error)
+    return null
+  }
+}
+
+function runOutboxRequest(db, mode, callback) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction([OUTBOX_STORE_NAME], mode)
+    const request = callback(transaction.objectStore(OUTBOX_STORE_NAME))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+function readStoredEntries() {
+  try {
+    return JSON.parse(localStorage.getItem(OUTBOX_STORAGE_KEY) || '[]')
+  } catch (error) {
+    return []
+  }
+}
+
+function writeStoredEntries(entries) {
+  localStorage.setItem(OUTBOX_STORAGE_KEY, JSON.stringify(entries))
+}
+
+async function readAllEntries() {
+  const db = await getOutboxDB()
+  const entries = db
+    ? await runOutboxRequest(db, 'readonly', (store) => store.getAll())
+    : readStoredEntries()
+  return (entries || []).sort((a, b) => a.createdAt - b.createdAt)
+}
+
+async function saveEntry(entry) {
+  const db = await getOutboxDB()
+  if (db) {
+    await runOutboxRequest(db, 'readwrite', (store) => store.put(entry))
+    return
+  }
+  const entries = readStoredEntries().filter(existing => existing.id !== entry.id)
+  entries.push(entry)
+  writeStoredEntries(entries)
+}
+
+async function deleteEntry(id) {
+  const db = await getOutboxDB()
+  if (db) {
+    await runOutboxRequest(db, 'readwrite', (store) => store.delete(id))
+    return
+  }
+  writeStoredEntries(readStoredEntries().filter(entry => entry.id !== id))
+}
+
+function getOutboxUserEmail() {
+  try {
+    const userInfo = JSON.parse(localStorage.getItem('userInfo') || '{}')
+    return (userInfo.email || '').toLowerCase()
+  } catch (error) {
+    return ''
+  }
+}
+
+function createEntryId() {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID()
+  return `${Date.now()}-${Math.random().toString(36).slice(2)}`
+}
+
+/**
+ * Compare a client value with what PostgREST returns for the same column.
+ * Treats null/''/undefined alike, numeric strings as numbers and timestamps by instant.
+ */
+function sameColumnValue(a, b) {
+  const isEmpty = (value) => value === null || value === undefined || value === ''
+  if (isEmpty(a) || isEmpty(b)) return isEmpty(a) && isEmpty(b)
+
+  if (typeof a === 'object' || typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b)
+  }
+
+  if (!isNaN(Number(a)) && !isNaN(Number(b))) {
+    return Number(a) === Number(b)
+  }
+
+  const timestampPattern = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/
+  if (timestampPattern.test(a) && timestampPattern.test(b)) {
+    return new Date(a).getTime() === new Date(b).getTime()
+  }
+
+  return String(a) === String(b)
+}
+
+/**
+ * Fields in `payload` that differ on the server. With a `base`, only fields the server
+ * changed since `base` (and not already to our value) count.
+ */
+function getConflictingFields(payload, server, base) {
+  return Object.keys(payload).filter((field) => {
+    if (sameColumnValue(server[field], payload[field])) return false
+    if (!base) return true
+    return field in base && !sameColumnValue(server[field], base[field])
+  })
+}
+
+function isNetworkError(error) {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return true
+  if (!error) return false
+  const message = String(error.message || error)
+  return /failed to fetch|networkerror|network request failed|load failed|timed out/i.test(message)
+}
+
+async function fetchServerRow(entry) {
+  const { data, error } = await window.supabaseClient
+    .from(entry.table)
+    .select('*')
+    .eq('id', entry.rowId)
+    .maybeSingle()
+  if (error) throw error
+  return data
+}
+
+/**
+ * Send one entry to Supabase. Resolves to { conflict } when it can't be applied safely,
+ * throws on errors (network errors leave it queued).
+ */
+async function replayEntry(entry) {
+  const client = window.supabaseClient
+
+  if (entry.type === 'invoke') {
+    // Password sessions aren't Supabase Auth sessions; send their token the way
+    // SupabasePasswordAuth.invoke() does so functions that check the caller (score-audit) accept it
+    const sessionToken = window.SupabasePasswordAuth && window.SupabasePasswordAuth.getSessionToken()
+    const headers = sessionToken ? { 'x-session-token': sessionToken } : {}
+    const { error } = await client.functions.invoke(entry.fn, { body: entry.body, headers })
+    if (error) throw error
+    return {}
+  }
+
+  if (entry.type === 'webhook') {
+    const response = await fetch(entry.url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+      body: JSON.stringify(entry.body)
+    })
+    if (!response.ok) throw new Error(`Webhook error (${response.status})`)
+    return {}
+  }
+
+  if (entry.type === 'insert') {
+    const { error } = await client.from(entry.table).insert([entry.payload])
+    if (!error) return {}
+    if (error.code !== '23505') throw error
+
+    // The id is taken: usually an earlier attempt reached the server before the
+    // connection dropped, in which case the row already matches
+    const server = await fetchServerRow(entry)
+    const fields = server ? getConflictingFields(entry.payload, server, null) : []
+    if (server && fields.length === 0) return {}
+    return { conflict: { reason: 'exists', fields, server } }
+  }
+
+  if (entry.type === 'update') {
+    if (entry.base && !entry.force) {
+      const server = await fetchServerRow(entry)
+      if (!server) return { conflict: { reason: 'deleted', fields: [], server: null } }
+      const fields = getConflictingFields(entry.payload, server, entry.base)
+      if (fields.length > 0) return { conflict: { reason: 'changed', fields, server } }
+    }
+
+    const { data, error } = await client
+      .from(entry.table)
+      .update(entry.payload)
+      .eq('id', entry.rowId)
+      .select('id')
+    if (error) throw error
+    if (!data || data.length === 0) {
+      return { conflict: { reason: 'deleted', fields: [], server: null } }
+    }
+    return {}
+  }
+
+  throw new Error(`Unknown outbox entry type: ${entry.type}`)
+}
+
+window.QMSOfflineSync = {
+  listeners: new Set(),
+  activeSync: null,
+  syncing: false,
+
+  isNetworkError,
+
+  /**
+   * Queue a write for later.
+   * @param {Object} op
+   * @param {'insert'|'update'|'invoke'|'webhook'} op.type
+   * @param {string} [op.table] - Table to write (insert/update)
+   * @param {string} [op.rowId] - Row id (update; defaults to payload.id)
+   * @param {Object} [op.payload] - Columns to write (insert/update)
+   * @param {Object} [op.base] - Row as last loaded, enables conflict detection (update)
+   * @param {string} [op.fn] - Edge function name (invoke)
+   * @param {string} [op.url] - URL to POST to (webhook)
+   * @param {Object} [op.body] - Edge function or webhook body (invoke/webhook)
+   * @param {string} [op.label] - Shown to the user, e.g. "Audit for Jane Doe"
+   * @param {Array<Object>} [op.followUps] - Ops queued only once this one is applied
+   * @returns {Promise<Object>} The stored entry
+   */
+  async enqueue(op) {
+    const entry = {
+      id: createEntryId(),
+      type: op.type,
+      table: op.table || null,
+      rowId: op.rowId || op.payload?.id || null,
+      payload: op.payload || null,
+      base: op.base || null,
+      fn: op.fn || null,
+      url: op.url || null,
+      body: op.body || null,
+      label: op.label || 'Audit change',
+      followUps: op.followUps || [],
+      force: false,
+      status: 'pending',
+      attempts: 0,
+      lastError: null,
+      conflict: null,
+      userEmail: getOutboxUserEmail(),
+      createdAt: Date.now()
+    }
+
+    // Round-trip through JSON so IndexedDB never sees functions or DOM references
+    const stored = JSON.parse(JSON.stringify(entry))
+    await saveEntry(stored)
+    this.notify()
+    return stored
+  },
+
+  /**
+   * Entries queued by the signed-in user, oldest first
+   */
+  async list() {
+    const email = getOutboxUserEmail()
+    const entries = await readAllEntries()
+    return entries.filter(entry => entry.userEmail === email)
+  },
+
+  async getSummary() {
+    const entries = await this.list()
+    return {
+      pending: entries.filter(entry => entry.status === 'pending').length,
+      conflicts: entries.filter(entry => entry.status === 'conflict').length,
+      failed: entries.filter(entry => entry.status === 'failed').length,
+      syncing: this.syncing,
+      online: navigator.onLine !== false
+    }
+  },
+
+  /**
+   * Replay pending entries. Concurrent calls (and other tabs, where Web Locks are
+   * supported) share one run.
+   */
+  sync() {
+    if (this.activeSync) return this.activeSync
+
+    const run = () => this.runSync()
+    this.activeSync = (navigator.locks
+      ? navigator.locks.request(OUTBOX_SYNC_LOCK, { ifAvailable: true }, (lock) => lock ? run() : null)
+      : run()
+    ).finally(() => {
+      this.activeSync = null
+    })
+    return this.activeSync
+  },
+
+  async runSync() {
+    if (!window.supabaseClient || navigator.onLine === false) return
+
+    const queue = (await this.list()).filter(entry => entry.status === 'pending')
+    if (queue.length === 0) return
+
+    this.syncing = true
+    this.notify()
+
+    try {
+      while (queue.length > 0) {
+        const entry = queue.shift()
+        let result
+        try {
+          result = await replayEntry(entry)
+        } catch (error) {
+          if (isNetworkError(error)) {
+            console.warn('Offline sync paused, network unavailable:', error.message || error)
+            break
+          }
+          entry.attempts += 1
+          entry.lastError = error.message || String(error)
+          entry.status = entry.attempts >= OUTBOX_MAX_ATTEMPTS ? 'failed' : 'pending'
+          await saveEntry(entry)
+          console.error(`Offline sync failed for "${entry.label}":`, error)
+          continue
+        }
+
+        if (result.conflict) {
+          entry.status = 'conflict'
+          entry.conflict = result.conflict
+          await saveEntry(entry)
+          console.warn(`Offline sync conflict for "${entry.label}":`, result.conflict)
+          continue
+        }
+
+        await deleteEntry(entry.id)
+        for (const followUp of entry.followUps) {
+          queue.push(await this.enqueue({ label: entry.label, ...followUp }))
+        }
+      }
+    } finally {
+      this.syncing = false
+      this.notify()
+    }
+
+    // Once this run has finished, so resolving a conflict can start a new one
+    const summary = await this.getSummary()
+    if (summary.conflicts > 0) {
+      setTimeout(() => this.reviewConflicts(), 0)
+    }
+  },
+
+  /**
+   * Resolve a conflict.
+   * @param {string} id - Entry id
+   * @param {boolean} keepMine - true to overwrite the server row, false to drop the queued change
+   */
+  async resolveConflict(id, keepMine) {
+    const entry = (await this.list()).find(item => item.id === id)
+    if (!entry || entry.status !== 'conflict') return
+
+    if (!keepMine) {
+      await deleteEntry(id)
+      this.notify()
+      return
+    }
+
+    if (entry.conflict?.reason === 'deleted') {
+      throw new Error('The audit was deleted on the server, so these changes can\'t be applied.')
+    }
+
+    if (entry.type === 'insert') {
+      // Someone else's row already has this id; apply our values on top of it
+      const { id: _rowId, ...payload } = entry.payload
+      entry.type = 'update'
+      entry.payload = payload
+    }
+    entry.force = true
+    entry.status = 'pending'
+    entry.conflict = null
+    await saveEntry(entry)
+    this.notify()
+    await this.sync()
+  },
+
+  /**
+   * Walk the user through each conflict. Dismissing a dialog never discards anything.
+   */
+  async reviewConflicts() {
+    if (this.reviewing || !window.confirmationDialog) return
+    this.reviewing = true
+
+    try {
+      const conflicts = (await this.list()).filter(entry => entry.status === 'conflict')
+      for (const entry of conflicts) {
+        if (entry.conflict?.reason === 'deleted') {
+          const discard = await window.confirmationDialog.show({
+            title: 'Audit No Longer Exists',
+            message: `${entry.label} was deleted by someone else while you were offline, so your changes can't be saved. Discard them?`,
+            confirmText: 'Discard Mine',
+            cancelText: 'Decide Later',
+            type: 'warning'
+          })
+          if (discard) await this.resolveConflict(entry.id, false)
+          continue
+        }
+
+        const fields = (entry.conflict?.fields || []).map(field => field.replace(/_/g, ' ')).join(', ')
+        const keepMine = await window.confirmationDialog.show({
+          title: 'Sync Conflict',
+          message: `${entry.label} was changed by someone else while you were offline` +
+            (fields ? ` (${fields})` : '') + '. Save your version over theirs?',
+          confirmText: 'Keep Mine',
+          cancelText: 'Decide Later',
+          type: 'warning'
+        })
+        if (keepMine) {
+          await this.resolveConflict(entry.id, true)
+          continue
+        }
+
+        const discard = await window.confirmationDialog.show({
+          title: 'Keep Their Version?',
+          message: `Discard your offline changes to ${entry.label} and keep the version on the server?`,
+          confirmText: 'Discard Mine',
+          cancelText: 'Decide Later',
+          type: 'warning'
+        })
+        if (discard) await this.resolveConflict(entry.id, false)
+      }
+    } catch (error) {
+      console.error('Error resolving offline sync conflict:', error)
+      await window.confirmationDialog.show({
+        title: 'Sync Conflict',
+        message: error.message,
+        confirmText: 'OK',
+        cancelText: 'Close',
+        type: 'error'
+      })
+    } finally {
+      this.reviewing = false
+    }
+  },
+
+  /**
+   * Offer to retry entries that kept failing for a non-network reason
+   */
+  async reviewFailures() {
+    const failed = (await this.list()).filter(entry => entry.status === 'failed')
+    if (failed.length === 0 || !window.confirmationDialog) return
+
+    const retry = await window.confirmationDialog.show({
+      title: 'Changes Not Synced',
+      message: `${failed.length} saved change${failed.length === 1 ? '' : 's'} could not be sent: ${failed[0].lastError}. Try again?`,
+      confirmText: 'Retry',
+      cancelText: 'Later',
+      type: 'error'
+    })
+    if (!retry) return
+
+    for (const entry of failed) {
+      entry.status = 'pending'
+      entry.attempts = 0
+      await saveEntry(entry)
+    }
+    await this.sync()
+  },
+
+  /**
+   * Listen for outbox changes. The handler gets the latest summary.
+   * @returns {Function} unsubscribe
+   */
+  subscribe(handler) {
+    this.listeners.add(handler)
+    return () => this.listeners.delete(handler)
+  },
+
+  async notify() {
+    const summary = await this.getSummary()
+    this.listeners.forEach((handler) => {
+      try {
+        handler(summary)
+      } catch (error) {
+        console.error('Offline sync listener error:', error)
+      }
+    })
+  },
+
+  registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || window.location.protocol === 'file:') return
+    navigator.serviceWorker.register('/sw.js').catch((error) => {
+      console.warn('Service worker registration failed:', error)
+    })
+  },
+
+  /**
+   * Small status pill shown while offline or while changes are queued
+   */
+  renderStatus(summary) {
+    let pill = document.getElementById('offlineSyncStatus')
+    if (!pill) {
+      if (!document.body) return
+      pill = document.createElement('button')
+      pill.id = 'offlineSyncStatus'
+      pill.type = 'button'
+      pill.style.cssText = `
+        position: fixed;
+        bottom: 1rem;
+        left: 50%;
+        transform: translateX(-50%);
+        padding: 0.5rem 1rem;
+        border: none;
+        border-radius: 9999px;
+        font-family: 'Poppins', sans-serif;
+        font-size: 0.8125rem;
+        font-weight: 600;
+        color: #ffffff;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
+        z-index: 9999;
+        cursor: pointer;
+      `
+      pill.addEventListener('click', () => {
+        if (pill.dataset.state === 'conflict') this.reviewConflicts()
+        else if (pill.dataset.state === 'failed') this.reviewFailures()
+        else this.sync()
+      })
+      document.body.appendChild(pill)
+    }
+
+    const plural = (count) => `${count} change${count === 1 ? '' : 's'}`
+    let state = null
+    let text = ''
+    if (summary.conflicts > 0) {
+      state = 'conflict'
+      text = `${plural(summary.conflicts)} need${summary.conflicts === 1 ? 's' : ''} review`
+    } else if (summary.failed > 0) {
+      state = 'failed'
+      text = `${plural(summary.failed)} failed to sync`
+    } else if (summary.syncing) {
+      state = 'syncing'
+      text = `Syncing ${plural(summary.pending)}...`
+    } else if (!summary.online) {
+      state = 'offline'
+      text = summary.pending > 0
+        ? `Offline - ${plural(summary.pending)} saved on this device`
+        : 'Offline - changes will be saved on this device'
+    } else if (summary.pending > 0) {
+      state = 'pending'
+      text = `${plural(summary.pending)} waiting to sync`
+    }
+
+    const colors = {
+      conflict: '#f59e0b',
+      failed: '#ef4444',
+      syncing: '#3b82f6',
+      offline: '#4b5563',
+      pending: '#1a733e'
+    }
+
+    pill.dataset.state = state || ''
+    pill.style.display = state ? 'block' : 'none'
+    pill.style.background = colors[state] || ''
+    pill.textContent = text
+  },
+
+  init() {
+    this.registerServiceWorker()
+    this.subscribe(summary => this.renderStatus(summary))
+
+    window.addEventListener('online', () => {
+      this.notify()
+      this.sync()
+    })
+    window.addEventListener('offline', () => this.notify())
+    setInterval(() => {
+      if (navigator.onLine !== false) this.sync()
+    }, OUTBOX_SYNC_INTERVAL_MS)
+
+    const start = () => {
+      this.notify()
+      this.sync()
+    }
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', start)
+    } else {
+      start()
+    }
+  }
+}
+
+window.QMSOfflineSync.init()
@@ -0,0 +1,435 @@
+/**
+ * Scorecard Packages
+ * A portable copy of scorecards - settings, channel mappings and parameters - for moving them
+ * between projects, e.g. from staging to production. A package is JSON:
+ *   { format: 'qms-scorecard-package', format_version, exported_at, source,
+ *     scorecards: [{ scorecard: { name, scoring_type, ..., channels: [] }, parameters: [] }] }
+ * or CSV with one row per parameter and its scorecard's settings repeated on every row, so it
+ * can be edited in a spreadsheet. Ids, statuses and audit tables stay with the project a
+ * scorecard came from; scorecards.html imports packages as drafts.
+ *
+ * No DOM access; attaches to globalThis like audit-scoring.js.
+ */
+
+const SCORECARD_PACKAGE_FORMAT = 'qms-scorecard-package'
+
+// Bump when a change to the format needs older packages read differently
+const SCORECARD_PACKAGE_VERSION = 1
+
+const SCORECARD_PACKAGE_SCORING_TYPES = ['deductive', 'additive', 'hybrid', 'weighted']
+const SCORECARD_PACKAGE_PARAMETER_TYPES = ['error', 'achievement', 'bonus']
+const SCORECARD_PACKAGE_FIELD_TYPES = ['counter', 'radio', 'rating']
+const SCORECARD_PACKAGE_CATEGORIES = [
+  'Critical Fail Error', 'Critical Error', 'Critical', 'Significant Error', 'Significant',
+  'Major Error', 'Major', 'Minor Error', 'Minor'
+]
+
+// Columns of a CSV package: [column, 'scorecard' | 'parameter', field, kind]. Kinds say how a
+// value is written to and read from a cell; lists are separated by semicolons
+const SCORECARD_PACKAGE_CSV_COLUMNS = [
+  ['format_version', 'package', 'format_version', 'number'],
+  ['scorecard_name', 'scorecard', 'name', 'text'],
+  ['scorecard_description', 'scorecard', 'description', 'text'],
+  ['table_name', 'scorecard', 'table_name', 'text'],
+  ['version', 'scorecard', 'version', 'number'],
+  ['scoring_type', 'scorecard', 'scoring_type', 'text'],
+  ['passing_threshold', 'scorecard', 'passing_threshold', 'number'],
+  ['max_bonus_points', 'scorecard', 'max_bonus_points', 'number'],
+  ['allow_over_100', 'scorecard', 'allow_over_100', 'boolean'],
+  ['section_weights', 'scorecard', 'section_weights', 'json'],
+  ['channels', 'scorecard', 'channels', 'list'],
+  ['default_for_channels', 'scorecard', 'default_for_channels', 'list'],
+  ['display_order', 'parameter', 'display_order', 'number'],
+  ['field_id', 'parameter', 'field_id', 'text'],
+  ['parameter_key', 'parameter', 'parameter_key', 'text'],
+  ['error_name', 'parameter', 'error_name', 'text'],
+  ['penalty_points', 'parameter', 'penalty_points', 'number'],
+  ['parameter_type', 'parameter', 'parameter_type', 'text'],
+  ['error_category', 'parameter', 'error_category', 'text'],
+  ['field_type', 'parameter', 'field_type', 'text'],
+  ['points_direction', 'parameter', 'points_direction', 'text'],
+  ['is_fail_all', 'parameter', 'is_fail_all', 'boolean'],
+  ['section', 'parameter', 'section', 'text'],
+  ['allow_na', 'parameter', 'allow_na', 'boolean'],
+  ['rating_max', 'parameter', 'rating_max', 'number'],
+  ['show_if', 'parameter', 'show_if', 'json'],
+  ['requires_feedback', 'parameter', 'requires_feedback', 'boolean'],
+  ['is_active', 'parameter', 'is_active', 'boolean'],
+  ['enable_ai_audit', 'parameter', 'enable_ai_audit', 'boolean'],
+  ['prompt', 'parameter', 'prompt', 'text'],
+  ['parameter_description', 'parameter', 'description', 'text']
+]
+
+const SCORECARD_PACKAGE_SCORECARD_FIELDS = SCORECARD_PACKAGE_CSV_COLUMNS
+  .filter(([, level]) => level === 'scorecard')
+  .map(([, , field]) => field)
+
+const SCORECARD_PACKAGE_PARAMETER_FIELDS = SCORECARD_PACKAGE_CSV_COLUMNS
+  .filter(([, level]) => level === 'parameter')
+  .map(([, , field]) => field)
+
+// Comma-separated channel lists (scorecards.channels) as arrays and back
+function splitPackageList(value) {
+  if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean)
+  return String(value || '').split(/[,;]/).map(item => item.trim()).filter(Boolean)
+}
+
+function toPackageCell(value, kind) {
+  if (value === null || value === undefined) return ''
+  if (kind === 'list') return splitPackageList(value).join('; ')
+  if (kind === 'json') return Object.keys(value).length > 0 ? JSON.stringify(value) : ''
+  return String(value)
+}
+
+function fromPackageCell(cell, kind) {
+  const text = (cell || '').trim()
+  if (text === '') return kind === 'list' ? [] : null
+  if (kind === 'number') return Number(text)
+  if (kind === 'boolean') return ['true', '1', 'yes'].includes(text.toLowerCase())
+  if (kind === 'list') return splitPackageList(text)
+  if (kind === 'json') return JSON.parse(text)
+  return text
+}
+
+function quotePackageCell(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Rows of a CSV document; quoted cells may hold commas, doubled quotes and line breaks
+function parsePackageCSV(text) {
+  const rows = []
+  let row = []
+  let cell = ''
+  let inQuotes = false
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i]
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        cell += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      row.push(cell)
+      cell = ''
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++
+      row.push(cell)
+      rows.push(row)
+      row = []
+      cell = ''
+    } else {
+      cell += char
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell)
+    rows.push(row)
+  }
+  return rows.filter(cells => cells.some(value => value.trim() !== ''))
+}
+
+globalThis.ScorecardPackage = {
+  FORMAT: SCORECARD_PACKAGE_FORMAT,
+  VERSION: SCORECARD_PACKAGE_VERSION,
+  SCORECARD_FIELDS: SCORECARD_PACKAGE_SCORECARD_FIELDS,
+  PARAMETER_FIELDS: SCORECARD_PACKAGE_PARAMETER_FIELDS,
+  CATEGORIES: SCORECARD_PACKAGE_CATEGORIES,
+
+  /**
+   * Build a package
+   * @param {Array} entries - [{ scorecard: scorecards row, parameters: its scorecard_parameters rows }]
+   * @param {Object} source - Where it was exported from, e.g. { project, exported_by }
+   * @returns {Object} Package
+   */
+  build(entries, source = {}) {
+    return {
+      format: SCORECARD_PACKAGE_FORMAT,
+      format_version: SCORECARD_PACKAGE_VERSION,
+      exported_at: new Date().toISOString(),
+      source,
+      scorecards: entries.map(({ scorecard, parameters }) => {
+        const settings = {}
+        SCORECARD_PACKAGE_SCORECARD_FIELDS.forEach(field => {
+          settings[field] = scorecard[field] ?? null
+        })
+        settings.channels = splitPackageList(scorecard.channels)
+        settings.default_for_channels = splitPackageList(scorecard.default_for_channels)
+        settings.section_weights = scorecard.section_weights || {}
+
+        const params = [...(parameters || [])]
+          .sort((a, b) => (a.display_order || 0) - (b.display_order || 0))
+          .map((param, index) => {
+            const copy = {}
+            SCORECARD_PACKAGE_PARAMETER_FIELDS.forEach(field => {
+              copy[field] = param[field] ?? null
+            })
+            copy.display_order = index + 1
+            return copy
+          })
+
+        return { scorecard: settings, parameters: params }
+      })
+    }
+  },
+
+  toJSON(pkg) {
+    return JSON.stringify(pkg, null, 2)
+  },
+
+  toCSV(pkg) {
+    const lines = [SCORECARD_PACKAGE_CSV_COLUMNS.map(([column]) => column).join(',')]
+    pkg.scorecards.forEach(({ scorecard, parameters }) => {
+      parameters.forEach(param => {
+        lines.push(SCORECARD_PACKAGE_CSV_COLUMNS.map(([, level, field, kind]) => {
+          const value = level === 'package' ? pkg.format_version : (level === 'scorecard' ? scorecard : param)[field]
+          return quotePackageCell(toPackageCell(value, kind))
+        }).join(','))
+      })
+    })
+    return lines.join('\n') + '\n'
+  },
+
+  /**
+   * Read a package from a file's text, JSON or CSV
+   * @param {string} text
+   * @returns {Object} { package, report } where package is null if the text couldn't be read;
+   *   report entries are { level: 'error' | 'warning', scorecard, message }
+   */
+  parse(text) {
+    const trimmed = (text || '').replace(/^﻿/, '').trim()
+    if (!trimmed) {
+      return { package: null, report: [{ level: 'error', scorecard: null, message: 'The file is empty.' }] }
+    }
+
+    if (trimmed.startsWith('{')) {
+      try {
+        return { package: JSON.parse(trimmed), report: [] }
+      } catch (error) {
+        return { package: null, report: [{ level: 'error', scorecard: null, message: `Not valid JSON: ${error.message}` }] }
+      }
+    }
+
+    const rows = parsePackageCSV(trimmed)
+    const header = (rows.shift() || []).map(column => column.trim())
+    const report = []
+    const missing = ['scorecard_name', 'table_name', 'field_id', 'error_name']
+      .filter(column => !header.includes(column))
+    if (missing.length > 0) {
+      return {
+        package: null,
+        report: [{ level: 'error', scorecard: null, message: `Not a scorecard package: missing columns ${missing.join(', ')}. Parameter-only CSVs go in the scorecard's Bulk Import.` }]
+      }
+    }
+
+    const columns = SCORECARD_PACKAGE_CSV_COLUMNS.filter(([column]) => header.includes(column))
+    const byTable = new Map()
+    let formatVersion = SCORECARD_PACKAGE_VERSION
+
+    rows.forEach((cells, index) => {
+      const scorecard = {}
+      const param = {}
+      columns.forEach(([column, level, field, kind]) => {
+        const cell = cells[header.indexOf(column)]
+        let value
+        try {
+          value = fromPackageCell(cell, kind)
+        } catch (error) {
+          report.push({ level: 'error', scorecard: null, message: `Row ${index + 2}: ${column} isn't valid JSON.` })
+          return
+        }
+        if (level === 'package') {
+          if (value !== null) formatVersion = value
+        } else if (level === 'scorecard') {
+          scorecard[field] = value
+        } else {
+          param[field] = value
+        }
+      })
+
+      // Rows belong to the scorecard named in their table_name column; its first row's
+      // settings are the ones used
+      const key = scorecard.table_name || scorecard.name || ''
+      if (!byTable.has(key)) {
+        byTable.set(key, { scorecard, parameters: [] })
+      }
+      byTable.get(key).parameters.push(param)
+    })
+
+    return {
+      package: {
+        format: SCORECARD_PACKAGE_FORMAT,
+        format_version: formatVersion,
+        exported_at: null,
+        source: { file: 'csv' },
+        scorecards: [...byTable.values()]
+      },
+      report
+    }
+  },
+
+  /**
+   * Check a package's structure: what it needs to be imported into any project. The page
+   * adds the checks that depend on the project (channels, existing scorecards, drafts).
+   * @param {Object} pkg
+   * @returns {Array} [{ level: 'error' | 'warning', scorecard, message }]
+   */
+  validate(pkg) {
+    const report = []
+    const error = (scorecard, message) => report.push({ level: 'error', scorecard, message })
+    const warning = (scorecard, message) => report.push({ level: 'warning', scorecard, message })
+
+    if (!pkg || pkg.format !== SCORECARD_PACKAGE_FORMAT) {
+      error(null, 'Not a scorecard package (format should be "qms-scorecard-package").')
+      return report
+    }
+    if (!Number.isInteger(pkg.format_version) || pkg.format_version < 1) {
+      error(null, `Unknown package format version "${pkg.format_version}".`)
+      return report
+    }
+    if (pkg.format_version > SCORECARD_PACKAGE_VERSION) {
+      error(null, `The package is format version ${pkg.format_version}; this page reads up to version ${SCORECARD_PACKAGE_VERSION}. Update the app before importing it.`)
+      return report
+    }
+    if (!Array.isArray(pkg.scorecards) || pkg.scorecards.length === 0) {
+      error(null, 'The package has no scorecards.')
+      return report
+    }
+
+    const tableNames = new Set()
+    pkg.scorecards.forEach((entry, index) => {
+      const scorecard = entry && entry.scorecard ? entry.scorecard : {}
+      const parameters = entry && Array.isArray(entry.parameters) ? entry.parameters : []
+      const name = scorecard.name || `Scorecard ${index + 1}`
+
+      if (!scorecard.name || !String(scorecard.name).trim()) error(name, 'Name is required.')
+      if (!/^[a-z][a-z0-9_]*$/.test(scorecard.table_name || '')) {
+        error(name, `Table name "${scorecard.table_name || ''}" must start with a letter and use only lowercase letters, numbers and underscores.`)
+      } else if (tableNames.has(scorecard.table_name)) {
+        error(name, `Table name "${scorecard.table_name}" is used by more than one scorecard in the package.`)
+      }
+      tableNames.add(scorecard.table_name)
+
+      if (!SCORECARD_PACKAGE_SCORING_TYPES.includes(scorecard.scoring_type)) {
+        error(name, `Scoring type "${scorecard.scoring_type}" must be one of ${SCORECARD_PACKAGE_SCORING_TYPES.join(', ')}.`)
+      }
+      const threshold = Number(scorecard.passing_threshold)
+      if (scorecard.passing_threshold === null || !(threshold >= 0 && threshold <= 100)) {
+        error(name, `Passing threshold "${scorecard.passing_threshold}" must be between 0 and 100.`)
+      }
+      if (scorecard.max_bonus_points !== null && scorecard.max_bonus_points !== undefined && !(Number(scorecard.max_bonus_points) >= 0)) {
+        error(name, `Max bonus points "${scorecard.max_bonus_points}" must be 0 or more.`)
+      }
+      const weights = scorecard.section_weights || {}
+      if (typeof weights !== 'object' || Array.isArray(weights) ||
+          Object.values(weights).some(weight => !(Number(weight) >= 0))) {
+        error(name, 'Section weights must map section names to numbers of 0 or more.')
+      }
+
+      const channels = splitPackageList(scorecard.channels)
+      if (channels.length === 0) error(name, 'At least one channel is required.')
+      const extraDefaults = splitPackageList(scorecard.default_for_channels).filter(channel => !channels.includes(channel))
+      if (extraDefaults.length > 0) {
+        warning(name, `Default for channels it isn't used on (${extraDefaults.join(', ')}); those will be left out.`)
+      }
+
+      if (parameters.length === 0) error(name, 'At least one parameter is required.')
+      const fieldIds = new Set()
+      const parameterKeys = new Set()
+      parameters.forEach((param, paramIndex) => {
+        const label = `Parameter ${paramIndex + 1}${param.error_name ? ` "${param.error_name}"` : ''}`
+        if (!param.error_name || !String(param.error_name).trim()) error(name, `${label}: name is required.`)
+        if (!/^[a-z0-9_]+$/.test(param.field_id || '')) {
+          error(name, `${label}: field ID "${param.field_id || ''}" must use only lowercase letters, numbers and underscores.`)
+        } else if (fieldIds.has(param.field_id)) {
+          error(name, `${label}: field ID "${param.field_id}" is used twice.`)
+        }
+        fieldIds.add(param.field_id)
+        if (param.parameter_key && parameterKeys.has(param.parameter_key)) {
+          error(name, `${label}: parameter key "${param.parameter_key}" is used twice.`)
+        }
+        parameterKeys.add(param.parameter_key)
+
+        if (param.penalty_points === null || !(Number(param.penalty_points) >= 0)) {
+          error(name, `${label}: points "${param.penalty_points}" must be 0 or more.`)
+        }
+        if (!SCORECARD_PACKAGE_PARAMETER_TYPES.includes(param.parameter_type)) {
+          error(name, `${label}: type "${param.parameter_type}" must be one of ${SCORECARD_PACKAGE_PARAMETER_TYPES.join(', ')}.`)
+        }
+        if (!SCORECARD_PACKAGE_CATEGORIES.includes(param.error_category)) {
+          error(name, `${label}: category "${param.error_category}" isn't one of ${SCORECARD_PACKAGE_CATEGORIES.join(', ')}.`)
+        }
+        if (!SCORECARD_PACKAGE_FIELD_TYPES.includes(param.field_type)) {
+          error(name, `${label}: field type "${param.field_type}" must be one of ${SCORECARD_PACKAGE_FIELD_TYPES.join(', ')}.`)
+        }
+        if (param.field_type === 'rating' && !(Number(param.rating_max) >= 1 && Number(param.rating_max) <= 10)) {
+          error(name, `${label}: rating scale "${param.rating_max}" must be between 1 and 10.`)
+        }
+        if (param.show_if !== null && param.show_if !== undefined &&
+            (typeof param.show_if !== 'object' || !Array.isArray(param.show_if.rules))) {
+          error(name, `${label}: condition must be { match, rules: [...] }.`)
+        }
+        if (param.enable_ai_audit && !param.prompt) {
+          warning(name, `${label}: AI audit is on but there is no prompt.`)
+        }
+      })
+    })
+
+    return report
+  },
+
+  /**
+   * The scorecards row and scorecard_parameters rows a package entry becomes, without the
+   * columns the importing project decides (id, status, version, table_name, created_by)
+   * @param {Object} entry - { scorecard, parameters } from a package
+   * @returns {Object} { scorecardData, parameters }
+   */
+  toRows(entry) {
+    const { scorecard } = entry
+    const channels = splitPackageList(scorecard.channels)
+    const scorecardData = {
+      name: String(scorecard.name).trim(),
+      description: scorecard.description || null,
+      scoring_type: scorecard.scoring_type,
+      passing_threshold: Number(scorecard.passing_threshold),
+      max_bonus_points: scorecard.max_bonus_points === null || scorecard.max_bonus_points === undefined
+        ? null
+        : Number(scorecard.max_bonus_points),
+      allow_over_100: !!scorecard.allow_over_100,
+      section_weights: scorecard.section_weights || {},
+      channels: channels.join(', '),
+      default_for_channels: splitPackageList(scorecard.default_for_channels)
+        .filter(channel => channels.includes(channel))
+        .join(', ') || null
+    }
+
+    const parameters = entry.parameters.map((param, index) => ({
+      field_id: param.field_id,
+      parameter_key: param.parameter_key || param.field_id,
+      error_name: String(param.error_name).trim(),
+      penalty_points: Number(param.penalty_points),
+      parameter_type: param.parameter_type,
+      error_category: param.error_category,
+      field_type: param.field_type,
+      points_direction: param.points_direction || (param.parameter_type === 'error' ? 'subtract' : 'add'),
+      description: param.description || null,
+      prompt: param.prompt || null,
+      enable_ai_audit: !!param.enable_ai_audit,
+      is_fail_all: !!param.is_fail_all,
+      requires_feedback: param.requires_feedback !== false,
+      is_active: param.is_active !== false,
+      section: param.section || null,
+      allow_na: !!param.allow_na,
+      rating_max: param.field_type === 'rating' ? Number(param.rating_max) : null,
+      show_if: param.show_if || null,
+      display_order: index + 1
+    }))
+
+    return { scorecardData, parameters }
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * Scorecard Simulator
+ * Scores the same answers under two versions of a scorecard - usually the published one and a
+ * draft - to see what a change would do before it is published. Answers are keyed by
+ * parameter_key, so they carry over to a version where the parameter was renamed; a parameter
+ * the answers don't cover (e.g. one the draft adds) counts as N/A, so it neither costs nor
+ * earns points. Scoring itself is AuditScoring.score(); versions come from scorecard-versions.js.
+ *
+ * No DOM access; attaches to globalThis like audit-scoring.js.
+ */
+
+// Category order of breakdowns, most severe first; others follow in the order met
+const SCORECARD_SIMULATOR_CATEGORY_ORDER = [
+  'Critical Fail Error', 'Critical Error', 'Critical', 'Significant Error', 'Significant',
+  'Major Error', 'Major', 'Minor Error', 'Minor'
+]
+
+function roundSimulatorNumber(value) {
+  return Math.round(value * 100) / 100
+}
+
+globalThis.ScorecardSimulator = {
+  /**
+   * Answers keyed by parameter key
+   * @param {Array} parameters - scorecard_parameters rows of the version the answers are for
+   * @param {Object} values - { field_id: value }, or an audit row
+   * @returns {Object} { parameter_key: value }
+   */
+  keyedValues(parameters, values) {
+    const keyed = {}
+    ;(parameters || []).forEach((param) => {
+      keyed[globalThis.ScorecardVersions.parameterKeyOf(param)] = values ? values[param.field_id] ?? null : null
+    })
+    return keyed
+  },
+
+  /**
+   * A version's { field_id: value } map for answers keyed by parameter key
+   * @param {Array} parameters
+   * @param {Object} keyed - { parameter_key: value }
+   * @returns {Object} { values, missing } where missing lists the field ids with no answer,
+   *   which are N/A
+   */
+  valuesFor(parameters, keyed) {
+    const values = {}
+    const missing = []
+    ;(parameters || []).forEach((param) => {
+      const key = globalThis.ScorecardVersions.parameterKeyOf(param)
+      if (keyed && key in keyed) {
+        values[param.field_id] = keyed[key]
+      } else {
+        values[param.field_id] = globalThis.AuditScoring.NA
+        missing.push(param.field_id)
+      }
+    })
+    return { values, missing }
+  },
+
+  /**
+   * Points and errors per error category
+   * @param {Array} parameters
+   * @param {Object} values - { field_id: value }
+   * @returns {Array} [{ category, errors, deducted, earned }]
+   */
+  breakdown(parameters, values) {
+    const scoring = globalThis.AuditScoring
+    const applied = scoring.applyConditions(parameters, values)
+    const byCategory = new Map()
+
+    ;(parameters || []).map((param) => scoring.normalizeParameter(param)).forEach((param) => {
+      const category = param.category || 'Uncategorized'
+      if (!byCategory.has(category)) {
+        byCategory.set(category, { category, errors: 0, deducted: 0, earned: 0 })
+      }
+      if (scoring.isNotApplicable(applied, param.fieldId)) return
+
+      const entry = byCategory.get(category)
+      if (scoring.isAchievement(param)) {
+        entry.earned += scoring.amountOf(param, applied, false)
+      } else {
+        entry.deducted += scoring.amountOf(param, applied, true)
+        if (!scoring.isRating(param)) entry.errors += scoring.valueOf(applied, param.fieldId)
+      }
+    })
+
+    const rank = (category) => {
+      const index = SCORECARD_SIMULATOR_CATEGORY_ORDER.indexOf(category)
+      return index === -1 ? SCORECARD_SIMULATOR_CATEGORY_ORDER.length : index
+    }
+    return [...byCategory.values()]
+      .map((entry) => ({ ...entry, deducted: roundSimulatorNumber(entry.deducted), earned: roundSimulatorNumber(entry.earned) }))
+      .sort((a, b) => rank(a.category) - rank(b.category))
+  },
+
+  /**
+   * Score answers under one version
+   * @param {Object} definition - { scorecard, parameters }
+   * @param {Object} keyed - { parameter_key: value }
+   * @returns {Object} { result (AuditScoring.score()), breakdown, missing }
+   */
+  run(definition, keyed) {
+    const { values, missing } = this.valuesFor(definition.parameters, keyed)
+    return {
+      result: globalThis.AuditScoring.score(definition.scorecard, definition.parameters, values),
+      breakdown: this.breakdown(definition.parameters, values),
+      missing
+    }
+  },
+
+  /**
+   * Score answers under two versions
+   * @param {Object} before - { scorecard, parameters }, e.g. the published version
+   * @param {Object} after - { scorecard, parameters }, e.g. the draft
+   * @param {Object} keyed - { parameter_key: value }
+   * @returns {Object} { before, after, scoreChange, statusChanged }
+   */
+  simulate(before, after, keyed) {
+    const beforeRun = this.run(before, keyed)
+    const afterRun = this.run(after, keyed)
+    return {
+      before: beforeRun,
+      after: afterRun,
+      scoreChange: roundSimulatorNumber(afterRun.result.score - beforeRun.result.score),
+      statusChanged: beforeRun.result.passed !== afterRun.result.passed
+    }
+  },
+
+  /**
+   * Re-score saved audits under another version and sum up the difference
+   * @param {Array} audits - [{ row, definition: { scorecard, parameters } }] where definition is
+   *   the version the audit was scored with
+   * @param {Object} after - { scorecard, parameters }
+   * @returns {Object} { audits: [{ row, before, after, scoreChange, statusChanged }], summary:
+   *   { count, averageBefore, averageAfter, passRateBefore, passRateAfter, newlyFailing,
+   *   newlyPassing, scoreUp, scoreDown, unchanged, categories: [{ category, errorsBefore,
+   *   errorsAfter, deductedBefore, deductedAfter }] } }
+   */
+  rescore(audits, after) {
+    const results = (audits || []).map(({ row, definition }) => {
+      const keyed = this.keyedValues(definition.parameters, row)
+      return { row, ...this.simulate(definition, after, keyed) }
+    })
+
+    const count = results.length
+    const average = (pick) => count === 0 ? null : roundSimulatorNumber(results.reduce((sum, item) => sum + pick(item), 0) / count)
+    const passRate = (side) => count === 0 ? null : roundSimulatorNumber(results.filter((item) => item[side].result.passed).length / count * 100)
+
+    const categories = new Map()
+    const addCategories = (breakdown, side) => {
+      breakdown.forEach(({ category, errors, deducted }) => {
+        if (!categories.has(category)) {
+          categories.set(category, { category, errorsBefore: 0, errorsAfter: 0, deductedBefore: 0, deductedAfter: 0 })
+        }
+        const entry = categories.get(category)
+        entry[`errors${side}`] += errors
+        entry[`deducted${side}`] += deducted
+      })
+    }
+    results.forEach((item) => {
+      addCategories(item.before.breakdown, 'Before')
+      addCategories(item.after.breakdown, 'After')
+    })
+
+    return {
+      audits: results,
+      summary: {
+        count,
+        averageBefore: average((item) => item.before.result.score),
+        averageAfter: average((item) => item.after.result.score),
+        passRateBefore: passRate('before'),
+        passRateAfter: passRate('after'),
+        newlyFailing: results.filter((item) => item.before.result.passed && !item.after.result.passed).length,
+        newlyPassing: results.filter((item) => !item.before.result.passed && item.after.result.passed).length,
+        scoreUp: results.filter((item) => item.scoreChange > 0).length,
+        scoreDown: results.filter((item) => item.scoreChange < 0).length,
+        unchanged: results.filter((item) => item.scoreChange === 0).length,
+        categories: [...categories.values()].map((entry) => ({
+          ...entry,
+          deductedBefore: roundSimulatorNumber(entry.deductedBefore),
+          deductedAfter: roundSimulatorNumber(entry.deductedAfter)
+        }))
+      }
+    }
+  }
+}
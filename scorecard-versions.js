@@ -0,0 +1,237 @@
+/**
+ * Scorecard Versions
+ * A scorecard's versions are scorecards rows chained by parent_scorecard_id (a "family"), each
+ * with its own audit table and a status: draft (editable, not offered to auditors), published
+ * (what new audits are scored with; its scoring can't change) or retired (superseded, kept for
+ * its audits). See migration 20261019000018.
+ * Parameters keep a parameter_key across versions, so a parameter renamed in a later version
+ * can still be compared and reported on as one.
+ *
+ * No DOM access; attaches to globalThis like audit-scoring.js.
+ */
+
+const SCORECARD_VERSION_STATUSES = ['draft', 'published', 'retired']
+
+// Scorecard settings shown in the compare view; all but channels change how audits are scored
+const SCORECARD_VERSION_SETTINGS = [
+  { key: 'scoring_type', label: 'Scoring Type' },
+  { key: 'passing_threshold', label: 'Passing Threshold' },
+  { key: 'max_bonus_points', label: 'Max Bonus Points' },
+  { key: 'allow_over_100', label: 'Allow Over 100%' },
+  { key: 'section_weights', label: 'Section Weights' },
+  { key: 'channels', label: 'Channels' }
+]
+
+// Parameter fields compared between versions
+const SCORECARD_VERSION_PARAMETER_FIELDS = [
+  { key: 'field_id', label: 'Field ID' },
+  { key: 'error_name', label: 'Name' },
+  { key: 'penalty_points', label: 'Points' },
+  { key: 'parameter_type', label: 'Type' },
+  { key: 'error_category', label: 'Category' },
+  { key: 'field_type', label: 'Field Type' },
+  { key: 'is_fail_all', label: 'Fail All' },
+  { key: 'section', label: 'Section' },
+  { key: 'allow_na', label: 'Allow N/A' },
+  { key: 'rating_max', label: 'Rating Max' },
+  { key: 'show_if', label: 'Shown When' },
+  { key: 'description', label: 'Description' }
+]
+
+// Comparable form of a setting or parameter field: numbers as numbers, flags as booleans,
+// blank strings and missing values as null, objects and channel lists in a stable order
+function normalizeVersionValue(key, value) {
+  if (['passing_threshold', 'max_bonus_points', 'penalty_points', 'rating_max'].includes(key)) {
+    const number = parseFloat(value)
+    return isNaN(number) ? null : number
+  }
+  if (['allow_over_100', 'is_fail_all', 'allow_na'].includes(key)) return !!value
+  if (key === 'channels') {
+    return (value || '').split(',').map(channel => channel.trim()).filter(Boolean).sort().join(', ') || null
+  }
+  if (key === 'show_if') {
+    // Conditions are compared in words where audit-scoring.js is loaded (describeCondition)
+    if (!globalThis.AuditScoring) return value ? JSON.stringify(value) : null
+    return globalThis.AuditScoring.describeCondition({ show_if: value }) || null
+  }
+  if (value && typeof value === 'object') {
+    const sorted = Object.keys(value).sort().map(name => [name, value[name]])
+    return sorted.length > 0 ? JSON.stringify(sorted) : null
+  }
+  if (typeof value === 'string') return value.trim() || null
+  return value ?? null
+}
+
+globalThis.ScorecardVersions = {
+  STATUSES: SCORECARD_VERSION_STATUSES,
+  SETTINGS: SCORECARD_VERSION_SETTINGS,
+  PARAMETER_FIELDS: SCORECARD_VERSION_PARAMETER_FIELDS,
+
+  /**
+   * A scorecard's status; rows from before statuses existed count as published
+   * @param {Object} scorecard
+   * @returns {string} draft | published | retired
+   */
+  statusOf(scorecard) {
+    return scorecard?.status || 'published'
+  },
+
+  /**
+   * Identity of a parameter across versions
+   * @param {Object} param - scorecard_parameters row
+   * @returns {string}
+   */
+  parameterKeyOf(param) {
+    return param.parameter_key || param.field_id
+  },
+
+  /**
+   * Group scorecards into families of versions
+   * @param {Array} scorecards - scorecards rows
+   * @returns {Array} [{ id, name, versions, latest, published, draft }] where id is the first
+   *   version's id, versions are oldest first and latest is the newest version that isn't a draft
+   */
+  groupFamilies(scorecards) {
+    const byId = new Map(scorecards.map(scorecard => [String(scorecard.id), scorecard]))
+
+    const rootOf = (scorecard) => {
+      const seen = new Set()
+      let current = scorecard
+      while (current.parent_scorecard_id && byId.has(String(current.parent_scorecard_id)) &&
+             !seen.has(String(current.id))) {
+        seen.add(String(current.id))
+        current = byId.get(String(current.parent_scorecard_id))
+      }
+      return String(current.id)
+    }
+
+    const families = new Map()
+    scorecards.forEach(scorecard => {
+      const id = rootOf(scorecard)
+      if (!families.has(id)) families.set(id, { id, versions: [] })
+      families.get(id).versions.push(scorecard)
+    })
+
+    return [...families.values()].map(family => {
+      family.versions.sort((a, b) => (a.version || 1) - (b.version || 1))
+      const released = family.versions.filter(version => this.statusOf(version) !== 'draft')
+      family.latest = released[released.length - 1] || family.versions[family.versions.length - 1]
+      family.published = [...family.versions].reverse().find(version => this.statusOf(version) === 'published') || null
+      family.draft = family.versions.find(version => this.statusOf(version) === 'draft') || null
+      family.name = family.latest.name
+      return family
+    })
+  },
+
+  /**
+   * The family a scorecard belongs to
+   * @param {Array} scorecards - scorecards rows
+   * @param {string} scorecardId
+   * @returns {Object|null}
+   */
+  familyOf(scorecards, scorecardId) {
+    return this.groupFamilies(scorecards)
+      .find(family => family.versions.some(version => String(version.id) === String(scorecardId))) || null
+  },
+
+  /**
+   * Version number for a new draft in a family
+   * @param {Object} family
+   * @returns {number}
+   */
+  nextVersion(family) {
+    return Math.max(0, ...family.versions.map(version => version.version || 1)) + 1
+  },
+
+  /**
+   * Display form of a setting or parameter field value
+   * @param {string} key
+   * @param {*} value
+   * @returns {string}
+   */
+  formatValue(key, value) {
+    const normalized = normalizeVersionValue(key, value)
+    if (normalized === null) return '—'
+    if (typeof normalized === 'boolean') return normalized ? 'Yes' : 'No'
+    if (key === 'show_if') return normalized
+    if (value && typeof value === 'object') {
+      return Object.keys(value).sort().map(name => `${name}: ${value[name]}`).join(', ')
+    }
+    return String(normalized)
+  },
+
+  /**
+   * Compare two versions of a scorecard
+   * @param {Object} before - scorecards row of the older version
+   * @param {Array} beforeParams - its parameters
+   * @param {Object} after - scorecards row of the newer version
+   * @param {Array} afterParams - its parameters
+   * @returns {Object} { settings, parameters, summary } where settings lists the settings that
+   *   differ ({ key, label, before, after }) and parameters has one entry per parameter key:
+   *   { key, status: added | removed | renamed | changed | unchanged, before, after, changes }
+   */
+  compare(before, beforeParams, after, afterParams) {
+    const settings = SCORECARD_VERSION_SETTINGS
+      .filter(({ key }) => normalizeVersionValue(key, before[key]) !== normalizeVersionValue(key, after[key]))
+      .map(({ key, label }) => ({ key, label, before: before[key], after: after[key] }))
+
+    const beforeByKey = new Map(beforeParams.map(param => [this.parameterKeyOf(param), param]))
+    const afterKeys = new Set(afterParams.map(param => this.parameterKeyOf(param)))
+
+    const parameters = afterParams.map(param => {
+      const key = this.parameterKeyOf(param)
+      const old = beforeByKey.get(key)
+      if (!old) return { key, status: 'added', before: null, after: param, changes: [] }
+
+      const changes = SCORECARD_VERSION_PARAMETER_FIELDS
+        .filter(({ key: field }) => normalizeVersionValue(field, old[field]) !== normalizeVersionValue(field, param[field]))
+        .map(({ key: field, label }) => ({ key: field, label, before: old[field], after: param[field] }))
+      const renamed = changes.some(change => change.key === 'field_id' || change.key === 'error_name')
+      const status = renamed ? 'renamed' : (changes.length > 0 ? 'changed' : 'unchanged')
+      return { key, status, before: old, after: param, changes }
+    })
+
+    beforeParams
+      .filter(param => !afterKeys.has(this.parameterKeyOf(param)))
+      .forEach(param => {
+        parameters.push({ key: this.parameterKeyOf(param), status: 'removed', before: param, after: null, changes: [] })
+      })
+
+    const summary = {}
+    parameters.forEach(({ status }) => { summary[status] = (summary[status] || 0) + 1 })
+
+    return { settings, parameters, summary }
+  },
+
+  /**
+   * Map every version's parameters to their family and parameter key, named as in the newest
+   * version that has them, so reports can add up a parameter across versions even when it was
+   * renamed
+   * @param {Array} scorecards - scorecards rows
+   * @param {Object} parametersByScorecard - { scorecard_id: [scorecard_parameters rows] }
+   * @returns {Object} { 'scorecard_id:field_id': { familyId, key, name } }
+   */
+  buildLineage(scorecards, parametersByScorecard) {
+    const lineage = {}
+    this.groupFamilies(scorecards).forEach(family => {
+      const names = {}
+      // Oldest first, so newer released versions overwrite the names of older ones
+      family.versions.forEach(version => {
+        const isDraft = this.statusOf(version) === 'draft'
+        const params = parametersByScorecard[version.id] || []
+        params.forEach(param => {
+          const key = this.parameterKeyOf(param)
+          if (!isDraft || !(key in names)) names[key] = param.error_name
+        })
+      })
+
+      family.versions.forEach(version => {
+        (parametersByScorecard[version.id] || []).forEach(param => {
+          const key = this.parameterKeyOf(param)
+          lineage[`${version.id}:${param.field_id}`] = { familyId: family.id, key, name: names[key] || param.error_name }
+        })
+      })
+    })
+    return lineage
+  }
+}
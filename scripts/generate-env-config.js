@@ -13,9 +13,25 @@ const envConfig = {
   SUPABASE_ANON_KEY: process.env.SUPABASE_ANON_KEY || '',
   INTERCOM_ACCESS_TOKEN: process.env.INTERCOM_ACCESS_TOKEN || '',
   INTERCOM_API_BASE_URL: process.env.INTERCOM_API_BASE_URL || 'https://api.intercom.io',
-  INTERCOM_APP_ID: process.env.INTERCOM_APP_ID || ''
+  INTERCOM_APP_ID: process.env.INTERCOM_APP_ID || '',
+  // Inactivity sign-out; 0 minutes disables it
+  IDLE_TIMEOUT_MINUTES: parseInt(process.env.IDLE_TIMEOUT_MINUTES || '30', 10),
+  IDLE_WARNING_SECONDS: parseInt(process.env.IDLE_WARNING_SECONDS || '60', 10),
+  // Extra sign-in providers, a JSON array (see SupabaseSSO in supabase-config.js)
+  SSO_PROVIDERS: process.env.SSO_PROVIDERS || '[]'
 };
 
+let ssoProviders = [];
+try {
+  ssoProviders = JSON.parse(envConfig.SSO_PROVIDERS);
+  if (!Array.isArray(ssoProviders)) {
+    throw new Error('SSO_PROVIDERS must be a JSON array');
+  }
+} catch (error) {
+  console.error(`Error: Invalid SSO_PROVIDERS - ${error.message}`);
+  process.exit(1);
+}
+
 // Generate the env-config.js file content
 const configContent = `/**
  * Environment Configuration
@@ -28,7 +44,10 @@ window.env = {
   SUPABASE_ANON_KEY: '${envConfig.SUPABASE_ANON_KEY}',
   INTERCOM_ACCESS_TOKEN: '${envConfig.INTERCOM_ACCESS_TOKEN}',
   INTERCOM_API_BASE_URL: '${envConfig.INTERCOM_API_BASE_URL}',
-  INTERCOM_APP_ID: '${envConfig.INTERCOM_APP_ID}'
+  INTERCOM_APP_ID: '${envConfig.INTERCOM_APP_ID}',
+  IDLE_TIMEOUT_MINUTES: ${Number.isNaN(envConfig.IDLE_TIMEOUT_MINUTES) ? 30 : envConfig.IDLE_TIMEOUT_MINUTES},
+  IDLE_WARNING_SECONDS: ${Number.isNaN(envConfig.IDLE_WARNING_SECONDS) ? 60 : envConfig.IDLE_WARNING_SECONDS},
+  SSO_PROVIDERS: ${JSON.stringify(ssoProviders)}
 };
 `;
 
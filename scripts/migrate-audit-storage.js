@@ -0,0 +1,182 @@
+/**
+ * Migrate Audits to Normalized Storage
+ * Copies every per-scorecard audit table into audits / audit_parameter_results and, with
+ * --switch, replaces each table with a compatibility view over the normalized tables.
+ *
+ * Usage:
+ *   node scripts/migrate-audit-storage.js [--dry-run] [--switch] [--table <name>]
+ *   node scripts/migrate-audit-storage.js --restore --table <name>
+ *
+ *   --dry-run  Copy inside a transaction that is rolled back and report what would happen
+ *   --switch   After a clean copy, swap the table for a view (see migration 20261019000016)
+ *   --table    Only this scorecard table
+ *   --restore  Put a switched table back in place of its view
+ */
+
+require('dotenv').config();
+const { createClient } = require('@supabase/supabase-js');
+
+// Configuration
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+const args = process.argv.slice(2);
+const DRY_RUN = args.includes('--dry-run');
+const SWITCH = args.includes('--switch');
+const RESTORE = args.includes('--restore');
+const tableIndex = args.indexOf('--table');
+const ONLY_TABLE = tableIndex !== -1 ? args[tableIndex + 1] : null;
+
+// Validate configuration
+if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+    console.error('❌ Error: SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY must be set in environment variables');
+    process.exit(1);
+}
+
+if (tableIndex !== -1 && !ONLY_TABLE) {
+    console.error('❌ Error: --table needs a table name');
+    process.exit(1);
+}
+
+if (RESTORE && !ONLY_TABLE) {
+    console.error('❌ Error: --restore needs --table <name>');
+    process.exit(1);
+}
+
+if (DRY_RUN && (SWITCH || RESTORE)) {
+    console.error('❌ Error: --dry-run can\'t be combined with --switch or --restore');
+    process.exit(1);
+}
+
+// The migration functions are only granted to the service role
+const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY);
+
+/**
+ * Scorecard tables to migrate
+ */
+async function getAuditTables() {
+    const { data, error } = await supabase.rpc('get_audit_tables');
+    if (error) {
+        throw new Error(`get_audit_tables failed: ${error.message}`);
+    }
+
+    const tables = (data || []).filter(table => !ONLY_TABLE || table.table_name === ONLY_TABLE);
+    if (ONLY_TABLE && tables.length === 0) {
+        throw new Error(`${ONLY_TABLE} is not an audit table`);
+    }
+    return tables;
+}
+
+/**
+ * Copy (and optionally switch) one table
+ */
+async function migrateTable(table) {
+    if (table.storage === 'normalized') {
+        console.log(`⏭️  ${table.table_name}: already switched`);
+        return { table_name: table.table_name, success: true, skipped: true };
+    }
+
+    const rpcName = SWITCH ? 'switch_audit_table' : 'migrate_audit_table';
+    const params = SWITCH
+        ? { p_table_name: table.table_name }
+        : { p_table_name: table.table_name, p_dry_run: DRY_RUN };
+
+    const { data, error } = await supabase.rpc(rpcName, params);
+    if (error) {
+        console.error(`❌ ${table.table_name}: ${error.message}`);
+        return { table_name: table.table_name, success: false, error: error.message };
+    }
+
+    const result = data || {};
+    const counts = `${result.copied_rows ?? 0}/${result.source_rows ?? 0} rows copied`;
+    if (result.success) {
+        // Every row of the table should now be in audits exactly once
+        const verified = result.normalized_rows === result.source_rows;
+        const status = result.switched ? 'switched to view' : (DRY_RUN ? 'dry run' : 'copied');
+        console.log(`${verified ? '✅' : '⚠️ '} ${table.table_name}: ${counts}, ${status}` +
+            (verified ? '' : ` (audits holds ${result.normalized_rows})`));
+        if (!verified) {
+            result.success = false;
+            result.error = 'Row counts differ after copy';
+        }
+    } else {
+        console.error(`❌ ${table.table_name}: ${counts}, ${result.failed_rows ?? 0} failed` +
+            (result.error ? ` - ${result.error}` : ''));
+        (result.errors || []).forEach(({ id, error: rowError }) => {
+            console.error(`   - ${id || 'no id'}: ${rowError}`);
+        });
+    }
+    return result;
+}
+
+/**
+ * Put one switched table back
+ */
+async function restoreTable() {
+    console.log('═══════════════════════════════════════════════════════');
+    console.log(`↩️  RESTORING ${ONLY_TABLE}`);
+    console.log('═══════════════════════════════════════════════════════');
+
+    const { data, error } = await supabase.rpc('restore_audit_table', { p_table_name: ONLY_TABLE });
+    if (error || !data || !data.success) {
+        console.error(`❌ ${error ? error.message : (data && data.error) || 'Restore failed'}`);
+        process.exit(1);
+    }
+
+    console.log(`✅ ${ONLY_TABLE} restored with ${data.restored_rows} rows`);
+    process.exit(0);
+}
+
+/**
+ * Main migration function
+ */
+async function main() {
+    try {
+        if (RESTORE) {
+            await restoreTable();
+            return;
+        }
+
+        console.log('═══════════════════════════════════════════════════════');
+        console.log(`🔄 MIGRATING AUDITS TO NORMALIZED STORAGE${DRY_RUN ? ' (DRY RUN)' : ''}`);
+        console.log('═══════════════════════════════════════════════════════');
+
+        const tables = await getAuditTables();
+        if (tables.length === 0) {
+            console.log('⚠️  No audit tables found');
+            process.exit(0);
+        }
+
+        const results = [];
+        for (const table of tables) {
+            results.push(await migrateTable(table));
+        }
+
+        const failed = results.filter(result => !result.success);
+        const rows = results.reduce((sum, result) => sum + (result.copied_rows || 0), 0);
+
+        console.log('═══════════════════════════════════════════════════════');
+        console.log('📊 MIGRATION SUMMARY');
+        console.log('═══════════════════════════════════════════════════════');
+        console.log(`📋 Tables: ${tables.length}`);
+        console.log(`✅ Rows copied: ${rows}`);
+        console.log(`❌ Tables with errors: ${failed.length}`);
+        console.log('═══════════════════════════════════════════════════════');
+
+        if (failed.length === 0) {
+            console.log(`\n🎉 ${DRY_RUN ? 'Dry run finished, nothing was changed' : 'All audit tables migrated successfully!'}`);
+            process.exit(0);
+        } else {
+            console.log(`\n⚠️  Migration completed with ${failed.length} table(s) needing attention`);
+            process.exit(1);
+        }
+
+    } catch (error) {
+        console.error('\n❌ FATAL ERROR');
+        console.error(error);
+        process.exit(1);
+    }
+}
+
+// Run the migration
+main();
@@ -73,25 +73,10 @@ getClient: () => supabaseClient
 window.SupabaseAuth = {
 /**
  * Sign in with Google OAuth
+ * Kept for existing callers; other identity providers go through SupabaseSSO.signIn()
  */
 async signInWithGoogle() {
-  if (!supabaseClient) {
-    throw new Error('Supabase client not initialized')
-  }
-  
-  const { data, error } = await supabaseClient.auth.signInWithOAuth({
-    provider: 'google',
-    options: {
-      redirectTo: window.location.origin
-    }
-  })
-  
-  if (error) {
-    console.error('Google sign-in error:', error)
-    throw error
-  }
-  
-  return data
+  return window.SupabaseSSO.signIn('google')
 },
 
 /**
@@ -207,35 +192,701 @@ async isSessionValid() {
 }
 }
 
+// Email/password authentication helpers
+// Credentials are verified by the password-auth edge function; the browser only
+// ever holds an opaque session token (localStorage 'sessionToken'), never a hash
+window.SupabasePasswordAuth = {
+SESSION_KEY: 'sessionToken',
+
+/**
+ * Call an action on the password-auth edge function
+ * Sends the password session token and, for OAuth users, the Supabase access token
+ */
+async invoke(action, payload = {}) {
+  if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
+    throw new Error('Supabase configuration missing')
+  }
+
+  const headers = {
+    'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
+    'apikey': SUPABASE_ANON_KEY,
+    'Content-Type': 'application/json',
+    'Accept': 'application/json'
+  }
+
+  const sessionToken = this.getSessionToken()
+  if (sessionToken) {
+    headers['x-session-token'] = sessionToken
+  } else if (supabaseClient) {
+    const { data: { session } } = await supabaseClient.auth.getSession()
+    if (session?.access_token) {
+      headers['Authorization'] = `Bearer ${session.access_token}`
+    }
+  }
+
+  const response = await fetch(`${SUPABASE_URL}/functions/v1/password-auth`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ action, ...payload })
+  })
+
+  const result = await response.json().catch(() => ({}))
+
+  if (!response.ok) {
+    const error = new Error(result.error || `password-auth ${action} failed (${response.status})`)
+    error.code = result.code
+    error.status = response.status
+    throw error
+  }
+
+  return result
+},
+
+/**
+ * Get the stored password session token
+ */
+getSessionToken() {
+  return localStorage.getItem(this.SESSION_KEY)
+},
+
+/**
+ * Sign in with email and password
+ * @returns {Object} { user, session, weak_password }
+ */
+async signIn(email, password) {
+  const result = await this.invoke('login', {
+    email: (email || '').toLowerCase().trim(),
+    password
+  })
+
+  localStorage.setItem(this.SESSION_KEY, result.session.token)
+  return result
+},
+
+/**
+ * Validate the stored session token against the server
+ * @returns {Object|null} Current user row, or null if the session is invalid
+ */
+async validateSession() {
+  if (!this.getSessionToken()) {
+    return null
+  }
+
+  try {
+    const result = await this.invoke('validate-session')
+    return result.user
+  } catch (error) {
+    if (error.status === 401) {
+      localStorage.removeItem(this.SESSION_KEY)
+      return null
+    }
+    // Network/server errors are rethrown so callers can decide whether to trust the cache
+    throw error
+  }
+},
+
+/**
+ * Revoke the current session on the server and forget the token
+ * Also ends the tracked session for Google sign-ins (call before SupabaseAuth.signOut)
+ */
+async signOut() {
+  try {
+    await this.invoke('logout')
+  } catch (error) {
+    console.warn('Error revoking password session:', error)
+  } finally {
+    localStorage.removeItem(this.SESSION_KEY)
+  }
+  return true
+},
+
+/**
+ * Change the current user's password
+ */
+async changePassword(currentPassword, newPassword) {
+  return this.invoke('change-password', {
+    current_password: currentPassword,
+    new_password: newPassword
+  })
+},
+
+/**
+ * Set another user's password (admin reset or initial password for a new user)
+ */
+async setPassword(email, password) {
+  return this.invoke('set-password', {
+    email: (email || '').toLowerCase().trim(),
+    password
+  })
+},
+
+// Two-factor authentication (TOTP). These work for password and Google sessions alike:
+// invoke() sends whichever credential the browser holds.
+
+/**
+ * Get MFA enrollment, role policy and whether this session has passed the second factor
+ * @returns {Object} { enrolled, required, verified }
+ */
+async getMfaStatus() {
+  return this.invoke('mfa-status')
+},
+
+/**
+ * Start MFA enrollment
+ * @returns {Object} { secret, otpauth_url } for the authenticator app
+ */
+async startMfaEnrollment() {
+  return this.invoke('mfa-enroll-start')
+},
+
+/**
+ * Finish MFA enrollment with the first code from the authenticator app
+ * @returns {Object} { recovery_codes } - shown to the user once
+ */
+async confirmMfaEnrollment(code) {
+  return this.invoke('mfa-enroll-confirm', { code })
+},
+
+/**
+ * Pass the second factor for this session with an authenticator or recovery code
+ * @returns {Object} { used_recovery_code, recovery_codes_remaining }
+ */
+async verifyMfa({ code, recoveryCode } = {}) {
+  return this.invoke('mfa-verify', { code, recovery_code: recoveryCode })
+},
+
+/**
+ * Replace the recovery codes (requires a current authenticator code)
+ * @returns {Object} { recovery_codes }
+ */
+async regenerateRecoveryCodes(code) {
+  return this.invoke('mfa-recovery-codes', { code })
+},
+
+/**
+ * Turn MFA off (rejected when the user's role requires it)
+ */
+async disableMfa(code) {
+  return this.invoke('mfa-disable', { code })
+},
+
+// Sessions: every signed-in browser is tracked in user_sessions
+
+/**
+ * Record activity for this browser's session (creates it for Google sign-ins)
+ * Throws with status 401 once the session has been revoked
+ */
+async touchSession(provider) {
+  return this.invoke('touch-session', { provider })
+},
+
+/**
+ * List active sessions for the current user, or for another user (Admins)
+ * @returns {Array} Sessions with device, ip_address, provider, last_seen_at and current
+ */
+async listSessions(email) {
+  const result = await this.invoke('list-sessions', { email })
+  return result.sessions || []
+},
+
+/**
+ * Revoke a single session by id
+ */
+async revokeSession(sessionId) {
+  return this.invoke('revoke-session', { session_id: sessionId })
+},
+
+/**
+ * Revoke all sessions of the current user (or another user, for Admins)
+ * @param {Object} options - { email, keepCurrent } - keepCurrent keeps this browser signed in
+ * @returns {Object} { revoked } - number of sessions revoked
+ */
+async revokeAllSessions({ email, keepCurrent = false } = {}) {
+  return this.invoke('revoke-all-sessions', { email, keep_current: keepCurrent })
+},
+
+/**
+ * Email a password reset link (same response whether or not the account exists)
+ * Throws code 'rate_limited' after too many requests for one email
+ */
+async requestPasswordReset(email) {
+  return this.invoke('request-password-reset', { email: (email || '').toLowerCase().trim() })
+},
+
+/**
+ * Check a reset link's token
+ * @returns {Object|null} { expires_at }, or null if the token is invalid or expired
+ */
+async verifyResetToken(token) {
+  try {
+    return await this.invoke('verify-reset-token', { token })
+  } catch (error) {
+    if (error.code === 'invalid_token') return null
+    throw error
+  }
+},
+
+/**
+ * Set a new password with a reset token; all of the user's sessions are signed out
+ */
+async resetPassword(token, newPassword) {
+  return this.invoke('reset-password', { token, new_password: newPassword })
+}
+}
+
+// Cross-tab auth events (login, logout, role-change, activity) for tabs of this app
+// Loaded here rather than in auth-check.js so login.html can announce logins too
+window.AuthBroadcast = {
+CHANNEL_NAME: 'qms-auth',
+channel: null,
+
+getChannel() {
+  if (!this.channel && typeof BroadcastChannel !== 'undefined') {
+    this.channel = new BroadcastChannel(this.CHANNEL_NAME)
+  }
+  return this.channel
+},
+
+/**
+ * Send an event to every other open tab (the sending tab does not receive it)
+ * @param {string} type - 'login' | 'logout' | 'role-change' | 'activity'
+ * @param {Object} data - Extra fields sent with the event
+ */
+post(type, data = {}) {
+  const channel = this.getChannel()
+  if (!channel) return
+  try {
+    channel.postMessage({ type, ...data, sent_at: Date.now() })
+  } catch (error) {
+    console.warn('Error broadcasting auth event:', error)
+  }
+},
+
+/**
+ * Listen for events from other tabs
+ * @param {Function} handler - Called with the event object ({ type, ... })
+ * @returns {Function} Unsubscribe function
+ */
+subscribe(handler) {
+  const channel = this.getChannel()
+  if (!channel) return () => {}
+  const listener = (event) => {
+    if (event.data && event.data.type) handler(event.data)
+  }
+  channel.addEventListener('message', listener)
+  return () => channel.removeEventListener('message', listener)
+}
+}
+
+// Sign-in provider registry: Google plus the OIDC/SAML identity providers listed in
+// SSO_PROVIDERS (env-config.js, generated by build-config.js). A provider is
+//   { id, label, type: 'oauth' | 'saml', provider, providerId, domains, scopes, queryParams, enforce }
+//   oauth   - provider is the Supabase Auth provider name (google, azure, keycloak, ...)
+//   saml    - providerId is the Supabase SSO provider id; without it the email domain is used
+//   domains - email domains that login.html routes to this provider; enforce hides the
+//             password form for them
+// Users are provisioned and given a role server-side (password-auth sso-provision)
+window.SupabaseSSO = {
+PROVIDER_KEY: 'ssoProvider',
+providers: {},
+
+/**
+ * Add a provider (or replace one with the same id)
+ */
+register(config) {
+  if (!config || !config.id || !['oauth', 'saml'].includes(config.type)) {
+    throw new Error(`Invalid SSO provider configuration: ${JSON.stringify(config)}`)
+  }
+  if (config.type === 'oauth' && !config.provider) {
+    throw new Error(`SSO provider ${config.id} needs a Supabase Auth provider name`)
+  }
+  this.providers[config.id] = {
+    label: config.id,
+    ...config,
+    domains: (config.domains || []).map(domain => domain.toLowerCase().trim())
+  }
+  return this.providers[config.id]
+},
+
+get(id) {
+  return this.providers[id] || null
+},
+
+list() {
+  return Object.values(this.providers)
+},
+
+/**
+ * Find the provider that handles an email's domain (subdomains included)
+ */
+findByEmail(email) {
+  const domain = (email || '').split('@')[1]?.toLowerCase().trim()
+  if (!domain) return null
+  return this.list().find(provider =>
+    provider.domains.some(allowed => domain === allowed || domain.endsWith(`.${allowed}`))
+  ) || null
+},
+
+/**
+ * True if a stored userInfo.provider is a Supabase Auth (OAuth/SSO) sign-in rather than a password
+ */
+isSsoProvider(provider) {
+  return provider === 'supabase' || !!this.providers[provider]
+},
+
+getLabel(provider) {
+  if (provider === 'password') return 'Password'
+  return this.providers[provider]?.label || 'Single sign-on'
+},
+
+getRedirectUrl() {
+  // Use SITE_URL if configured, otherwise auto-detect
+  const baseUrl = (window.env?.SITE_URL && window.env.SITE_URL.trim() !== '')
+    ? window.env.SITE_URL.replace(/\/$/, '')
+    : window.location.origin
+  return `${baseUrl}/auth-callback.html`
+},
+
+/**
+ * Start a redirect-based sign-in with a provider
+ * @param {string} id - Provider id
+ * @param {Object} options - { email } - passed as a login hint / used for SAML domain lookup
+ */
+async signIn(id, { email } = {}) {
+  const config = this.get(id)
+  if (!config) {
+    throw new Error(`Unknown sign-in provider: ${id}`)
+  }
+  if (!supabaseClient) {
+    throw new Error('Supabase client not initialized')
+  }
+
+  // auth-callback.html reads this to know which provider the user came back from
+  sessionStorage.setItem(this.PROVIDER_KEY, id)
+  const redirectTo = this.getRedirectUrl()
+
+  if (config.type === 'saml') {
+    const domain = (email || '').split('@')[1] || config.domains[0]
+    const { data, error } = await supabaseClient.auth.signInWithSSO(
+      config.providerId
+        ? { providerId: config.providerId, options: { redirectTo } }
+        : { domain, options: { redirectTo } }
+    )
+    if (error) {
+      console.error(`${config.label} sign-in error:`, error)
+      throw error
+    }
+    window.location.href = data.url
+    return data
+  }
+
+  const queryParams = { ...(config.queryParams || {}) }
+  if (email) {
+    queryParams.login_hint = email
+  }
+
+  const { data, error } = await supabaseClient.auth.signInWithOAuth({
+    provider: config.provider,
+    options: {
+      redirectTo,
+      scopes: config.scopes,
+      queryParams
+    }
+  })
+
+  if (error) {
+    console.error(`${config.label} sign-in error:`, error)
+    throw error
+  }
+
+  return data
+},
+
+/**
+ * Link or create the users row for the signed-in Supabase Auth user
+ * @returns {Object} { user, provisioned } - throws code 'sso_not_configured' for providers
+ *                   without server-side SSO settings (existing users only)
+ */
+async provision() {
+  return window.SupabasePasswordAuth.invoke('sso-provision')
+}
+}
+
+window.SupabaseSSO.register({
+  id: 'google',
+  label: 'Google',
+  type: 'oauth',
+  provider: 'google',
+  queryParams: { access_type: 'offline', prompt: 'consent' }
+})
+
+// SSO_PROVIDERS may be an array or a JSON string
+try {
+  const configured = window.env?.SSO_PROVIDERS
+  const ssoProviders = typeof configured === 'string' && configured.trim() ? JSON.parse(configured) : configured
+  ;(Array.isArray(ssoProviders) ? ssoProviders : []).forEach(provider => window.SupabaseSSO.register(provider))
+} catch (error) {
+  console.error('Error loading SSO_PROVIDERS:', error)
+}
+
+// Errors thrown by SupabaseDB
+// code keeps the PostgREST/Postgres code; type groups codes so callers can branch on them
+class SupabaseDBError extends Error {
+  constructor(message, { type = 'unknown', code = null, table = null, operation = null, details = null, hint = null, cause = null } = {}) {
+    super(message)
+    this.name = 'SupabaseDBError'
+    this.type = type
+    this.code = code
+    this.table = table
+    this.operation = operation
+    this.details = details
+    this.hint = hint
+    this.cause = cause
+  }
+
+  /**
+   * Wrap a PostgREST error in a SupabaseDBError
+   */
+  static from(error, table, operation) {
+    if (error instanceof SupabaseDBError) return error
+
+    const code = error?.code || null
+    let type = 'unknown'
+    if (code === 'PGRST116') type = 'not_found'
+    else if (code === '23505' || code === '23503') type = 'conflict'
+    else if (code === '23502' || code === '23514' || code === '22P02') type = 'validation'
+    else if (code === '42501' || error?.status === 401 || error?.status === 403) type = 'permission_denied'
+    else if (code === '42P01' || code === '42703' || (code && code.startsWith('PGRST1'))) type = 'invalid_query'
+    else if (error?.name === 'TypeError' || error?.message?.includes('Failed to fetch')) type = 'network'
+
+    return new SupabaseDBError(error?.message || `${operation} on ${table} failed`, {
+      type,
+      code,
+      table,
+      operation,
+      details: error?.details || null,
+      hint: error?.hint || null,
+      cause: error
+    })
+  }
+}
+
+// Filter operators accepted in SupabaseDB filters: { column, op, value }
+const SUPABASE_DB_FILTER_OPS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'like', 'ilike', 'is']
+
+/**
+ * Quote a value for a PostgREST or() expression
+ */
+function formatFilterValue(value) {
+  if (value === null) return 'null'
+  const text = String(value)
+  return /[,.():"\\\s]/.test(text) ? `"${text.replace(/(["\\])/g, '\\$1')}"` : text
+}
+
+/**
+ * Turn filter objects into a PostgREST or() expression
+ * Nested { and: [...] } / { or: [...] } groups are supported
+ */
+function buildOrExpression(filters) {
+  return filters.map(filter => {
+    if (filter.and) return `and(${buildOrExpression(filter.and)})`
+    if (filter.or) return `or(${buildOrExpression(filter.or)})`
+
+    const op = filter.op || 'eq'
+    if (!SUPABASE_DB_FILTER_OPS.includes(op)) {
+      throw new SupabaseDBError(`Unsupported filter operator: ${op}`, { type: 'invalid_query' })
+    }
+    const value = op === 'in'
+      ? `(${(filter.value || []).map(formatFilterValue).join(',')})`
+      : formatFilterValue(filter.value)
+    return `${filter.column}.${op}.${value}`
+  }).join(',')
+}
+
+/**
+ * Apply a filter (or list of filters) to a PostgREST query
+ */
+function applyFilters(query, filters) {
+  const list = Array.isArray(filters) ? filters : (filters ? [filters] : [])
+
+  for (const filter of list) {
+    const op = filter.op || 'eq'
+    if (!SUPABASE_DB_FILTER_OPS.includes(op)) {
+      throw new SupabaseDBError(`Unsupported filter operator: ${op}`, { type: 'invalid_query' })
+    }
+    query = query[op](filter.column, filter.value)
+  }
+
+  return query
+}
+
 // Database helper functions
 window.SupabaseDB = {
 /**
- * Generic function to fetch data from any table
+ * Build a select query from fetch options
+ * @param {string} tableName - Table to read
+ * @param {Object} options
+ *   select   - column list (string or array), defaults to '*'
+ *   filter   - single { column, value } equality filter (kept for existing callers)
+ *   filters  - array of { column, op, value }; op is one of eq, neq, gt, gte, lt, lte, in, like, ilike, is
+ *   or       - array of filters (or { and: [...] } groups) of which at least one must match,
+ *              or a raw PostgREST or() string
+ *   orderBy  - { column, ascending } or an array of them
+ *   limit    - maximum rows
+ *   range    - { from, to } row offsets (inclusive)
+ *   count    - 'exact', 'planned' or 'estimated' to also return the total row count
  */
-async fetch(tableName, options = {}) {
+buildQuery(tableName, options = {}) {
   if (!supabaseClient) {
-    throw new Error('Supabase client not initialized')
+    throw new SupabaseDBError('Supabase client not initialized', { type: 'network', table: tableName, operation: 'select' })
   }
-  
-  let query = supabaseClient.from(tableName).select(options.select || '*')
-  
-  if (options.filter) {
-    query = query.eq(options.filter.column, options.filter.value)
+
+  const columns = Array.isArray(options.select) ? options.select.join(', ') : (options.select || '*')
+  let query = options.count
+    ? supabaseClient.from(tableName).select(columns, { count: options.count })
+    : supabaseClient.from(tableName).select(columns)
+
+  query = applyFilters(query, options.filter)
+  query = applyFilters(query, options.filters)
+
+  if (options.or) {
+    query = query.or(typeof options.or === 'string' ? options.or : buildOrExpression(options.or))
+  }
+
+  const orderBy = Array.isArray(options.orderBy) ? options.orderBy : (options.orderBy ? [options.orderBy] : [])
+  for (const order of orderBy) {
+    query = query.order(order.column, { ascending: order.ascending !== false })
   }
+
+  if (options.range) {
+    query = query.range(options.range.from, options.range.to)
+  } else if (options.limit) {
+    query = query.limit(options.limit)
+  }
+
+  return query
+},
+
+/**
+ * Generic function to fetch data from any table
+ * Takes the options described in buildQuery(); returns the rows, or { data, count } when
+ * options.count is set
+ */
+async fetch(tableName, options = {}) {
+  const { data, error, count } = await this.buildQuery(tableName, options)
   
-  if (options.orderBy) {
-    query = query.order(options.orderBy.column, { ascending: options.orderBy.ascending !== false })
+  if (error) {
+    console.error(`Error fetching from ${tableName}:`, error)
+    throw SupabaseDBError.from(error, tableName, 'select')
   }
   
-  if (options.limit) {
-    query = query.limit(options.limit)
+  return options.count ? { data: data || [], count } : data
+},
+
+/**
+ * Fetch one page of rows with an exact total count
+ * @param {string} tableName - Table to read
+ * @param {Object} options - buildQuery() options plus page (1-based) and pageSize
+ * @returns {Object} { data, count, page, pageSize, totalPages, hasMore }
+ */
+async fetchPage(tableName, options = {}) {
+  const page = Math.max(1, parseInt(options.page) || 1)
+  const pageSize = Math.max(1, parseInt(options.pageSize) || 50)
+  const from = (page - 1) * pageSize
+
+  const { data, count } = await this.fetch(tableName, {
+    ...options,
+    count: options.count || 'exact',
+    range: { from, to: from + pageSize - 1 }
+  })
+
+  const totalPages = count === null || count === undefined ? null : Math.ceil(count / pageSize)
+  return {
+    data,
+    count,
+    page,
+    pageSize,
+    totalPages,
+    hasMore: count === null || count === undefined ? data.length === pageSize : from + data.length < count
+  }
+},
+
+/**
+ * Fetch rows after a cursor (keyset pagination)
+ * Stable under concurrent inserts, unlike offsets. Rows are ordered by cursorColumn, with
+ * tieBreaker (a unique column) deciding between equal values.
+ * @param {string} tableName - Table to read
+ * @param {Object} options - buildQuery() options plus
+ *   cursorColumn - column to page through (default 'created_at')
+ *   tieBreaker   - unique column (default 'id')
+ *   ascending    - sort direction (default false, newest first)
+ *   cursor       - nextCursor from the previous call; omit for the first page
+ *   limit        - page size (default 50)
+ * @returns {Object} { data, nextCursor, hasMore }
+ */
+async fetchAfter(tableName, options = {}) {
+  const cursorColumn = options.cursorColumn || 'created_at'
+  const tieBreaker = options.tieBreaker || 'id'
+  const ascending = options.ascending === true
+  const limit = Math.max(1, parseInt(options.limit) || 50)
+
+  const orderBy = [{ column: cursorColumn, ascending }]
+  if (tieBreaker !== cursorColumn) orderBy.push({ column: tieBreaker, ascending })
+
+  let or = options.or
+  if (options.cursor) {
+    let position
+    try {
+      position = JSON.parse(atob(options.cursor))
+    } catch (error) {
+      throw new SupabaseDBError('Invalid pagination cursor', { type: 'invalid_query', table: tableName, operation: 'select' })
+    }
+
+    const op = ascending ? 'gt' : 'lt'
+    const after = tieBreaker === cursorColumn
+      ? [{ column: cursorColumn, op, value: position.value }]
+      : [
+          { column: cursorColumn, op, value: position.value },
+          { and: [{ column: cursorColumn, op: 'eq', value: position.value }, { column: tieBreaker, op, value: position.key }] }
+        ]
+
+    if (or) {
+      // Both the caller's or() and the cursor must hold
+      const callerOr = typeof or === 'string' ? or : buildOrExpression(or)
+      or = `and(or(${callerOr}),or(${buildOrExpression(after)}))`
+    } else {
+      or = after
+    }
+  }
+
+  // Fetch one extra row to know whether there is another page
+  const rows = await this.fetch(tableName, { ...options, or, orderBy, limit: limit + 1, range: null, count: null })
+  const hasMore = rows.length > limit
+  const data = hasMore ? rows.slice(0, limit) : rows
+  const last = data[data.length - 1]
+
+  return {
+    data,
+    hasMore,
+    nextCursor: hasMore && last
+      ? btoa(JSON.stringify({ value: last[cursorColumn], key: last[tieBreaker] }))
+      : null
+  }
+},
+
+/**
+ * Call a database function (RPC)
+ */
+async rpc(functionName, params = {}) {
+  if (!supabaseClient) {
+    throw new SupabaseDBError('Supabase client not initialized', { type: 'network', table: functionName, operation: 'rpc' })
   }
   
-  const { data, error } = await query
+  const { data, error } = await supabaseClient.rpc(functionName, params)
   
   if (error) {
-    console.error(`Error fetching from ${tableName}:`, error)
-    throw error
+    console.error(`Error calling ${functionName}:`, error)
+    throw SupabaseDBError.from(error, functionName, 'rpc')
   }
   
   return data
@@ -249,6 +900,9 @@ async insert(tableName, data) {
     throw new Error('Supabase client not initialized')
   }
   
+  // "View as" mode is read-only
+  window.accessControl?.assertWritable(tableName, 'insert')
+  
   const { data: result, error } = await supabaseClient
     .from(tableName)
     .insert(data)
@@ -256,7 +910,7 @@ async insert(tableName, data) {
   
   if (error) {
     console.error(`Error inserting into ${tableName}:`, error)
-    throw error
+    throw SupabaseDBError.from(error, tableName, 'insert')
   }
   
   return result
@@ -264,42 +918,27 @@ async insert(tableName, data) {
 
 /**
  * Generic function to update data in any table
- * IMPORTANT: For 'users' table, password_hash should NEVER be updated unless explicitly intended
+ * filter is a { column, value } equality filter or an array of { column, op, value } filters
  */
 async update(tableName, data, filter) {
   if (!supabaseClient) {
     throw new Error('Supabase client not initialized')
   }
   
-  // Safety check: If password_hash is being updated in users table, log heavily
+  window.accessControl?.assertWritable(tableName, 'update')
+  
+  // Passwords live in user_credentials and are only written by the password-auth function
   if (tableName === 'users' && data.password_hash !== undefined) {
-    const stackTrace = new Error().stack;
-    console.error(`[CRITICAL WARNING] password_hash is being updated in users table!`, {
-      filter: filter,
-      userEmail: filter?.value || 'unknown',
-      hashPreview: typeof data.password_hash === 'string' 
-        ? data.password_hash.substring(0, 8) + '...' 
-        : data.password_hash,
-      hashLength: typeof data.password_hash === 'string' ? data.password_hash.length : 'N/A',
-      caller: stackTrace.split('\n')[2]?.trim() || 'unknown',
-      fullStack: stackTrace
-    });
-    
-    // Log the full stack trace to identify the source
-    console.error('Full stack trace:', stackTrace);
+    throw new Error('password_hash cannot be updated directly. Use SupabasePasswordAuth instead.')
   }
   
-  let query = supabaseClient.from(tableName).update(data)
-  
-  if (filter) {
-    query = query.eq(filter.column, filter.value)
-  }
+  const query = applyFilters(supabaseClient.from(tableName).update(data), filter)
   
   const { data: result, error } = await query.select()
   
   if (error) {
     console.error(`Error updating ${tableName}:`, error)
-    throw error
+    throw SupabaseDBError.from(error, tableName, 'update')
   }
   
   return result
@@ -307,55 +946,59 @@ async update(tableName, data, filter) {
 
 /**
  * Generic function to delete data from any table
+ * filter is required and takes the same forms as update()
  */
 async delete(tableName, filter) {
   if (!supabaseClient) {
     throw new Error('Supabase client not initialized')
   }
   
-  if (!filter) {
-    throw new Error('Filter is required for delete operations')
+  if (!filter || (Array.isArray(filter) && filter.length === 0)) {
+    throw new SupabaseDBError('Filter is required for delete operations', { type: 'invalid_query', table: tableName, operation: 'delete' })
   }
   
-  const { error } = await supabaseClient
-    .from(tableName)
-    .delete()
-    .eq(filter.column, filter.value)
+  window.accessControl?.assertWritable(tableName, 'delete')
+  
+  const { error } = await applyFilters(supabaseClient.from(tableName).delete(), filter)
   
   if (error) {
     console.error(`Error deleting from ${tableName}:`, error)
-    throw error
+    throw SupabaseDBError.from(error, tableName, 'delete')
   }
   
   return true
 }
 }
 
+window.SupabaseDBError = SupabaseDBError
+
 // User Management functions
 window.SupabaseUsers = {
   /**
    * Get user by email from the users table
-   * Email comparison is case-insensitive
+   * Email comparison is case-insensitive and done by the get_user_by_email function
+   * against an index on lower(email)
    */
   async getUserByEmail(email) {
+    const normalizedEmail = email ? email.toLowerCase().trim() : ''
+    if (!normalizedEmail) return null
+
+    try {
+      const users = await window.SupabaseDB.rpc('get_user_by_email', { p_email: normalizedEmail })
+      return users && users.length > 0 ? users[0] : null
+    } catch (error) {
+      if (error.code !== 'PGRST202' && error.code !== '42883') {
+        console.error('Error fetching user by email:', error)
+        return null
+      }
+    }
+
+    // Database function not deployed yet: case-insensitive match on the server, never in the browser
     try {
-      // Normalize email to lowercase for case-insensitive matching
-      const normalizedEmail = email ? email.toLowerCase().trim() : email;
-      
       const users = await window.SupabaseDB.fetch('users', {
-        filter: { column: 'email', value: normalizedEmail },
+        filters: [{ column: 'email', op: 'ilike', value: normalizedEmail.replace(/([\\%_])/g, '\\$1') }],
         limit: 1
       })
-      
-      // If no user found with exact match, try case-insensitive search
-      if (users.length === 0 && normalizedEmail) {
-        // Try to find user with case-insensitive comparison
-        // This handles cases where email might be stored in different case
-        const allUsers = await window.SupabaseDB.fetch('users', { limit: 1000 })
-        const foundUser = allUsers.find(u => u.email && u.email.toLowerCase() === normalizedEmail)
-        return foundUser || null
-      }
-      
       return users.length > 0 ? users[0] : null
     } catch (error) {
       console.error('Error fetching user by email:', error)
@@ -367,16 +1010,7 @@ window.SupabaseUsers = {
  * Get user by ID from the users table (now uses email as primary key)
  */
 async getUserById(id) {
-  try {
-    const users = await window.SupabaseDB.fetch('users', {
-      filter: { column: 'email', value: id },
-      limit: 1
-    })
-    return users.length > 0 ? users[0] : null
-  } catch (error) {
-    console.error('Error fetching user by ID:', error)
-    return null
-  }
+  return this.getUserByEmail(id)
 },
 
 /**
@@ -393,25 +1027,10 @@ async getAllUsers(options = {}) {
 
 /**
  * Update user information
- * IMPORTANT: password_hash should only be updated explicitly via profile page or admin action
+ * Passwords are not part of the users table - use SupabasePasswordAuth to change them
  */
 async updateUser(userEmail, userData) {
   try {
-    // Safety check: If password_hash is being updated, log it with full stack trace
-    if (userData.password_hash !== undefined) {
-      const stackTrace = new Error().stack;
-      console.warn(`[CRITICAL] password_hash update attempted for user: ${userEmail}`, {
-        caller: stackTrace.split('\n')[2]?.trim() || 'unknown',
-        fullStack: stackTrace,
-        hashPreview: typeof userData.password_hash === 'string' 
-          ? userData.password_hash.substring(0, 8) + '...' 
-          : userData.password_hash
-      });
-      
-      // Only allow password_hash updates - don't block, but log heavily
-      // This helps identify if something is accidentally updating passwords
-    }
-    
     return await window.SupabaseDB.update('users', userData, { column: 'email', value: userEmail })
   } catch (error) {
     console.error('Error updating user:', error)
@@ -463,14 +1082,11 @@ async getUsersByDepartment(department) {
 
 /**
  * Update user's last login
+ * Sets last_login and increments login_count in a single statement (record_user_login)
  */
 async updateLastLogin(userId) {
   try {
-    const currentCount = await this.incrementLoginCount(userId)
-    return await window.SupabaseDB.update('users', {
-      last_login: new Date().toISOString(),
-      login_count: currentCount.toString()
-    }, { column: 'email', value: userId })
+    return await window.SupabaseDB.rpc('record_user_login', { p_email: (userId || '').toLowerCase().trim() })
   } catch (error) {
     console.error('Error updating last login:', error)
     throw error
@@ -478,16 +1094,16 @@ async updateLastLogin(userId) {
 },
 
 /**
- * Increment user's login count
+ * Increment user's login count atomically
+ * @returns {string} The new login count
  */
 async incrementLoginCount(userId) {
   try {
-    const user = await this.getUserByEmail(userId)
-    const currentCount = parseInt(user?.login_count || '0')
-    return (currentCount + 1).toString()
+    const count = await window.SupabaseDB.rpc('increment_login_count', { p_email: (userId || '').toLowerCase().trim() })
+    return String(count ?? 0)
   } catch (error) {
     console.error('Error incrementing login count:', error)
-    return '1'
+    throw error
   }
 }
 }
@@ -0,0 +1,478 @@
+/**
+ * Audit Scoring
+ * Works out an audit's score from its scorecard and parameter values: deductive (start at
+ * 100 and subtract penalties), additive (percentage of achievement points earned) and hybrid
+ * (deduct errors, add bonuses up to max_bonus_points, capped at 100 unless allow_over_100).
+ * Weighted scorecards group parameters into sections; each parameter earns its points in
+ * proportion to its answer and the score is the average of the section percentages, weighted
+ * by section_weights. Parameters answered N/A (saved as -1) are left out of every score; additive
+ * scorecards leave them out of the points available too.
+ * Pass/fail is against passing_threshold; any "fail all" parameter that was hit fails the
+ * audit whatever the score.
+ * A parameter with a show_if condition only applies when an earlier parameter's answer meets
+ * it (e.g. "Refund policy followed" only when "Refund requested" is Yes); otherwise it is
+ * hidden on the audit form, saved as N/A and left out of the score like any N/A answer.
+ *
+ * No DOM access: pages read their inputs into a { field_id: value } map and pass it in. The
+ * score-audit edge function imports this same file to recompute scores on the server, so it
+ * attaches to globalThis (window in the browser) rather than window. It lives in
+ * supabase/functions/_shared because the function bundler only picks up code under
+ * supabase/functions; pages load it from there.
+ */
+
+const AUDIT_SCORING_DEFAULT_THRESHOLD = 85
+
+// Value saved for a parameter answered Not Applicable
+const AUDIT_SCORING_NA = -1
+const AUDIT_SCORING_DEFAULT_SECTION = 'General'
+const AUDIT_SCORING_DEFAULT_RATING_MAX = 5
+
+// Comparisons a show_if rule can make against the controlling parameter's answer
+const AUDIT_SCORING_CONDITION_OPERATORS = {
+  equals: { label: 'is', test: (value, expected) => value === expected },
+  not_equals: { label: 'is not', test: (value, expected) => value !== expected },
+  greater_than: { label: 'is more than', test: (value, expected) => value > expected },
+  less_than: { label: 'is less than', test: (value, expected) => value < expected }
+}
+
+// Columns of an audit row the score fills in
+const AUDIT_SCORE_COLUMNS = [
+  'average_score', 'passing_status',
+  'critical_fail_error', 'critical_errors', 'significant_error', 'total_errors_count'
+]
+
+globalThis.AuditScoring = {
+  SCORE_COLUMNS: AUDIT_SCORE_COLUMNS,
+  NA: AUDIT_SCORING_NA,
+  DEFAULT_SECTION: AUDIT_SCORING_DEFAULT_SECTION,
+  CONDITION_OPERATORS: AUDIT_SCORING_CONDITION_OPERATORS,
+
+  /**
+   * Scorecard parameters and edit-audit.html's error fields describe parameters with
+   * different keys; bring both to one shape
+   * @param {Object} param - scorecard_parameters row or { key, points, ... }
+   * @returns {Object}
+   */
+  normalizeParameter(param) {
+    return {
+      fieldId: param.field_id || param.key,
+      fieldType: param.field_type || 'counter',
+      parameterType: param.parameter_type || 'error',
+      pointsDirection: param.points_direction || null,
+      points: parseFloat(param.penalty_points ?? param.points) || 0,
+      category: param.error_category || '',
+      failAll: !!param.is_fail_all,
+      section: (param.section || '').trim() || AUDIT_SCORING_DEFAULT_SECTION,
+      allowNa: !!param.allow_na,
+      ratingMax: parseInt(param.rating_max, 10) || AUDIT_SCORING_DEFAULT_RATING_MAX,
+      showIf: this.conditionOf(param)
+    }
+  },
+
+  /**
+   * A parameter's show_if condition in one shape, or null when it always applies
+   * @param {Object} param - scorecard_parameters row
+   * @returns {Object|null} { match: 'all' | 'any', rules: [{ field_id, operator, value }] }
+   */
+  conditionOf(param) {
+    let condition = param ? param.show_if : null
+    if (typeof condition === 'string') {
+      try {
+        condition = JSON.parse(condition)
+      } catch (error) {
+        condition = null
+      }
+    }
+    const rules = (condition && Array.isArray(condition.rules) ? condition.rules : [])
+      .filter((rule) => rule && rule.field_id && AUDIT_SCORING_CONDITION_OPERATORS[rule.operator])
+    if (rules.length === 0) return null
+    return { match: condition.match === 'any' ? 'any' : 'all', rules }
+  },
+
+  /**
+   * Whether a show_if rule holds. Unanswered and N/A answers meet no rule, so a parameter
+   * stays hidden until the one controlling it has a real answer.
+   * @param {Object} rule - { field_id, operator, value }
+   * @param {Object} values - { field_id: value }
+   * @returns {boolean}
+   */
+  ruleHolds(rule, values) {
+    const raw = values ? values[rule.field_id] : null
+    if (raw === null || raw === undefined || raw === '') return false
+    const value = parseInt(raw === true ? 1 : raw, 10)
+    const expected = parseFloat(rule.value)
+    if (!Number.isFinite(value) || value === AUDIT_SCORING_NA || !Number.isFinite(expected)) return false
+    return AUDIT_SCORING_CONDITION_OPERATORS[rule.operator].test(value, expected)
+  },
+
+  /**
+   * Parameters whose show_if condition isn't met by the answers. A parameter controlled by a
+   * hidden one is hidden too; conditions refer to earlier parameters, so one pass in display
+   * order settles them.
+   * @param {Array} parameters - The scorecard's parameters, in display order
+   * @param {Object} values - { field_id: value }
+   * @returns {Array} field_ids of the hidden parameters
+   */
+  hiddenParameters(parameters, values) {
+    const hidden = new Set()
+    ;(parameters || []).forEach((param) => {
+      const { fieldId, showIf } = this.normalizeParameter(param)
+      if (!showIf) return
+      const holds = (rule) => !hidden.has(rule.field_id) && this.ruleHolds(rule, values)
+      const shown = showIf.match === 'any' ? showIf.rules.some(holds) : showIf.rules.every(holds)
+      if (!shown) hidden.add(fieldId)
+    })
+    return [...hidden]
+  },
+
+  /**
+   * The answers with every hidden parameter set to N/A, as they are saved
+   * @param {Array} parameters
+   * @param {Object} values - { field_id: value }
+   * @returns {Object} { field_id: value }
+   */
+  applyConditions(parameters, values) {
+    const applied = { ...(values || {}) }
+    this.hiddenParameters(parameters, values).forEach((fieldId) => {
+      applied[fieldId] = AUDIT_SCORING_NA
+    })
+    return applied
+  },
+
+  /**
+   * A show_if condition in words, e.g. 'Refund requested is Yes'
+   * @param {Object} param - The conditional parameter
+   * @param {Array} parameters - The scorecard's parameters, to name the controlling ones
+   * @returns {string} Empty when the parameter always applies
+   */
+  describeCondition(param, parameters) {
+    const condition = this.conditionOf(param)
+    if (!condition) return ''
+    const byFieldId = new Map((parameters || []).map((other) => [this.normalizeParameter(other).fieldId, other]))
+    return condition.rules.map((rule) => {
+      const controller = byFieldId.get(rule.field_id)
+      const name = controller ? (controller.error_name || controller.label) : rule.field_id
+      let value = rule.value
+      if (controller && controller.field_type === 'radio') {
+        value = parseInt(rule.value, 10) === 1 ? 'Yes' : 'No'
+      }
+      return `${name} ${AUDIT_SCORING_CONDITION_OPERATORS[rule.operator].label} ${value}`
+    }).join(condition.match === 'any' ? ' or ' : ' and ')
+  },
+
+  /**
+   * A parameter's value as a number: 1/0 for Yes/No radios, the count for counters, the
+   * rating for ratings. Missing, unanswered and N/A values count as 0.
+   * @param {Object} values - { field_id: value }
+   * @param {string} fieldId
+   * @returns {number}
+   */
+  valueOf(values, fieldId) {
+    const value = parseInt(values ? values[fieldId] : 0, 10)
+    return Number.isFinite(value) && value !== AUDIT_SCORING_NA ? value : 0
+  },
+
+  isNotApplicable(values, fieldId) {
+    return parseInt(values ? values[fieldId] : null, 10) === AUDIT_SCORING_NA
+  },
+
+  isRating(param) {
+    return param.fieldType === 'rating'
+  },
+
+  isAchievement(param) {
+    return param.parameterType === 'achievement' || param.parameterType === 'bonus'
+  },
+
+  /**
+   * Severity bucket an error parameter counts towards
+   * @param {string} category - error_category
+   * @returns {string} 'criticalFail', 'critical' or 'significant'
+   */
+  severityOf(category) {
+    if (category.includes('Fail')) return 'criticalFail'
+    if (category.includes('Critical')) return 'critical'
+    // Significant, Major and Minor all count as significant errors
+    return 'significant'
+  },
+
+  /**
+   * Score before any parameter is answered
+   * @param {Object} scorecard
+   * @returns {number}
+   */
+  initialScore(scorecard) {
+    return (scorecard && scorecard.scoring_type) === 'additive' ? 0 : 100
+  },
+
+  /**
+   * Points a parameter's answer is worth: the count times its points, or for ratings the
+   * points missed (deductions) or earned (additions) on the scale
+   */
+  amountOf(param, values, missed) {
+    if (!this.isRating(param)) return this.valueOf(values, param.fieldId) * param.points
+    const fraction = this.earnedFraction(param, values)
+    return (missed ? 1 - fraction : fraction) * param.points
+  },
+
+  // Start at 100, subtract penalties
+  deductive(params, values) {
+    let deduction = 0
+    params.forEach((param) => {
+      if (this.isAchievement(param) && param.pointsDirection !== 'subtract') return
+      if (this.isNotApplicable(values, param.fieldId)) return
+      deduction += this.amountOf(param, values, true)
+    })
+    return { rawScore: Math.max(0, 100 - deduction), deduction, bonusPoints: 0, bonusCapped: false }
+  },
+
+  // Percentage of the achievement points available
+  additive(params, values) {
+    let earned = 0
+    let possible = 0
+    params.forEach((param) => {
+      if (param.parameterType !== 'achievement' && param.pointsDirection !== 'add') return
+      if (this.isNotApplicable(values, param.fieldId)) return
+      possible += param.points
+      earned += this.amountOf(param, values, false)
+    })
+    const rawScore = possible === 0 ? 0 : Math.min(100, (earned / possible) * 100)
+    return { rawScore, deduction: 0, bonusPoints: earned, bonusCapped: false }
+  },
+
+  // Deduct for errors, add bonuses
+  hybrid(params, values, scorecard) {
+    let deduction = 0
+    let bonusPoints = 0
+    params.forEach((param) => {
+      if (this.isNotApplicable(values, param.fieldId)) return
+      if (param.parameterType === 'error' || param.pointsDirection === 'subtract') {
+        deduction += this.amountOf(param, values, true)
+      } else if (this.isAchievement(param) || param.pointsDirection === 'add') {
+        bonusPoints += this.amountOf(param, values, false)
+      }
+    })
+
+    let bonusCapped = false
+    const maxBonus = parseFloat(scorecard.max_bonus_points) || 0
+    if (maxBonus > 0 && bonusPoints > maxBonus) {
+      bonusPoints = maxBonus
+      bonusCapped = true
+    }
+
+    let rawScore = 100 - deduction + bonusPoints
+    if (!scorecard.allow_over_100) rawScore = Math.min(100, rawScore)
+    return { rawScore: Math.max(0, rawScore), deduction, bonusPoints, bonusCapped }
+  },
+
+  /**
+   * Share of a parameter's points earned, 0..1: the rating out of the scale for ratings,
+   * met/not met for achievements, error-free/not for errors
+   */
+  earnedFraction(param, values) {
+    const value = this.valueOf(values, param.fieldId)
+    if (this.isRating(param)) return Math.min(1, Math.max(0, value / param.ratingMax))
+    if (this.isAchievement(param) || param.pointsDirection === 'add') return value > 0 ? 1 : 0
+    return value > 0 ? 0 : 1
+  },
+
+  // Weighted average of section percentages; N/A parameters drop out of their section and
+  // sections with nothing applicable drop out of the average
+  weighted(params, values, scorecard) {
+    const sectionWeights = scorecard.section_weights || {}
+    const sections = {}
+    params.forEach((param) => {
+      const section = sections[param.section] || (sections[param.section] = {
+        name: param.section,
+        weight: Number.isFinite(parseFloat(sectionWeights[param.section]))
+          ? parseFloat(sectionWeights[param.section])
+          : 1,
+        earned: 0,
+        possible: 0,
+        notApplicable: 0
+      })
+      if (this.isNotApplicable(values, param.fieldId)) {
+        section.notApplicable++
+        return
+      }
+      section.possible += param.points
+      section.earned += this.earnedFraction(param, values) * param.points
+    })
+
+    let weightedTotal = 0
+    let totalWeight = 0
+    const breakdown = Object.values(sections).map((section) => {
+      const score = section.possible > 0 ? (section.earned / section.possible) * 100 : null
+      if (score !== null && section.weight > 0) {
+        weightedTotal += score * section.weight
+        totalWeight += section.weight
+      }
+      return { ...section, score: score === null ? null : Math.round(score * 100) / 100 }
+    })
+
+    // Nothing applicable: nothing went wrong either
+    const rawScore = totalWeight > 0 ? weightedTotal / totalWeight : 100
+    return { rawScore, deduction: 0, bonusPoints: 0, bonusCapped: false, sections: breakdown }
+  },
+
+  /**
+   * Score an audit
+   * @param {Object} scorecard - scorecards row (scoring_type, passing_threshold,
+   *   max_bonus_points, allow_over_100, section_weights)
+   * @param {Array} parameters - The scorecard's parameters
+   * @param {Object} values - { field_id: value }
+   * @returns {Object} { scoringType, score, rawScore, threshold, passed, passingStatus,
+   *   deduction, bonusPoints, bonusCapped, failAll, failAllParameters, hasCriticalFail,
+   *   notApplicable, hidden, sections (weighted only),
+   *   errors: { criticalFail, critical, significant, total } }
+   */
+  score(scorecard, parameters, values) {
+    scorecard = scorecard || {}
+    // Parameters hidden by their show_if condition score as N/A whatever the form sent
+    const hidden = this.hiddenParameters(parameters, values || {})
+    values = this.applyConditions(parameters, values)
+    const params = (parameters || []).map((param) => this.normalizeParameter(param))
+    const scoringType = ['deductive', 'additive', 'hybrid', 'weighted'].includes(scorecard.scoring_type)
+      ? scorecard.scoring_type
+      : 'deductive'
+
+    const result = this[scoringType](params, values || {}, scorecard)
+
+    const errors = { criticalFail: 0, critical: 0, significant: 0, total: 0 }
+    const failAllParameters = []
+    const notApplicable = []
+    params.forEach((param) => {
+      if (this.isNotApplicable(values, param.fieldId)) {
+        notApplicable.push(param.fieldId)
+        return
+      }
+      const value = this.valueOf(values, param.fieldId)
+
+      // A rating is a grade, not a count of errors
+      if (!this.isAchievement(param) && !this.isRating(param) && value > 0) {
+        errors[this.severityOf(param.category)] += value
+        errors.total += value
+      }
+
+      // An achievement that wasn't met is the failure; for errors it's the error happening;
+      // for ratings it's the lowest grade
+      const failed = this.isAchievement(param) || this.isRating(param) ? value === 0 : value > 0
+      if (param.failAll && failed) {
+        failAllParameters.push(param.fieldId)
+      }
+    })
+
+    const threshold = parseFloat(scorecard.passing_threshold)
+    const passingThreshold = Number.isFinite(threshold) ? threshold : AUDIT_SCORING_DEFAULT_THRESHOLD
+    const passed = failAllParameters.length === 0 && result.rawScore >= passingThreshold
+
+    return {
+      scoringType,
+      score: Math.round(result.rawScore * 100) / 100,
+      rawScore: result.rawScore,
+      threshold: passingThreshold,
+      passed,
+      passingStatus: passed ? 'Passing' : 'Not Passing',
+      deduction: result.deduction,
+      bonusPoints: result.bonusPoints,
+      bonusCapped: result.bonusCapped,
+      failAll: failAllParameters.length > 0,
+      failAllParameters,
+      hasCriticalFail: errors.criticalFail > 0,
+      notApplicable,
+      hidden,
+      sections: result.sections || null,
+      errors
+    }
+  },
+
+  /**
+   * Parameter values stored on an audit row
+   * @param {Array} parameters
+   * @param {Object} row - Audit row
+   * @returns {Object} { field_id: value }
+   */
+  valuesFromRow(parameters, row) {
+    const values = {}
+    ;(parameters || []).forEach((param) => {
+      const fieldId = this.normalizeParameter(param).fieldId
+      values[fieldId] = row ? row[fieldId] : null
+    })
+    return values
+  },
+
+  /**
+   * The audit columns a score result fills in
+   * @param {Object} result - From score()
+   * @returns {Object}
+   */
+  toAuditFields(result) {
+    return {
+      average_score: result.score,
+      passing_status: result.passingStatus,
+      critical_fail_error: result.errors.criticalFail,
+      critical_errors: result.errors.critical,
+      significant_error: result.errors.significant,
+      total_errors_count: result.errors.total
+    }
+  },
+
+  /**
+   * Check the score columns of a saved audit against its parameter values
+   * @param {Object} scorecard
+   * @param {Array} parameters
+   * @param {Object} row - Audit row
+   * @returns {Object} { valid, result, expected, mismatches: [{ column, submitted, expected }] }
+   */
+  validate(scorecard, parameters, row) {
+    const result = this.score(scorecard, parameters, this.valuesFromRow(parameters, row))
+    const expected = this.toAuditFields(result)
+    const mismatches = []
+    AUDIT_SCORE_COLUMNS.forEach((column) => {
+      if (!row || !(column in row)) return
+      const submitted = row[column]
+      const same = column === 'passing_status'
+        ? submitted === expected[column]
+        : Math.abs((parseFloat(submitted) || 0) - expected[column]) < 0.01
+      if (!same) mismatches.push({ column, submitted, expected: expected[column] })
+    })
+    return { valid: mismatches.length === 0, result, expected, mismatches }
+  },
+
+  /**
+   * Have the score-audit edge function recompute a saved audit's score from its stored
+   * parameter values and correct the row if the submitted score doesn't match. Sends the
+   * password session token or, for OAuth users, the Supabase access token; the function
+   * rejects anonymous calls.
+   * @param {Object} config - { url, anonKey, getClient } (window.SupabaseConfig)
+   * @param {string} table - Scorecard table
+   * @param {string} auditId
+   * @returns {Promise<Object>} { success, corrected, fields, mismatches }
+   */
+  async verifyOnServer(config, table, auditId) {
+    const headers = {
+      'Authorization': `Bearer ${config.anonKey}`,
+      'apikey': config.anonKey,
+      'Content-Type': 'application/json'
+    }
+    const sessionToken = globalThis.SupabasePasswordAuth && globalThis.SupabasePasswordAuth.getSessionToken()
+    const client = config.getClient && config.getClient()
+    if (sessionToken) {
+      headers['x-session-token'] = sessionToken
+    } else if (client) {
+      const { data: { session } } = await client.auth.getSession()
+      if (session && session.access_token) {
+        headers['Authorization'] = `Bearer ${session.access_token}`
+      }
+    }
+
+    const response = await fetch(`${config.url}/functions/v1/score-audit`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ table, audit_id: String(auditId) })
+    })
+    const body = await response.json().catch(() => ({}))
+    if (!response.ok) throw new Error(body.error || `Score check failed (${response.status})`)
+    return body
+  }
+}
@@ -0,0 +1,1210 @@
+// Password Auth Edge Function
+// Verifies email/password credentials server-side and issues opaque session tokens.
+// Password hashes live in user_credentials and never leave this function.
+// Every signed-in browser (password or Google) has a user_sessions row with its device,
+// IP and last activity, so sessions can be listed and revoked remotely.
+// Also owns TOTP multi-factor authentication for both password and Google sessions:
+// secrets and recovery codes live in user_mfa / user_mfa_recovery_codes, and a session
+// counts as verified once it has a row in mfa_verified_sessions.
+// Where MFA applies, actions on the account (passwords, sessions) refuse unverified sessions.
+// After an OIDC/SAML sign-in, sso-provision links or creates the users row and maps the
+// user's IdP groups to a role (sso_providers / sso_role_mappings).
+// Forgotten passwords are reset with single-use emailed tokens (password_reset_tokens),
+// sent through the send-password-reset-email function.
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import { hashSync, compareSync } from "https://deno.land/x/bcrypt@v0.4.1/mod.ts"
+
+const SESSION_TTL_HOURS = parseInt(Deno.env.get('PASSWORD_SESSION_TTL_HOURS') || '12', 10)
+const MAX_FAILED_ATTEMPTS = 5
+const LOCKOUT_MINUTES = 15
+const MIN_PASSWORD_LENGTH = 6
+
+// Strength rules for passwords users choose themselves; mirrors PASSWORD_POLICY in
+// form-validation.js. Admin-set initial passwords only need MIN_PASSWORD_LENGTH.
+const PASSWORD_RULES: { message: string, test: (password: string, email: string) => boolean }[] = [
+  { message: 'at least 8 characters', test: (password) => password.length >= 8 },
+  { message: 'a lowercase letter', test: (password) => /[a-z]/.test(password) },
+  { message: 'an uppercase letter', test: (password) => /[A-Z]/.test(password) },
+  { message: 'a number', test: (password) => /\d/.test(password) },
+  {
+    message: 'not based on your email address',
+    test: (password, email) => {
+      const localPart = (email || '').split('@')[0].toLowerCase()
+      return !localPart || !password.toLowerCase().includes(localPart)
+    },
+  },
+]
+
+// Password reset links: lifetime, and how many may be requested per email per window
+const PASSWORD_RESET_TTL_MINUTES = parseInt(Deno.env.get('PASSWORD_RESET_TTL_MINUTES') || '30', 10)
+const PASSWORD_RESET_MAX_REQUESTS = 3
+const PASSWORD_RESET_WINDOW_MINUTES = 60
+// Reset links always point here; never at a URL supplied by the browser
+const SITE_URL = (Deno.env.get('SITE_URL') || '').replace(/\/$/, '')
+
+// RFC 6238 TOTP, compatible with Google Authenticator, Authy, 1Password, etc.
+const TOTP_PERIOD_SECONDS = 30
+const TOTP_DIGITS = 6
+const TOTP_WINDOW = 1 // Accept one step of clock drift either way
+const MFA_ISSUER = Deno.env.get('MFA_ISSUER') || 'QMS'
+const RECOVERY_CODE_COUNT = 10
+
+// Built-in role levels, used when a role is missing from the roles table
+const ROLE_LEVELS: Record<string, number> = {
+  'Super Admin': 5,
+  'Admin': 4,
+  'Quality Supervisor': 3,
+  'Quality Analyst': 2,
+  'Employee': 1,
+  'General User': 0,
+}
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-session-token',
+}
+
+function jsonResponse(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  })
+}
+
+async function sha256Hex(value: string): Promise<string> {
+  const buffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value))
+  return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('')
+}
+
+// Constant-time string comparison for legacy hashes
+function safeEqual(a: string, b: string): boolean {
+  if (a.length !== b.length) return false
+  let diff = 0
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i)
+  }
+  return diff === 0
+}
+
+function generateToken(): string {
+  const bytes = new Uint8Array(32)
+  crypto.getRandomValues(bytes)
+  return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('')
+}
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+function base32Encode(bytes: Uint8Array): string {
+  let bits = 0
+  let value = 0
+  let output = ''
+  for (const byte of bytes) {
+    value = (value << 8) | byte
+    bits += 8
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+  return output
+}
+
+function base32Decode(text: string): Uint8Array {
+  const clean = text.toUpperCase().replace(/[^A-Z2-7]/g, '')
+  const bytes: number[] = []
+  let bits = 0
+  let value = 0
+  for (const char of clean) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(char)
+    bits += 5
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+  return new Uint8Array(bytes)
+}
+
+function generateMfaSecret(): string {
+  const bytes = new Uint8Array(20)
+  crypto.getRandomValues(bytes)
+  return base32Encode(bytes)
+}
+
+// One-time recovery codes, e.g. "4f9a-2c1e-b7d0"
+function generateRecoveryCode(): string {
+  const bytes = new Uint8Array(6)
+  crypto.getRandomValues(bytes)
+  const hex = Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('')
+  return `${hex.slice(0, 4)}-${hex.slice(4, 8)}-${hex.slice(8, 12)}`
+}
+
+function normalizeRecoveryCode(code: string): string {
+  return (code || '').toLowerCase().replace(/[^a-f0-9]/g, '')
+}
+
+// TOTP code for a given time step
+async function totpAt(secret: string, step: number): Promise<string> {
+  const key = await crypto.subtle.importKey('raw', base32Decode(secret), { name: 'HMAC', hash: 'SHA-1' }, false, ['sign'])
+  const counter = new Uint8Array(8)
+  let remaining = step
+  for (let i = 7; i >= 0; i--) {
+    counter[i] = remaining & 255
+    remaining = Math.floor(remaining / 256)
+  }
+  const hmac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counter))
+  const offset = hmac[hmac.length - 1] & 15
+  const binary = ((hmac[offset] & 127) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3]
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0')
+}
+
+// Returns the matching time step, or null. Steps at or before lastUsedStep are rejected so
+// a code can't be replayed.
+async function verifyTotp(secret: string, code: string, lastUsedStep: number | null): Promise<number | null> {
+  const cleanCode = (code || '').replace(/\s/g, '')
+  if (!/^\d+$/.test(cleanCode) || cleanCode.length !== TOTP_DIGITS) return null
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS)
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const step = currentStep + drift
+    if (lastUsedStep !== null && step <= lastUsedStep) continue
+    if (safeEqual(await totpAt(secret, step), cleanCode)) return step
+  }
+  return null
+}
+
+// Short device description from a User-Agent, e.g. "Chrome on Windows"
+function describeDevice(userAgent: string): string {
+  if (!userAgent) return 'Unknown device'
+
+  const browser = /Edg\//.test(userAgent) ? 'Edge'
+    : /OPR\/|Opera/.test(userAgent) ? 'Opera'
+    : /Firefox\//.test(userAgent) ? 'Firefox'
+    : /Chrome\//.test(userAgent) ? 'Chrome'
+    : /Safari\//.test(userAgent) ? 'Safari'
+    : 'Browser'
+  const os = /Windows/.test(userAgent) ? 'Windows'
+    : /iPhone|iPad|iPod/.test(userAgent) ? 'iOS'
+    : /Android/.test(userAgent) ? 'Android'
+    : /Mac OS X|Macintosh/.test(userAgent) ? 'macOS'
+    : /CrOS/.test(userAgent) ? 'ChromeOS'
+    : /Linux/.test(userAgent) ? 'Linux'
+    : 'Unknown OS'
+  return `${browser} on ${os}`
+}
+
+function getClientIp(req: Request): string | null {
+  const forwarded = req.headers.get('x-forwarded-for')
+  if (forwarded) return forwarded.split(',')[0].trim()
+  return req.headers.get('cf-connecting-ip') || req.headers.get('x-real-ip') || null
+}
+
+// Read the session_id claim of a Supabase Auth JWT (the signature is checked by auth.getUser)
+function getJwtSessionId(jwt: string): string | null {
+  try {
+    const payload = jwt.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')
+    return JSON.parse(atob(payload.padEnd(Math.ceil(payload.length / 4) * 4, '='))).session_id || null
+  } catch {
+    return null
+  }
+}
+
+// Returns a message describing what the password is missing, or null if it passes
+function checkPasswordPolicy(password: string, email: string): string | null {
+  const failed = PASSWORD_RULES.filter(rule => !rule.test(password, email))
+  if (failed.length === 0) return null
+  return `Password needs: ${failed.map(rule => rule.message).join(', ')}`
+}
+
+// IdP groups of a Supabase Auth user, read only from what the identity provider set:
+// app_metadata and the provider identity's data (OIDC claims, or SAML attributes mapped in
+// the provider's attribute mapping). Never user_metadata: users can write it themselves with
+// auth.updateUser(), which would let them pick the group mapped to an admin role.
+function getIdpGroups(authUser: any, claim: string, provider: string): string[] {
+  const sources = [
+    authUser.app_metadata,
+    ...(authUser.identities || [])
+      .filter((identity: any) => identity.provider === provider)
+      .flatMap((identity: any) => [
+        identity.identity_data,
+        identity.identity_data?.custom_claims,
+      ]),
+  ]
+
+  const groups = new Set<string>()
+  for (const source of sources) {
+    const value = source?.[claim]
+    const values = Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : []
+    values.map(group => String(group).trim()).filter(Boolean).forEach(group => groups.add(group))
+  }
+  return Array.from(groups)
+}
+
+// Verify a password against a stored credential of any supported algorithm
+async function verifyCredential(credential: any, password: string): Promise<boolean> {
+  const stored = (credential.password_hash || '').trim()
+  if (!stored) return false
+
+  switch (credential.hash_algorithm) {
+    case 'bcrypt':
+      return compareSync(password, stored)
+    case 'sha256':
+      return safeEqual(stored.toLowerCase(), await sha256Hex(password))
+    case 'plain':
+      return safeEqual(stored, password)
+    default:
+      return false
+  }
+}
+
+serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405)
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL') || ''
+    const supabaseServiceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') || ''
+
+    if (!supabaseUrl || !supabaseServiceKey) {
+      throw new Error('Missing Supabase configuration')
+    }
+
+    const supabase = createClient(supabaseUrl, supabaseServiceKey)
+    const body = await req.json().catch(() => ({}))
+    const action = body.action
+
+    // Helper: load an active user row by email
+    const getUser = async (email: string) => {
+      const { data, error } = await supabase
+        .from('users')
+        .select('*')
+        .eq('email', email)
+        .maybeSingle()
+      if (error) throw new Error(`Failed to load user: ${error.message}`)
+      return data
+    }
+
+    // Helper: resolve a session token to its user, or null if invalid/expired/revoked
+    const getSessionUser = async (token: string | null) => {
+      if (!token) return null
+      const tokenHash = await sha256Hex(token)
+      const { data: session } = await supabase
+        .from('user_sessions')
+        .select('*')
+        .eq('token_hash', tokenHash)
+        .is('revoked_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .maybeSingle()
+      if (!session) return null
+      const user = await getUser(session.user_email)
+      if (!user || !user.is_active) return null
+      return { user, session }
+    }
+
+    // Helper: identify the caller and their session from a password session token or a
+    // Supabase Auth JWT. sessionKey identifies the session for MFA verification.
+    const getCallerSession = async () => {
+      const sessionUser = await getSessionUser(req.headers.get('x-session-token'))
+      if (sessionUser) {
+        return {
+          user: sessionUser.user,
+          sessionKey: `password:${sessionUser.session.token_hash}`,
+          expiresAt: sessionUser.session.expires_at,
+        }
+      }
+
+      const jwt = (req.headers.get('authorization') || '').replace(/^Bearer\s+/i, '')
+      if (!jwt) return null
+      const { data: { user: authUser } } = await supabase.auth.getUser(jwt)
+      if (!authUser?.email) return null
+      const user = await getUser(authUser.email.toLowerCase().trim())
+      if (!user || !user.is_active) return null
+
+      const sessionId = getJwtSessionId(jwt)
+      const sessionKey = sessionId ? `supabase:${sessionId}` : null
+
+      // A revoked Google session is refused even while its JWT is still unexpired
+      if (sessionKey) {
+        const { data: tracked } = await supabase
+          .from('user_sessions')
+          .select('revoked_at')
+          .eq('session_key', sessionKey)
+          .maybeSingle()
+        if (tracked?.revoked_at) return null
+      }
+
+      return {
+        user,
+        sessionKey,
+        supabaseSessionId: sessionId,
+        // Supabase sessions outlive their hourly JWTs; re-verify at the password session TTL
+        expiresAt: new Date(Date.now() + SESSION_TTL_HOURS * 3600000).toISOString(),
+      }
+    }
+
+    const getCaller = async () => {
+      const callerSession = await getCallerSession()
+      return callerSession ? callerSession.user : null
+    }
+
+    // Helper: resolve a role's level from the roles table (custom roles live there)
+    const getRoleLevel = async (role: string) => {
+      const { data } = await supabase
+        .from('roles')
+        .select('level')
+        .eq('name', role)
+        .maybeSingle()
+      return data?.level ?? ROLE_LEVELS[role] ?? 0
+    }
+
+    // Helper: revoke sessions (and their MFA verification); Google sessions are also ended
+    // in Supabase Auth so their refresh tokens stop working
+    const revokeSessions = async (sessions: any[], revokedBy: string) => {
+      if (sessions.length === 0) return 0
+
+      const ids = sessions.map(session => session.id)
+      const { error } = await supabase
+        .from('user_sessions')
+        .update({ revoked_at: new Date().toISOString(), revoked_by: revokedBy })
+        .in('id', ids)
+      if (error) throw new Error(`Failed to revoke sessions: ${error.message}`)
+
+      const sessionKeys = sessions.map(session => session.session_key).filter(Boolean)
+      if (sessionKeys.length > 0) {
+        await supabase.from('mfa_verified_sessions').delete().in('session_key', sessionKeys)
+      }
+
+      for (const key of sessionKeys.filter((key: string) => key.startsWith('supabase:'))) {
+        const { error: authError } = await supabase.rpc('end_auth_session', { p_session_id: key.slice('supabase:'.length) })
+        if (authError) console.warn(`Could not end auth session ${key}:`, authError.message)
+      }
+
+      return sessions.length
+    }
+
+    // Helper: resolve whose sessions the caller is acting on (own, or anyone's for Admins)
+    const getSessionTarget = async (caller: any, email: string) => {
+      const targetEmail = (email || caller.email).toLowerCase().trim()
+      if (targetEmail === caller.email.toLowerCase()) return { email: caller.email }
+      if (await getRoleLevel(caller.role) < 4) {
+        return { error: jsonResponse({ error: 'You do not have permission to manage these sessions' }, 403) }
+      }
+      return { email: targetEmail }
+    }
+
+    // Helper: MFA enrollment and per-role policy for a user, plus whether a session is verified
+    const getMfaStatus = async (user: any, sessionKey: string | null) => {
+      const [{ data: mfa }, { data: role }] = await Promise.all([
+        supabase.from('user_mfa').select('*').eq('user_email', user.email).maybeSingle(),
+        supabase.from('roles').select('mfa_required').eq('name', user.role).maybeSingle(),
+      ])
+
+      let verified = false
+      if (mfa?.enabled_at && sessionKey) {
+        const { data: verification } = await supabase
+          .from('mfa_verified_sessions')
+          .select('session_key')
+          .eq('session_key', sessionKey)
+          .eq('user_email', user.email)
+          .gt('expires_at', new Date().toISOString())
+          .maybeSingle()
+        verified = !!verification
+      }
+
+      return {
+        mfa,
+        status: {
+          enrolled: !!mfa?.enabled_at,
+          required: !!role?.mfa_required,
+          verified,
+        },
+      }
+    }
+
+    const markSessionVerified = async (user: any, sessionKey: string | null, expiresAt: string) => {
+      if (!sessionKey) return
+      const { error } = await supabase
+        .from('mfa_verified_sessions')
+        .upsert({ session_key: sessionKey, user_email: user.email, verified_at: new Date().toISOString(), expires_at: expiresAt })
+      if (error) throw new Error(`Failed to record MFA verification: ${error.message}`)
+    }
+
+    // Helper: the caller's session, if it may act on the account. Where MFA applies (the user
+    // is enrolled, or their role requires it) the session must have passed the second factor,
+    // so a stolen password alone can't reach these actions. Sign-in, sign-out and MFA's own
+    // actions use getCallerSession() instead.
+    const getVerifiedCallerSession = async () => {
+      const callerSession = await getCallerSession()
+      if (!callerSession) {
+        return { callerSession: null, error: jsonResponse({ error: 'Not authenticated' }, 401) }
+      }
+
+      const { status } = await getMfaStatus(callerSession.user, callerSession.sessionKey)
+      if (status.enrolled && !status.verified) {
+        return { callerSession: null, error: jsonResponse({ error: 'Verify this session with your authentication code first', code: 'mfa_verification_required' }, 403) }
+      }
+      if (status.required && !status.enrolled) {
+        return { callerSession: null, error: jsonResponse({ error: `Two-factor authentication is required for the ${callerSession.user.role} role`, code: 'mfa_enrollment_required' }, 403) }
+      }
+      return { callerSession, error: null }
+    }
+
+    // Replace the user's recovery codes; returns the plain codes (shown once)
+    const issueRecoveryCodes = async (email: string) => {
+      const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode)
+      await supabase.from('user_mfa_recovery_codes').delete().eq('user_email', email)
+      const { error } = await supabase
+        .from('user_mfa_recovery_codes')
+        .insert(await Promise.all(codes.map(async code => ({
+          user_email: email,
+          code_hash: await sha256Hex(normalizeRecoveryCode(code)),
+        }))))
+      if (error) throw new Error(`Failed to store recovery codes: ${error.message}`)
+      return codes
+    }
+
+    // Check a TOTP or recovery code for an enrolled user, applying the same lockout as passwords
+    const checkSecondFactor = async (mfa: any, code: string, recoveryCode: string) => {
+      if (mfa.locked_until && new Date(mfa.locked_until) > new Date()) {
+        return { ok: false, response: jsonResponse({ error: 'Too many failed attempts. Please try again later.', code: 'locked' }, 429) }
+      }
+
+      let ok = false
+      let usedRecoveryCode = false
+      if (recoveryCode) {
+        const { data: match } = await supabase
+          .from('user_mfa_recovery_codes')
+          .select('id')
+          .eq('user_email', mfa.user_email)
+          .eq('code_hash', await sha256Hex(normalizeRecoveryCode(recoveryCode)))
+          .is('used_at', null)
+          .maybeSingle()
+        if (match) {
+          await supabase.from('user_mfa_recovery_codes').update({ used_at: new Date().toISOString() }).eq('id', match.id)
+          ok = true
+          usedRecoveryCode = true
+        }
+      } else {
+        const step = await verifyTotp(mfa.secret, code, mfa.last_used_step ?? null)
+        if (step !== null) {
+          await supabase.from('user_mfa').update({ last_used_step: step }).eq('user_email', mfa.user_email)
+          ok = true
+        }
+      }
+
+      if (!ok) {
+        const failedAttempts = (mfa.failed_attempts || 0) + 1
+        await supabase
+          .from('user_mfa')
+          .update({
+            failed_attempts: failedAttempts,
+            locked_until: failedAttempts >= MAX_FAILED_ATTEMPTS
+              ? new Date(Date.now() + LOCKOUT_MINUTES * 60000).toISOString()
+              : null,
+          })
+          .eq('user_email', mfa.user_email)
+        return { ok: false, response: jsonResponse({ error: 'Invalid verification code', code: 'invalid_mfa_code' }, 401) }
+      }
+
+      if (mfa.failed_attempts || mfa.locked_until) {
+        await supabase.from('user_mfa').update({ failed_attempts: 0, locked_until: null }).eq('user_email', mfa.user_email)
+      }
+      return { ok: true, usedRecoveryCode }
+    }
+
+    const storePassword = async (email: string, password: string) => {
+      const { error } = await supabase
+        .from('user_credentials')
+        .upsert({
+          user_email: email,
+          password_hash: hashSync(password),
+          hash_algorithm: 'bcrypt',
+          failed_attempts: 0,
+          locked_until: null,
+          updated_at: new Date().toISOString(),
+        })
+      if (error) throw new Error(`Failed to store password: ${error.message}`)
+    }
+
+    // Just-in-time provisioning after an OIDC/SAML sign-in: find or create the users row
+    // for the Supabase Auth user and give it the role mapped from their IdP groups
+    if (action === 'sso-provision') {
+      const jwt = (req.headers.get('authorization') || '').replace(/^Bearer\s+/i, '')
+      const { data: { user: authUser } } = jwt
+        ? await supabase.auth.getUser(jwt)
+        : { data: { user: null } }
+      if (!authUser?.email) {
+        return jsonResponse({ error: 'Not authenticated' }, 401)
+      }
+
+      const { data: provider } = await supabase
+        .from('sso_providers')
+        .select('*')
+        .eq('auth_provider', authUser.app_metadata?.provider || '')
+        .eq('is_active', true)
+        .maybeSingle()
+      if (!provider) {
+        return jsonResponse({ error: 'Single sign-on is not configured for this provider', code: 'sso_not_configured' }, 404)
+      }
+
+      const email = authUser.email.toLowerCase().trim()
+      const domain = email.split('@')[1] || ''
+      // Same rule as SupabaseSSO.findByEmail(): a listed domain covers its subdomains
+      const domainAllowed = provider.domains.some((allowed: string) => {
+        const listed = allowed.toLowerCase().trim()
+        return domain === listed || domain.endsWith(`.${listed}`)
+      })
+      if (provider.domains.length > 0 && !domainAllowed) {
+        return jsonResponse({ error: `${provider.label} sign-in is not enabled for ${domain}`, code: 'sso_domain_not_allowed' }, 403)
+      }
+
+      // Highest-level role among the user's mapped groups
+      const groups = getIdpGroups(authUser, provider.groups_claim, provider.auth_provider).map(group => group.toLowerCase())
+      const { data: mappings } = await supabase
+        .from('sso_role_mappings')
+        .select('idp_group, role')
+        .eq('provider_id', provider.id)
+      let mappedRole: string | null = null
+      let mappedLevel = -1
+      for (const mapping of (mappings || []).filter((m: any) => groups.includes(m.idp_group.toLowerCase()))) {
+        const level = await getRoleLevel(mapping.role)
+        if (level > mappedLevel) {
+          mappedRole = mapping.role
+          mappedLevel = level
+        }
+      }
+
+      let user = await getUser(email)
+      const provisioned = !user
+
+      if (user) {
+        if (!user.is_active) {
+          return jsonResponse({ error: 'Your account has been deactivated. Please contact your administrator.', code: 'account_inactive' }, 403)
+        }
+        if (provider.sync_role && mappedRole && mappedRole !== user.role) {
+          const { data: updated, error } = await supabase
+            .from('users')
+            .update({ role: mappedRole, sso_provider: provider.id })
+            .eq('email', user.email)
+            .select()
+            .single()
+          if (error) throw new Error(`Failed to update role: ${error.message}`)
+          user = updated
+        }
+      } else {
+        if (!provider.jit_enabled) {
+          return jsonResponse({ error: 'Account not found in system. Please contact your administrator.', code: 'user_not_found' }, 404)
+        }
+        const metadata = authUser.user_metadata || {}
+        const { data: created, error } = await supabase
+          .from('users')
+          .insert({
+            email,
+            name: metadata.full_name || metadata.name || email.split('@')[0],
+            avatar_url: metadata.avatar_url || metadata.picture || null,
+            role: mappedRole || provider.default_role,
+            is_active: true,
+            login_count: 0,
+            sso_provider: provider.id,
+          })
+          .select()
+          .single()
+        if (error) throw new Error(`Failed to provision user: ${error.message}`)
+        user = created
+      }
+
+      return jsonResponse({ success: true, user, provisioned })
+    }
+
+    // Sign in with email + password
+    if (action === 'login') {
+      const email = (body.email || '').toLowerCase().trim()
+      const password = body.password || ''
+
+      if (!email || !password) {
+        return jsonResponse({ error: 'Email and password are required' }, 400)
+      }
+
+      const user = await getUser(email)
+      const { data: credential } = user
+        ? await supabase.from('user_credentials').select('*').eq('user_email', user.email).maybeSingle()
+        : { data: null }
+
+      // Same response for unknown user and wrong password to avoid account enumeration
+      if (!user || !credential) {
+        return jsonResponse({ error: 'Invalid email or password', code: 'invalid_credentials' }, 401)
+      }
+
+      if (credential.locked_until && new Date(credential.locked_until) > new Date()) {
+        return jsonResponse({ error: 'Too many failed attempts. Please try again later.', code: 'locked' }, 429)
+      }
+
+      const valid = await verifyCredential(credential, password)
+
+      if (!valid) {
+        const failedAttempts = (credential.failed_attempts || 0) + 1
+        await supabase
+          .from('user_credentials')
+          .update({
+            failed_attempts: failedAttempts,
+            locked_until: failedAttempts >= MAX_FAILED_ATTEMPTS
+              ? new Date(Date.now() + LOCKOUT_MINUTES * 60000).toISOString()
+              : null,
+          })
+          .eq('user_email', user.email)
+        return jsonResponse({ error: 'Invalid email or password', code: 'invalid_credentials' }, 401)
+      }
+
+      // Only after the password checks out, so the response doesn't reveal deactivated accounts
+      if (!user.is_active) {
+        return jsonResponse({ error: 'Your account has been deactivated. Please contact your administrator.', code: 'inactive' }, 403)
+      }
+
+      if (credential.hash_algorithm !== 'bcrypt') {
+        // Transparent migration of legacy SHA-256 / plain-text hashes
+        console.log(`🔐 Upgrading ${credential.hash_algorithm} hash to bcrypt`)
+        await storePassword(user.email, password)
+      } else if (credential.failed_attempts || credential.locked_until) {
+        await supabase
+          .from('user_credentials')
+          .update({ failed_attempts: 0, locked_until: null })
+          .eq('user_email', user.email)
+      }
+
+      const token = generateToken()
+      const tokenHash = await sha256Hex(token)
+      const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 3600000).toISOString()
+      const userAgent = req.headers.get('user-agent') || ''
+      const { error: sessionError } = await supabase
+        .from('user_sessions')
+        .insert({
+          user_email: user.email,
+          token_hash: tokenHash,
+          session_key: `password:${tokenHash}`,
+          provider: 'password',
+          expires_at: expiresAt,
+          user_agent: userAgent,
+          device: describeDevice(userAgent),
+          ip_address: getClientIp(req),
+          last_seen_at: new Date().toISOString(),
+        })
+      if (sessionError) throw new Error(`Failed to create session: ${sessionError.message}`)
+
+      const { status: mfaStatus } = await getMfaStatus(user, null)
+
+      return jsonResponse({
+        success: true,
+        user,
+        session: { token, expires_at: expiresAt },
+        weak_password: password.toLowerCase() === user.email.toLowerCase(),
+        mfa: mfaStatus,
+      })
+    }
+
+    // Validate a session token and return the current user row
+    if (action === 'validate-session') {
+      const sessionUser = await getSessionUser(req.headers.get('x-session-token'))
+      if (!sessionUser) {
+        return jsonResponse({ error: 'Session is invalid or expired', code: 'invalid_session' }, 401)
+      }
+      return jsonResponse({
+        success: true,
+        user: sessionUser.user,
+        session: { expires_at: sessionUser.session.expires_at },
+      })
+    }
+
+    // Revoke the current session token
+    if (action === 'logout') {
+      const token = req.headers.get('x-session-token')
+      let sessionKey: string | null = null
+      if (token) {
+        sessionKey = `password:${await sha256Hex(token)}`
+      } else {
+        // Google sign-out: end the tracked session before the browser drops its JWT
+        const jwt = (req.headers.get('authorization') || '').replace(/^Bearer\s+/i, '')
+        const sessionId = jwt ? getJwtSessionId(jwt) : null
+        sessionKey = sessionId ? `supabase:${sessionId}` : null
+      }
+
+      if (sessionKey) {
+        await supabase
+          .from('user_sessions')
+          .update({ revoked_at: new Date().toISOString() })
+          .eq('session_key', sessionKey)
+          .is('revoked_at', null)
+        await supabase
+          .from('mfa_verified_sessions')
+          .delete()
+          .eq('session_key', sessionKey)
+      }
+      return jsonResponse({ success: true })
+    }
+
+    // Record activity for the caller's session (creating the row for Google sessions).
+    // Called at sign-in and periodically by auth-check.js; a 401 tells the browser that
+    // the session was revoked.
+    if (action === 'touch-session') {
+      const callerSession = await getCallerSession()
+      if (!callerSession) {
+        return jsonResponse({ error: 'Session is invalid or revoked', code: 'invalid_session' }, 401)
+      }
+      if (!callerSession.sessionKey) {
+        return jsonResponse({ success: true, tracked: false })
+      }
+
+      const userAgent = req.headers.get('user-agent') || ''
+      const activity = {
+        user_agent: userAgent,
+        device: describeDevice(userAgent),
+        ip_address: getClientIp(req),
+        last_seen_at: new Date().toISOString(),
+      }
+
+      if (callerSession.supabaseSessionId) {
+        const { error } = await supabase
+          .from('user_sessions')
+          .upsert({
+            session_key: callerSession.sessionKey,
+            user_email: callerSession.user.email,
+            // OAuth/SSO provider id from SupabaseSSO (google, azure, okta, ...)
+            provider: /^[a-z0-9_-]{1,40}$/.test(body.provider || '') && body.provider !== 'password' ? body.provider : 'google',
+            expires_at: callerSession.expiresAt,
+            ...activity,
+          }, { onConflict: 'session_key' })
+        if (error) throw new Error(`Failed to record session: ${error.message}`)
+      } else {
+        await supabase
+          .from('user_sessions')
+          .update(activity)
+          .eq('session_key', callerSession.sessionKey)
+      }
+
+      return jsonResponse({ success: true, tracked: true })
+    }
+
+    // List a user's active sessions (own, or any user's for Admins)
+    if (action === 'list-sessions') {
+      const { callerSession, error: callerError } = await getVerifiedCallerSession()
+      if (!callerSession) return callerError
+
+      const target = await getSessionTarget(callerSession.user, body.email)
+      if (target.error) return target.error
+
+      const { data, error } = await supabase
+        .from('user_sessions')
+        .select('id, session_key, provider, device, user_agent, ip_address, created_at, last_seen_at, expires_at')
+        .eq('user_email', target.email)
+        .is('revoked_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .order('last_seen_at', { ascending: false, nullsFirst: false })
+      if (error) throw new Error(`Failed to load sessions: ${error.message}`)
+
+      return jsonResponse({
+        success: true,
+        sessions: (data || []).map(({ session_key, ...session }) => ({
+          ...session,
+          current: session_key === callerSession.sessionKey,
+        })),
+      })
+    }
+
+    // Revoke one session by id
+    if (action === 'revoke-session') {
+      const { callerSession, error: callerError } = await getVerifiedCallerSession()
+      if (!callerSession) return callerError
+      const caller = callerSession.user
+
+      const { data: session } = await supabase
+        .from('user_sessions')
+        .select('id, user_email, session_key')
+        .eq('id', body.session_id || '')
+        .is('revoked_at', null)
+        .maybeSingle()
+      if (!session) {
+        return jsonResponse({ error: 'Session not found' }, 404)
+      }
+
+      const target = await getSessionTarget(caller, session.user_email)
+      if (target.error) return target.error
+
+      await revokeSessions([session], caller.email)
+      return jsonResponse({ success: true })
+    }
+
+    // Revoke all of a user's sessions, optionally keeping the caller's own
+    if (action === 'revoke-all-sessions') {
+      const { callerSession, error: callerError } = await getVerifiedCallerSession()
+      if (!callerSession) return callerError
+
+      const target = await getSessionTarget(callerSession.user, body.email)
+      if (target.error) return target.error
+
+      const { data: sessions, error } = await supabase
+        .from('user_sessions')
+        .select('id, session_key')
+        .eq('user_email', target.email)
+        .is('revoked_at', null)
+      if (error) throw new Error(`Failed to load sessions: ${error.message}`)
+
+      const toRevoke = (sessions || []).filter(session =>
+        !(body.keep_current && session.session_key === callerSession.sessionKey))
+      const revoked = await revokeSessions(toRevoke, callerSession.user.email)
+      return jsonResponse({ success: true, revoked })
+    }
+
+    // MFA: enrollment state, role policy and whether this session has passed the second factor
+    if (action === 'mfa-status') {
+      const callerSession = await getCallerSession()
+      if (!callerSession) {
+        return jsonResponse({ error: 'Not authenticated' }, 401)
+      }
+      const { status } = await getMfaStatus(callerSession.user, callerSession.sessionKey)
+      return jsonResponse({ success: true, ...status })
+    }
+
+    // MFA: create a new (unconfirmed) secret for the authenticator app
+    if (action === 'mfa-enroll-start') {
+      const caller = await getCaller()
+      if (!caller) {
+        return jsonResponse({ error: 'Not authenticated' }, 401)
+      }
+
+      const { status } = await getMfaStatus(caller, null)
+      if (status.enrolled) {
+        return jsonResponse({ error: 'Two-factor authentication is already enabled', code: 'already_enrolled' }, 409)
+      }
+
+      const secret = generateMfaSecret()
+      const { error } = await supabase
+        .from('user_mfa')
+        .upsert({ user_email: caller.email, secret, enabled_at: null, last_used_step: null, failed_attempts: 0, locked_until: null })
+      if (error) throw new Error(`Failed to start MFA enrollment: ${error.message}`)
+
+      const label = encodeURIComponent(`${MFA_ISSUER}:${caller.email}`)
+      const params = new URLSearchParams({
+        secret,
+        issuer: MFA_ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_PERIOD_SECONDS),
+      })
+      return jsonResponse({ success: true, secret, otpauth_url: `otpauth://totp/${label}?${params}` })
+    }
+
+    // MFA: confirm enrollment with a first code; returns the recovery codes (shown once)
+    if (action === 'mfa-enroll-confirm') {
+      const callerSession = await getCallerSession()
+      if (!callerSession) {
+        return jsonResponse({ error: 'Not authenticated' }, 401)
+      }
+
+      const { mfa, status } = await getMfaStatus(callerSession.user, null)
+      if (!mfa || status.enrolled) {
+        return jsonResponse({ error: 'Start enrollment first', code: 'not_enrolling' }, 400)
+      }
+
+      const step = await verifyTotp(mfa.secret, body.code || '', null)
+      if (step === null) {
+        return jsonResponse({ error: 'Invalid verification code', code: 'invalid_mfa_code' }, 401)
+      }
+
+      const { error } = await supabase
+        .from('user_mfa')
+        .update({ enabled_at: new Date().toISOString(), last_used_step: step })
+        .eq('user_email', callerSession.user.email)
+      if (error) throw new Error(`Failed to enable MFA: ${error.message}`)
+
+      const recoveryCodes = await issueRecoveryCodes(callerSession.user.email)
+      await markSessionVerified(callerSession.user, callerSession.sessionKey, callerSession.expiresAt)
+      return jsonResponse({ success: true, recovery_codes: recoveryCodes })
+    }
+
+    // MFA: second step of sign-in, with an authenticator code or a recovery code
+    if (action === 'mfa-verify') {
+      const callerSession = await getCallerSession()
+      if (!callerSession) {
+        return jsonResponse({ error: 'Not authenticated' }, 401)
+      }
+
+      const { mfa, status } = await getMfaStatus(callerSession.user, null)
+      if (!status.enrolled) {
+        return jsonResponse({ error: 'Two-factor authentication is not enabled', code: 'not_enrolled' }, 400)
+      }
+      if (!callerSession.sessionKey) {
+        return jsonResponse({ error: 'Session cannot be verified', code: 'invalid_session' }, 400)
+      }
+
+      const result = await checkSecondFactor(mfa, body.code || '', body.recovery_code || '')
+      if (!result.ok) return result.response
+
+      await markSessionVerified(callerSession.user, callerSession.sessionKey, callerSession.expiresAt)
+
+      const { count } = await supabase
+        .from('user_mfa_recovery_codes')
+        .select('id', { count: 'exact', head: true })
+        .eq('user_email', callerSession.user.email)
+        .is('used_at', null)
+      return jsonResponse({ success: true, used_recovery_code: result.usedRecoveryCode, recovery_codes_remaining: count ?? 0 })
+    }
+
+    // MFA: replace recovery codes (requires a current authenticator code)
+    if (action === 'mfa-recovery-codes') {
+      const caller = await getCaller()
+      if (!caller) {
+        return jsonResponse({ error: 'Not authenticated' }, 401)
+      }
+
+      const { mfa, status } = await getMfaStatus(caller, null)
+      if (!status.enrolled) {
+        return jsonResponse({ error: 'Two-factor authentication is not enabled', code: 'not_enrolled' }, 400)
+      }
+
+      const result = await checkSecondFactor(mfa, body.code || '', '')
+      if (!result.ok) return result.response
+
+      return jsonResponse({ success: true, recovery_codes: await issueRecoveryCodes(caller.email) })
+    }
+
+    // MFA: turn off (not allowed when the user's role requires it)
+    if (action === 'mfa-disable') {
+      const caller = await getCaller()
+      if (!caller) {
+        return jsonResponse({ error: 'Not authenticated' }, 401)
+      }
+
+      const { mfa, status } = await getMfaStatus(caller, null)
+      if (!status.enrolled) {
+        return jsonResponse({ error: 'Two-factor authentication is not enabled', code: 'not_enrolled' }, 400)
+      }
+      if (status.required) {
+        return jsonResponse({ error: `Two-factor authentication is required for the ${caller.role} role`, code: 'mfa_required' }, 403)
+      }
+
+      const result = await checkSecondFactor(mfa, body.code || '', body.recovery_code || '')
+      if (!result.ok) return result.response
+
+      await supabase.from('user_mfa_recovery_codes').delete().eq('user_email', caller.email)
+      await supabase.from('mfa_verified_sessions').delete().eq('user_email', caller.email)
+      await supabase.from('user_mfa').delete().eq('user_email', caller.email)
+      return jsonResponse({ success: true })
+    }
+
+    // Helper: load an unused, unexpired reset token
+    const getResetToken = async (token: string) => {
+      if (!token) return null
+      const { data } = await supabase
+        .from('password_reset_tokens')
+        .select('*')
+        .eq('token_hash', await sha256Hex(token))
+        .is('used_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .maybeSingle()
+      return data
+    }
+
+    // Email a password reset link. The response is the same whether or not the account
+    // exists so the form can't be used to discover accounts.
+    if (action === 'request-password-reset') {
+      const email = (body.email || '').toLowerCase().trim()
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        return jsonResponse({ error: 'Please enter a valid email address' }, 400)
+      }
+
+      // Checked before the account lookup so every address gets the same answer
+      if (!SITE_URL) {
+        console.error('SITE_URL is not set; cannot build password reset links')
+        return jsonResponse({ error: 'Password reset is not configured. Please contact your administrator.' }, 500)
+      }
+
+      // Counted and recorded in one statement so concurrent requests can't all pass the limit
+      const { data: recorded, error: limitError } = await supabase.rpc('record_password_reset_request', {
+        p_email: email,
+        p_ip_address: getClientIp(req),
+        p_window_minutes: PASSWORD_RESET_WINDOW_MINUTES,
+        p_max_requests: PASSWORD_RESET_MAX_REQUESTS,
+      })
+      if (limitError) throw new Error(`Failed to record reset request: ${limitError.message}`)
+      if (!recorded) {
+        return jsonResponse({ error: 'Too many reset requests for this email. Please try again later.', code: 'rate_limited' }, 429)
+      }
+
+      const accepted = { success: true, message: 'If an account exists for this email, a reset link has been sent.' }
+      const user = await getUser(email)
+      if (!user || !user.is_active) {
+        return jsonResponse(accepted)
+      }
+
+      // Only the newest link works
+      await supabase
+        .from('password_reset_tokens')
+        .update({ used_at: new Date().toISOString() })
+        .eq('user_email', user.email)
+        .is('used_at', null)
+
+      const token = generateToken()
+      const { error } = await supabase
+        .from('password_reset_tokens')
+        .insert({
+          user_email: user.email,
+          token_hash: await sha256Hex(token),
+          expires_at: new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60000).toISOString(),
+        })
+      if (error) throw new Error(`Failed to create reset token: ${error.message}`)
+
+      const response = await fetch(`${supabaseUrl}/functions/v1/send-password-reset-email`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${supabaseServiceKey}`,
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          email: user.email,
+          name: user.name,
+          reset_url: `${SITE_URL}/reset-password.html?token=${token}`,
+          expires_in_minutes: PASSWORD_RESET_TTL_MINUTES,
+        }),
+      })
+      if (!response.ok) {
+        console.error('Password reset email failed:', response.status, await response.text())
+      }
+
+      return jsonResponse(accepted)
+    }
+
+    // Check a reset link before showing the new password form
+    if (action === 'verify-reset-token') {
+      const resetToken = await getResetToken(body.token || '')
+      if (!resetToken) {
+        return jsonResponse({ error: 'This reset link is invalid or has expired', code: 'invalid_token' }, 400)
+      }
+      // No email: the link alone mustn't reveal whose account it is
+      return jsonResponse({ success: true, expires_at: resetToken.expires_at })
+    }
+
+    // Set a new password with a reset token; signs the user out everywhere
+    if (action === 'reset-password') {
+      const resetToken = await getResetToken(body.token || '')
+      if (!resetToken) {
+        return jsonResponse({ error: 'This reset link is invalid or has expired', code: 'invalid_token' }, 400)
+      }
+
+      const user = await getUser(resetToken.user_email)
+      if (!user || !user.is_active) {
+        return jsonResponse({ error: 'This reset link is invalid or has expired', code: 'invalid_token' }, 400)
+      }
+
+      const newPassword = body.new_password || ''
+      const policyError = checkPasswordPolicy(newPassword, user.email)
+      if (policyError) {
+        return jsonResponse({ error: policyError, code: 'weak_password' }, 400)
+      }
+
+      // Claim the token first so it can't be used twice concurrently
+      const { data: claimed } = await supabase
+        .from('password_reset_tokens')
+        .update({ used_at: new Date().toISOString() })
+        .eq('id', resetToken.id)
+        .is('used_at', null)
+        .select('id')
+      if (!claimed || claimed.length === 0) {
+        return jsonResponse({ error: 'This reset link is invalid or has expired', code: 'invalid_token' }, 400)
+      }
+
+      await storePassword(user.email, newPassword)
+
+      const { data: activeSessions } = await supabase
+        .from('user_sessions')
+        .select('id, session_key')
+        .eq('user_email', user.email)
+        .is('revoked_at', null)
+      await revokeSessions(activeSessions || [], 'password-reset')
+
+      return jsonResponse({ success: true })
+    }
+
+    // Change own password (requires the current password if one is set)
+    if (action === 'change-password') {
+      const { callerSession, error: callerError } = await getVerifiedCallerSession()
+      if (!callerSession) return callerError
+      const caller = callerSession.user
+
+      const newPassword = body.new_password || ''
+      const policyError = checkPasswordPolicy(newPassword, caller.email)
+      if (policyError) {
+        return jsonResponse({ error: policyError, code: 'weak_password' }, 400)
+      }
+
+      const { data: credential } = await supabase
+        .from('user_credentials')
+        .select('*')
+        .eq('user_email', caller.email)
+        .maybeSingle()
+
+      if (credential && !(await verifyCredential(credential, body.current_password || ''))) {
+        return jsonResponse({ error: 'Current password is incorrect', code: 'invalid_credentials' }, 401)
+      }
+
+      await storePassword(caller.email, newPassword)
+      return jsonResponse({ success: true })
+    }
+
+    // Set another user's password (admin reset, or initial password for new users)
+    if (action === 'set-password') {
+      const { callerSession, error: callerError } = await getVerifiedCallerSession()
+      if (!callerSession) return callerError
+      const caller = callerSession.user
+
+      const email = (body.email || '').toLowerCase().trim()
+      const password = body.password || ''
+      if (!email || password.length < MIN_PASSWORD_LENGTH) {
+        return jsonResponse({ error: `Email and a password of at least ${MIN_PASSWORD_LENGTH} characters are required` }, 400)
+      }
+
+      const target = await getUser(email)
+      if (!target) {
+        return jsonResponse({ error: 'User not found' }, 404)
+      }
+
+      const { data: existing } = await supabase
+        .from('user_credentials')
+        .select('user_email')
+        .eq('user_email', target.email)
+        .maybeSingle()
+
+      // Admins can reset any password. User managers can only give a first password to an
+      // account they could have created: one that has never signed in (by Google or SSO
+      // either), with a role no higher than their own. Otherwise they could set a password on
+      // a Google-only Admin and sign in as them.
+      const callerLevel = await getRoleLevel(caller.role)
+      const isNewAccount = !existing && !target.last_login &&
+        !(parseInt(target.login_count, 10) > 0) && !target.sso_provider
+      const allowed = callerLevel >= 4 ||
+        (callerLevel >= 2 && isNewAccount && await getRoleLevel(target.role) <= callerLevel)
+      if (!allowed) {
+        return jsonResponse({ error: 'You do not have permission to set this password' }, 403)
+      }
+
+      await storePassword(target.email, password)
+      return jsonResponse({ success: true })
+    }
+
+    return jsonResponse({ error: 'Invalid action' }, 400)
+
+  } catch (error) {
+    console.error('❌ Error in password-auth function:', error)
+    return jsonResponse({ error: error.message || 'Internal server error' }, 500)
+  }
+})
@@ -0,0 +1,180 @@
+// Score Audit Edge Function
+// Recomputes a saved audit's score from its stored parameter values with the same scoring
+// module the audit pages use (_shared/audit-scoring.js), and overwrites the score columns if what
+// the browser submitted doesn't match. Called by create-audit.html, audit-form.html,
+// edit-audit.html and audit history restores after every save, and by the offline outbox
+// after a queued audit is sent.
+//
+// Request: { table, audit_id } where table is the scorecard's table_name. Database webhook
+// payloads ({ type, table, record }) are accepted too: the trigger from migration
+// 20261019000021 posts one for every INSERT/UPDATE of the audit tables (or of audits, once
+// they are switched to normalized storage), which covers clients that skip the call. Rows
+// are only written when something changed, so the trigger's own UPDATE doesn't loop.
+//
+// Callers must be signed in: a password session token (x-session-token) or a Supabase Auth
+// access token for an active user. Webhooks send SCORE_AUDIT_WEBHOOK_SECRET in
+// x-webhook-secret instead. Anything else gets a 401 before the service role key is used.
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+import '../_shared/audit-scoring.js'
+
+// audit-scoring.js attaches itself to globalThis so the browser can load it as a plain script
+const AuditScoring = (globalThis as any).AuditScoring
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type, x-session-token, x-webhook-secret',
+}
+
+function jsonResponse(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  })
+}
+
+async function sha256Hex(value: string): Promise<string> {
+  const buffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value))
+  return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('')
+}
+
+function safeEqual(a: string, b: string): boolean {
+  if (a.length !== b.length) return false
+  let diff = 0
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i)
+  }
+  return diff === 0
+}
+
+// Whether the request comes from the audit webhook or a signed-in, active user
+async function isAuthorized(req: Request, supabase: any): Promise<boolean> {
+  const webhookSecret = Deno.env.get('SCORE_AUDIT_WEBHOOK_SECRET') || ''
+  const sentSecret = req.headers.get('x-webhook-secret') || ''
+  if (webhookSecret && sentSecret) return safeEqual(sentSecret, webhookSecret)
+
+  let email = ''
+  const sessionToken = req.headers.get('x-session-token')
+  if (sessionToken) {
+    const { data: session } = await supabase
+      .from('user_sessions')
+      .select('user_email')
+      .eq('token_hash', await sha256Hex(sessionToken))
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .maybeSingle()
+    email = session?.user_email || ''
+  } else {
+    const jwt = (req.headers.get('authorization') || '').replace(/^Bearer\s+/i, '')
+    if (jwt) {
+      const { data } = await supabase.auth.getUser(jwt)
+      email = data?.user?.email || ''
+    }
+  }
+  if (!email) return false
+
+  const { data: user } = await supabase
+    .from('users')
+    .select('is_active')
+    .eq('email', email.toLowerCase())
+    .maybeSingle()
+  return !!user?.is_active
+}
+
+serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405)
+  }
+
+  try {
+    const supabaseUrl = Deno.env.get('SUPABASE_URL') || ''
+    const serviceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') || ''
+    if (!supabaseUrl || !serviceKey) {
+      return jsonResponse({ error: 'Score check is not configured' }, 500)
+    }
+    const supabase = createClient(supabaseUrl, serviceKey)
+
+    if (!(await isAuthorized(req, supabase))) {
+      return jsonResponse({ error: 'Not authenticated' }, 401)
+    }
+
+    const body = await req.json().catch(() => ({}))
+
+    // Webhook payloads name the table the row was written to; normalized rows carry their
+    // scorecard table in audit_table
+    let table = body.table
+    let auditId = body.audit_id
+    if (body.record) {
+      if (body.type === 'DELETE') return jsonResponse({ success: true, skipped: 'delete' })
+      table = body.record.audit_table || body.table
+      auditId = body.record.id
+    }
+
+    if (!table || auditId == null || auditId === '') {
+      return jsonResponse({ error: 'table and audit_id are required' }, 400)
+    }
+
+    // Only scorecard tables; the service role key must not be usable on anything else
+    const { data: scorecard, error: scorecardError } = await supabase
+      .from('scorecards')
+      .select('*')
+      .eq('table_name', table)
+      .maybeSingle()
+    if (scorecardError) throw scorecardError
+    if (!scorecard) {
+      return jsonResponse({ error: `${table} is not a scorecard table` }, 404)
+    }
+
+    const { data: parameters, error: paramsError } = await supabase
+      .from('scorecard_parameters')
+      .select('*')
+      .eq('scorecard_id', scorecard.id)
+      .eq('is_active', true)
+      .order('display_order', { ascending: true })
+    if (paramsError) throw paramsError
+
+    const { data: audit, error: auditError } = await supabase
+      .from(table)
+      .select('*')
+      .eq('id', auditId)
+      .maybeSingle()
+    if (auditError) throw auditError
+    if (!audit) {
+      return jsonResponse({ error: 'Audit not found' }, 404)
+    }
+
+    const check = AuditScoring.validate(scorecard, parameters || [], audit)
+    if (check.valid) {
+      return jsonResponse({ success: true, corrected: false, fields: check.expected, mismatches: [] })
+    }
+
+    console.warn(`Correcting score of ${table}/${auditId}:`, JSON.stringify(check.mismatches))
+
+    // Older tables may not have every score column
+    const fields = Object.fromEntries(
+      Object.entries(check.expected).filter(([column]) => column in audit)
+    )
+    const { error: updateError } = await supabase
+      .from(table)
+      .update(fields)
+      .eq('id', auditId)
+    if (updateError) throw updateError
+
+    return jsonResponse({
+      success: true,
+      corrected: true,
+      fields: check.expected,
+      mismatches: check.mismatches,
+    })
+  } catch (error) {
+    console.error('score-audit error:', error)
+    return jsonResponse({ error: (error as Error).message || 'Score check failed' }, 500)
+  }
+})
@@ -0,0 +1,101 @@
+// Send Password Reset Email Edge Function
+// Emails a password reset link through Resend.
+// Only called by the password-auth function (service role key), which owns the reset tokens;
+// browsers can't use it to send arbitrary emails.
+
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+
+const RESEND_API_KEY = Deno.env.get('RESEND_API_KEY') || ''
+const EMAIL_FROM = Deno.env.get('EMAIL_FROM') || 'QMS <no-reply@example.com>'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+function jsonResponse(body: unknown, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+  })
+}
+
+function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+}
+
+function buildEmailHtml(name: string, resetUrl: string, expiresInMinutes: number): string {
+  const safeName = escapeHtml(name || 'there')
+  const safeUrl = escapeHtml(resetUrl)
+  return `
+    <div style="font-family: 'Poppins', Arial, sans-serif; max-width: 520px; margin: 0 auto; color: #1f2937;">
+      <h2 style="color: #1f9e4b;">Reset your QMS password</h2>
+      <p>Hi ${safeName},</p>
+      <p>We received a request to reset the password for your QMS account. Click the button below to choose a new password.</p>
+      <p style="margin: 24px 0;">
+        <a href="${safeUrl}" style="background: #1f9e4b; color: #ffffff; padding: 12px 20px; border-radius: 6px; text-decoration: none; font-weight: 600;">Reset Password</a>
+      </p>
+      <p style="font-size: 13px; color: #6b7280;">This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+      <p style="font-size: 13px; color: #6b7280;">If you didn't ask to reset your password, you can ignore this email. Your password won't change.</p>
+    </div>
+  `
+}
+
+serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405)
+  }
+
+  try {
+    const serviceKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') || ''
+    const authorization = (req.headers.get('authorization') || '').replace(/^Bearer\s+/i, '')
+    if (!serviceKey || authorization !== serviceKey) {
+      return jsonResponse({ error: 'Not authorized' }, 401)
+    }
+
+    const { email, name, reset_url, expires_in_minutes } = await req.json().catch(() => ({}))
+    if (!email || !reset_url) {
+      return jsonResponse({ error: 'email and reset_url are required' }, 400)
+    }
+
+    if (!RESEND_API_KEY) {
+      console.warn('RESEND_API_KEY is not set. Password reset email skipped.')
+      return jsonResponse({ success: false, warning: 'Email sending is not configured' })
+    }
+
+    const response = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${RESEND_API_KEY}`,
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        from: EMAIL_FROM,
+        to: [email],
+        subject: 'Reset your QMS password',
+        html: buildEmailHtml(name, reset_url, expires_in_minutes || 30),
+      }),
+    })
+
+    if (!response.ok) {
+      const errorText = await response.text()
+      console.error('Email API error:', response.status, errorText)
+      throw new Error(`Email API error (${response.status})`)
+    }
+
+    return jsonResponse({ success: true, message: 'Password reset email sent' })
+  } catch (error) {
+    console.error('Error sending password reset email:', error)
+    return jsonResponse({ error: error.message || 'Failed to send email' }, 500)
+  }
+})
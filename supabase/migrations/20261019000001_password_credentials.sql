@@ -0,0 +1,43 @@
+-- Server-side password credentials
+-- Moves password hashes out of the browser-readable users table into
+-- user_credentials, which only the password-auth edge function (service role) can read.
+-- Existing SHA-256 / plain-text values are copied as-is and upgraded to bcrypt
+-- by the edge function the next time the user signs in.
+
+create table if not exists public.user_credentials (
+  user_email text primary key references public.users(email) on update cascade on delete cascade,
+  password_hash text not null,
+  hash_algorithm text not null default 'bcrypt' check (hash_algorithm in ('bcrypt', 'sha256', 'plain')),
+  failed_attempts integer not null default 0,
+  locked_until timestamptz,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.user_sessions (
+  id uuid primary key default gen_random_uuid(),
+  user_email text not null references public.users(email) on update cascade on delete cascade,
+  token_hash text not null unique,
+  provider text not null default 'password',
+  created_at timestamptz not null default now(),
+  expires_at timestamptz not null,
+  revoked_at timestamptz
+);
+
+create index if not exists user_sessions_user_email_idx on public.user_sessions (user_email);
+
+-- No policies: anon/authenticated roles get nothing, the service role bypasses RLS
+alter table public.user_credentials enable row level security;
+alter table public.user_sessions enable row level security;
+
+-- Copy existing hashes, tagging how each one was stored
+insert into public.user_credentials (user_email, password_hash, hash_algorithm)
+select
+  email,
+  trim(password_hash),
+  case when trim(password_hash) ~* '^[a-f0-9]{64}$' then 'sha256' else 'plain' end
+from public.users
+where password_hash is not null and trim(password_hash) <> ''
+on conflict (user_email) do nothing;
+
+-- The hash must never be readable through the anon key again
+alter table public.users drop column if exists password_hash;
@@ -0,0 +1,17 @@
+-- Declarative access policies
+-- Adds a policy expression column to access_control_rules (evaluated by AccessPolicy in
+-- access-control.js) and allows condition-only 'resource' rules such as audit_assignment.
+
+alter table public.access_control_rules
+  add column if not exists condition text;
+
+-- Widen the rule_type check (if one exists) to include resource rules
+alter table public.access_control_rules
+  drop constraint if exists access_control_rules_rule_type_check;
+
+alter table public.access_control_rules
+  add constraint access_control_rules_rule_type_check
+  check (rule_type in ('page', 'feature', 'resource'));
+
+comment on column public.access_control_rules.condition is
+  'Policy expression, e.g. assignment.auditor_email == user.email OR user.role_level >= 3';
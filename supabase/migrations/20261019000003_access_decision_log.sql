@@ -0,0 +1,23 @@
+-- Access decision audit log
+-- Written by AccessControl.logDecision() in access-control.js: every denial, plus grants
+-- for sensitive features (manage_users, delete_audit). Read by the "Explain Access" tab
+-- on access-control.html.
+
+create table if not exists public.access_decision_log (
+  id uuid primary key default gen_random_uuid(),
+  user_email text not null,
+  user_role text,
+  resource_type text not null check (resource_type in ('page', 'feature', 'resource')),
+  resource_name text not null,
+  allowed boolean not null,
+  reason text,
+  matched_rule jsonb,
+  page_url text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists access_decision_log_user_email_idx
+  on public.access_decision_log (user_email, created_at desc);
+
+create index if not exists access_decision_log_denied_idx
+  on public.access_decision_log (created_at desc) where not allowed;
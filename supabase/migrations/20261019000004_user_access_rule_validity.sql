@@ -0,0 +1,34 @@
+-- Time-bound and delegated user access rules
+-- Rules can now have a validity window and record who they were delegated by.
+-- AccessControl ignores rules outside their window, so expired grants need no cleanup.
+-- rule_type 'role' rules let a user act as another role, e.g. a Quality Analyst
+-- covering for a Quality Supervisor on leave (resource_name holds the role).
+
+alter table public.user_access_rules
+  add column if not exists valid_from timestamptz,
+  add column if not exists valid_until timestamptz,
+  add column if not exists delegated_by text references public.users(email) on update cascade on delete set null;
+
+alter table public.user_access_rules
+  drop constraint if exists user_access_rules_validity_check;
+
+alter table public.user_access_rules
+  add constraint user_access_rules_validity_check
+  check (valid_from is null or valid_until is null or valid_until > valid_from);
+
+-- Widen the rule_type check (if one exists) to include role delegations
+alter table public.user_access_rules
+  drop constraint if exists user_access_rules_rule_type_check;
+
+alter table public.user_access_rules
+  add constraint user_access_rules_rule_type_check
+  check (rule_type in ('page', 'feature', 'role'));
+
+create index if not exists user_access_rules_lookup_idx
+  on public.user_access_rules (user_email, rule_type, resource_name)
+  where is_active;
+
+comment on column public.user_access_rules.valid_until is
+  'Rule stops applying at this time; null means no expiry';
+comment on column public.user_access_rules.delegated_by is
+  'User whose responsibilities are being covered (for role delegations)';
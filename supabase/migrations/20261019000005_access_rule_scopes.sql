@@ -0,0 +1,23 @@
+-- Team/department-scoped permissions
+-- A feature rule can limit how far it reaches per role, e.g. view_all_audits with
+-- {"Quality Supervisor": "team", "Quality Analyst": "channel"}. Roles that are not
+-- listed (and no "*" entry) keep unrestricted access.
+--   department - users in the same users.department
+--   channel    - users in the same users.channel
+--   team       - the user's supervisor subtree via users.team_supervisor
+
+alter table public.access_control_rules
+  add column if not exists scopes jsonb;
+
+alter table public.access_control_rules
+  drop constraint if exists access_control_rules_scopes_check;
+
+alter table public.access_control_rules
+  add constraint access_control_rules_scopes_check
+  check (scopes is null or jsonb_typeof(scopes) = 'object');
+
+-- Supervisor subtree lookups walk team_supervisor
+create index if not exists users_team_supervisor_idx on public.users (team_supervisor);
+
+comment on column public.access_control_rules.scopes is
+  'Per-role scope for feature rules: role name (or *) -> all | department | channel | team';
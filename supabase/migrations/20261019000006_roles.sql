@@ -0,0 +1,53 @@
+-- Custom roles
+-- Roles used to be a fixed map in AccessControl.ROLE_HIERARCHY. They now live here so new
+-- roles (e.g. Team Lead, Trainer, Client Viewer) can be added without a code change.
+--   level              - position in the hierarchy, compared against min_role_level
+--   permissions        - bundle of pages/features granted outright:
+--                        {"pages": ["audit-distribution.html"], "features": ["create_audit"]}
+--   hidden_menu_items  - sidebar entries to hide, by aria-label or href
+
+create table if not exists public.roles (
+  name text primary key,
+  level integer not null default 0 check (level >= 0),
+  description text,
+  permissions jsonb not null default '{"pages": [], "features": []}'::jsonb
+    check (jsonb_typeof(permissions) = 'object'),
+  hidden_menu_items text[] not null default '{}',
+  is_system boolean not null default false,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.roles enable row level security;
+
+drop policy if exists "Roles are readable by everyone" on public.roles;
+create policy "Roles are readable by everyone"
+  on public.roles for select
+  using (true);
+
+insert into public.roles (name, level, description, hidden_menu_items, is_system) values
+  ('Super Admin', 5, 'Full access, including access control', '{}', true),
+  ('Admin', 4, 'Manages users and all audits', '{}', true),
+  ('Quality Supervisor', 3, 'Supervises Quality Analysts', '{}', true),
+  ('Quality Analyst', 2, 'Performs audits', '{}', true),
+  ('Employee', 1, 'Views and acknowledges their own audits',
+    array['Auditor''s Dashboard', 'Create New Audit', 'Audit Distribution', 'Improvement Corner',
+          'Search', 'scorecards.html', 'user-management.html'], true),
+  ('General User', 0, 'Basic access', '{}', true)
+on conflict (name) do nothing;
+
+-- Any role already assigned to a user becomes a (level 0) role so the foreign key holds
+insert into public.roles (name, level)
+select distinct role, 0
+from public.users
+where role is not null
+on conflict (name) do nothing;
+
+-- Keep users.role pointing at a defined role (renames cascade)
+alter table public.users
+  drop constraint if exists users_role_fkey;
+
+alter table public.users
+  add constraint users_role_fkey
+  foreign key (role) references public.roles(name) on update cascade;
@@ -0,0 +1,21 @@
+-- Live permission refresh
+-- Publishes changes to access rules, roles and users over Supabase Realtime so open tabs
+-- re-apply rules, role changes and deactivations within seconds (access-control.js,
+-- auth-check.js).
+
+do $$
+declare
+  table_name text;
+begin
+  foreach table_name in array array['access_control_rules', 'user_access_rules', 'roles', 'users'] loop
+    if not exists (
+      select 1 from pg_publication_tables
+      where pubname = 'supabase_realtime' and schemaname = 'public' and tablename = table_name
+    ) then
+      execute format('alter publication supabase_realtime add table public.%I', table_name);
+    end if;
+  end loop;
+end $$;
+
+-- Include the old row in delete events so clients can tell whose rule was removed
+alter table public.user_access_rules replica identity full;
@@ -0,0 +1,23 @@
+-- "View as" impersonation log
+-- Written by AccessControl.logImpersonation() in access-control.js whenever a Super Admin
+-- starts or stops viewing the app as another user or role, and for every write that was
+-- blocked because the tab was read-only at the time.
+
+create table if not exists public.impersonation_log (
+  id uuid primary key default gen_random_uuid(),
+  impersonator_email text not null,
+  target_type text not null check (target_type in ('user', 'role')),
+  target_email text,
+  target_role text,
+  action text not null check (action in ('start', 'stop', 'blocked_write')),
+  detail jsonb,
+  page_url text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists impersonation_log_impersonator_idx
+  on public.impersonation_log (impersonator_email, created_at desc);
+
+create index if not exists impersonation_log_target_idx
+  on public.impersonation_log (target_email, created_at desc)
+  where target_email is not null;
@@ -0,0 +1,93 @@
+-- Case-insensitive user lookup
+-- SupabaseUsers.getUserByEmail used to download up to 1000 users and match emails in the
+-- browser. Emails are now stored lowercased, looked up through an index on lower(email),
+-- and last_login/login_count are written in one statement.
+
+-- One-time normalization. Rows whose lowercased email already exists are left alone and
+-- reported so they can be merged by hand. Foreign keys to users(email) cascade; audit
+-- tables keep their text copies and are already compared case-insensitively.
+do $$
+declare
+  duplicate record;
+begin
+  for duplicate in
+    select lower(trim(email)) as normalized_email, array_agg(email) as emails
+    from public.users
+    group by lower(trim(email))
+    having count(*) > 1
+  loop
+    raise warning 'users: % rows share email % (%), merge them manually',
+      array_length(duplicate.emails, 1), duplicate.normalized_email, duplicate.emails;
+  end loop;
+end $$;
+
+update public.users u
+set email = lower(trim(u.email))
+where u.email <> lower(trim(u.email))
+  and not exists (
+    select 1 from public.users other
+    where other.email = lower(trim(u.email))
+  );
+
+-- Keep new and edited emails normalized
+create or replace function public.normalize_user_email()
+returns trigger
+language plpgsql
+as $$
+begin
+  new.email := lower(trim(new.email));
+  return new;
+end;
+$$;
+
+drop trigger if exists users_normalize_email on public.users;
+create trigger users_normalize_email
+  before insert or update of email on public.users
+  for each row execute function public.normalize_user_email();
+
+-- Unique when the data allows it, otherwise a plain index until duplicates are merged
+do $$
+begin
+  if exists (select 1 from public.users group by lower(email) having count(*) > 1) then
+    create index if not exists users_email_lower_idx on public.users (lower(email));
+  else
+    create unique index if not exists users_email_lower_idx on public.users (lower(email));
+  end if;
+end $$;
+
+-- Runs as the caller, so users RLS still decides which rows are visible
+create or replace function public.get_user_by_email(p_email text)
+returns setof public.users
+language sql
+stable
+as $$
+  select *
+  from public.users
+  where lower(email) = lower(trim(p_email))
+  limit 1;
+$$;
+
+create or replace function public.increment_login_count(p_email text)
+returns integer
+language sql
+as $$
+  update public.users
+  set login_count = coalesce(nullif(login_count::text, ''), '0')::integer + 1
+  where lower(email) = lower(trim(p_email))
+  returning login_count::integer;
+$$;
+
+create or replace function public.record_user_login(p_email text)
+returns setof public.users
+language sql
+as $$
+  update public.users
+  set last_login = now(),
+      login_count = coalesce(nullif(login_count::text, ''), '0')::integer + 1
+  where lower(email) = lower(trim(p_email))
+  returning *;
+$$;
+
+grant execute on function public.get_user_by_email(text) to anon, authenticated;
+grant execute on function public.increment_login_count(text) to anon, authenticated;
+grant execute on function public.record_user_login(text) to anon, authenticated;
@@ -0,0 +1,48 @@
+-- TOTP multi-factor authentication
+-- Managed by the password-auth edge function (mfa-* actions). Works for both password and
+-- Google sign-in: a session passes the second factor once it has a row in
+-- mfa_verified_sessions, keyed by "password:<token hash>" or "supabase:<session id>".
+--   roles.mfa_required - users with this role must enroll before any page other than
+--                        profile.html unlocks (enforced by auth-check.js)
+
+create table if not exists public.user_mfa (
+  user_email text primary key references public.users(email) on update cascade on delete cascade,
+  secret text not null,
+  enabled_at timestamptz,
+  last_used_step bigint,
+  failed_attempts integer not null default 0,
+  locked_until timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.user_mfa_recovery_codes (
+  id uuid primary key default gen_random_uuid(),
+  user_email text not null references public.users(email) on update cascade on delete cascade,
+  code_hash text not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists user_mfa_recovery_codes_user_email_idx
+  on public.user_mfa_recovery_codes (user_email);
+
+create table if not exists public.mfa_verified_sessions (
+  session_key text primary key,
+  user_email text not null references public.users(email) on update cascade on delete cascade,
+  verified_at timestamptz not null default now(),
+  expires_at timestamptz not null
+);
+
+create index if not exists mfa_verified_sessions_user_email_idx
+  on public.mfa_verified_sessions (user_email);
+
+-- No policies: secrets are only readable by the service role
+alter table public.user_mfa enable row level security;
+alter table public.user_mfa_recovery_codes enable row level security;
+alter table public.mfa_verified_sessions enable row level security;
+
+alter table public.roles
+  add column if not exists mfa_required boolean not null default false;
+
+-- Mandatory for Admin and above
+update public.roles set mfa_required = true where name in ('Super Admin', 'Admin');
@@ -0,0 +1,46 @@
+-- Session management
+-- user_sessions now tracks every signed-in browser, not just password sessions, with the
+-- device, IP and last activity shown on profile.html (Sessions tab) and user-management.html.
+--   session_key - "password:<token hash>" or "supabase:<Supabase Auth session id>"
+--   revoked_by  - who signed the session out remotely (null when the user logged out)
+-- Google sessions have no token of our own, so token_hash becomes optional.
+
+alter table public.user_sessions
+  alter column token_hash drop not null;
+
+alter table public.user_sessions
+  add column if not exists session_key text,
+  add column if not exists device text,
+  add column if not exists user_agent text,
+  add column if not exists ip_address text,
+  add column if not exists last_seen_at timestamptz,
+  add column if not exists revoked_by text;
+
+update public.user_sessions
+set session_key = 'password:' || token_hash
+where session_key is null and token_hash is not null;
+
+update public.user_sessions
+set last_seen_at = created_at
+where last_seen_at is null;
+
+create unique index if not exists user_sessions_session_key_idx
+  on public.user_sessions (session_key);
+
+create index if not exists user_sessions_active_idx
+  on public.user_sessions (user_email, last_seen_at desc)
+  where revoked_at is null;
+
+-- Revoking a Google session also deletes it from Supabase Auth so its refresh token stops
+-- working; every open tab then gets SIGNED_OUT on the next refresh.
+create or replace function public.end_auth_session(p_session_id uuid)
+returns void
+language sql
+security definer
+set search_path = auth, public
+as $$
+  delete from auth.sessions where id = p_session_id;
+$$;
+
+revoke execute on function public.end_auth_session(uuid) from public, anon, authenticated;
+grant execute on function public.end_auth_session(uuid) to service_role;
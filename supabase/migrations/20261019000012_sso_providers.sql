@@ -0,0 +1,51 @@
+-- Single sign-on providers (OIDC / SAML) and IdP group to role mapping
+-- Browsers learn which providers to offer from SSO_PROVIDERS in env-config.js (generated by
+-- build-config.js). These tables are the server-side half: the password-auth function reads
+-- them to provision users just in time after a sign-in (sso-provision action). A provider's
+-- row uses the same id as its SSO_PROVIDERS entry.
+--   auth_provider - app_metadata.provider recorded by Supabase Auth: 'azure', 'keycloak',
+--                   'google', ... for OAuth/OIDC, 'sso:<sso provider id>' for SAML
+--   domains       - email domains allowed to sign in with this provider, subdomains included
+--                   (empty = any)
+--   groups_claim  - token claim / SAML attribute holding the user's IdP groups
+--   jit_enabled   - create the users row on first sign-in; otherwise it must already exist
+--   sync_role     - re-apply the group mapping on every sign-in, not just on creation
+
+create table if not exists public.sso_providers (
+  id text primary key,
+  label text not null,
+  auth_provider text not null unique,
+  domains text[] not null default '{}',
+  groups_claim text not null default 'groups',
+  default_role text not null default 'General User'
+    references public.roles(name) on update cascade,
+  jit_enabled boolean not null default true,
+  sync_role boolean not null default false,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- A user in several mapped groups gets the highest-level role among them
+create table if not exists public.sso_role_mappings (
+  id uuid primary key default gen_random_uuid(),
+  provider_id text not null references public.sso_providers(id) on delete cascade,
+  idp_group text not null,
+  role text not null references public.roles(name) on update cascade on delete cascade,
+  created_at timestamptz not null default now(),
+  unique (provider_id, idp_group)
+);
+
+-- Which provider created (or last mapped) a user
+alter table public.users
+  add column if not exists sso_provider text;
+
+-- No policies: provider settings and mappings are only used by the service role
+alter table public.sso_providers enable row level security;
+alter table public.sso_role_mappings enable row level security;
+
+-- Example (Azure AD via OIDC, groups claim enabled in the app registration):
+-- insert into public.sso_providers (id, label, auth_provider, domains, default_role)
+--   values ('azure', 'Microsoft', 'azure', array['example.com'], 'Employee');
+-- insert into public.sso_role_mappings (provider_id, idp_group, role)
+--   values ('azure', '<QA team group object id>', 'Quality Analyst');
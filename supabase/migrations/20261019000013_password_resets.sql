@@ -0,0 +1,71 @@
+-- Self-service password reset
+-- Managed by the password-auth edge function (request-password-reset, verify-reset-token,
+-- reset-password). Only a SHA-256 hash of each emailed token is stored; a token works once
+-- and expires after PASSWORD_RESET_TTL_MINUTES (default 30).
+--   password_reset_requests - every request, including ones for unknown emails, so the
+--                             per-email rate limit can't be used to discover accounts
+--   record_password_reset_request() - counts and records a request in one step, so
+--                             concurrent requests can't all slip under the limit
+
+create table if not exists public.password_reset_tokens (
+  id uuid primary key default gen_random_uuid(),
+  user_email text not null references public.users(email) on update cascade on delete cascade,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists password_reset_tokens_user_email_idx
+  on public.password_reset_tokens (user_email);
+
+create table if not exists public.password_reset_requests (
+  id uuid primary key default gen_random_uuid(),
+  email text not null,
+  ip_address text,
+  requested_at timestamptz not null default now()
+);
+
+create index if not exists password_reset_requests_email_idx
+  on public.password_reset_requests (email, requested_at desc);
+
+-- No policies: only the service role reads or writes reset tokens
+alter table public.password_reset_tokens enable row level security;
+alter table public.password_reset_requests enable row level security;
+
+-- Record a reset request unless the email already has p_max_requests in the last
+-- p_window_minutes. The per-email advisory lock serializes concurrent requests for the same
+-- address between the count and the insert. Returns whether the request was recorded.
+create or replace function public.record_password_reset_request(
+  p_email text,
+  p_ip_address text,
+  p_window_minutes integer,
+  p_max_requests integer
+)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count integer;
+begin
+  perform pg_advisory_xact_lock(hashtext('password_reset_requests:' || p_email));
+
+  select count(*)
+    into v_count
+    from public.password_reset_requests
+   where email = p_email
+     and requested_at >= now() - make_interval(mins => p_window_minutes);
+
+  if v_count >= p_max_requests then
+    return false;
+  end if;
+
+  insert into public.password_reset_requests (email, ip_address) values (p_email, p_ip_address);
+  return true;
+end;
+$$;
+
+revoke execute on function public.record_password_reset_request(text, text, integer, integer) from public, anon, authenticated;
+grant execute on function public.record_password_reset_request(text, text, integer, integer) to service_role;
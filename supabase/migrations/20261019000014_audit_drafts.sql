@@ -0,0 +1,33 @@
+-- Audit drafts
+-- Autosaved form state for audits in progress, written by AuditDrafts (audit-drafts.js) on
+-- create-audit.html, audit-form.html and edit-audit.html and listed on auditor-dashboard.html.
+-- One draft per auditor per audit, so reopening the same assignment offers to resume it.
+--   draft_key  - assignment id, "edit:<table>:<audit id>" or "manual:<scorecard id>"
+--   form_state - field values as [{id, name, value, checked}], the same shape auth-check.js
+--                uses to preserve a form across sign-out
+--   timer      - {"seconds": <elapsed>, "started_at": <audit start timestamp>}
+--   page_url   - where the draft is resumed from
+
+create table if not exists public.audit_drafts (
+  id uuid primary key default gen_random_uuid(),
+  auditor_email text not null,
+  draft_key text not null,
+  assignment_id text,
+  audit_id text,
+  audit_table text,
+  scorecard_id text,
+  scorecard_name text,
+  employee_name text,
+  employee_email text,
+  conversation_id text,
+  page_url text not null,
+  form_state jsonb not null default '[]'::jsonb
+    check (jsonb_typeof(form_state) = 'array'),
+  timer jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (auditor_email, draft_key)
+);
+
+create index if not exists audit_drafts_auditor_email_idx
+  on public.audit_drafts (auditor_email, updated_at desc);
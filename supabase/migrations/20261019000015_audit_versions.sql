@@ -0,0 +1,52 @@
+-- Audit version history
+-- Written by AuditHistory (audit-history.js) on every save of an audit: submit on
+-- create-audit.html / audit-form.html, Save Changes and reversal decisions on edit-audit.html,
+-- reversal decisions on reversal.html, ATA reviews, and restores from audit-view.html.
+-- Audits live in one table per scorecard, so a version is keyed by (audit_table, audit_id).
+--   version  - 1, 2, 3... per audit, assigned here so offline saves synced later still line up
+--   action   - original (the audit as it was before history was recorded), create, edit,
+--              reversal_decision, ata_correction, restore
+--   applied  - false for ATA corrections: the supervisor's scoring, not what the audit holds
+--   snapshot - the full audit row after the save
+
+create table if not exists public.audit_versions (
+  id uuid primary key default gen_random_uuid(),
+  audit_table text not null,
+  audit_id text not null,
+  version integer not null,
+  action text not null
+    check (action in ('original', 'create', 'edit', 'reversal_decision', 'ata_correction', 'restore')),
+  applied boolean not null default true,
+  snapshot jsonb not null,
+  changed_by_email text,
+  changed_by_name text,
+  restored_from_version integer,
+  created_at timestamptz not null default now(),
+  unique (audit_table, audit_id, version)
+);
+
+create index if not exists audit_versions_changed_by_idx
+  on public.audit_versions (changed_by_email, created_at desc);
+
+create or replace function public.assign_audit_version()
+returns trigger
+language plpgsql
+as $$
+begin
+  -- Serialize saves of the same audit so two writers can't take the same number
+  perform pg_advisory_xact_lock(hashtext(new.audit_table || ':' || new.audit_id));
+
+  select coalesce(max(version), 0) + 1
+    into new.version
+    from public.audit_versions
+   where audit_table = new.audit_table
+     and audit_id = new.audit_id;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists audit_versions_assign_version on public.audit_versions;
+create trigger audit_versions_assign_version
+  before insert on public.audit_versions
+  for each row execute function public.assign_audit_version();
@@ -0,0 +1,538 @@
+-- Normalized audit storage
+-- Every scorecard used to get its own audit table (create_audit_table), so reporting pages
+-- fan out over get_audit_tables() and merge in the browser. Audits now live in two tables:
+--   audits                  - one row per audit, keyed by (audit_table, id) like audit_versions
+--                             and audit_drafts; audit_table is the scorecard's table_name.
+--                             Columns a scorecard table had that aren't listed here go to extra.
+--   audit_parameter_results - one row per audit per parameter: the score/count (value), the
+--                             feedback_<field_id> array and the parameter_comments entry
+--
+-- scripts/migrate-audit-storage.js (npm run migrate:audits) copies each per-scorecard table in
+-- with migrate_audit_table(), then switch_audit_table() moves the table to the audit_legacy
+-- schema and puts a view with the same name and columns in its place. The view reads from and
+-- writes to the normalized tables, so pages that still query the scorecard table keep working
+-- until they are ported. restore_audit_table() undoes the switch for one table. The views'
+-- INSTEAD OF trigger writes as security definer: callers need grants on the view only, never
+-- on audits or audit_parameter_results.
+--
+-- get_audit_tables() and drop_audit_table() are redefined below so switched tables keep
+-- being listed and dropped correctly. create_audit_table() is unchanged: new scorecards still
+-- get a table, which the tool switches on its next run.
+
+create schema if not exists audit_legacy;
+
+create table if not exists public.audits (
+  audit_table text not null,
+  id text not null,
+  scorecard_id text,
+  submitted_at timestamptz,
+  audit_start_time timestamptz,
+  audit_end_time timestamptz,
+  audit_duration text,
+  auditor_email text,
+  auditor_name text,
+  employee_name text,
+  employee_email text,
+  employee_type text,
+  employee_department text,
+  country_of_employee text,
+  interaction_id text,
+  interaction_date text,
+  audit_type text,
+  channel text,
+  quarter text,
+  week integer,
+  client_email text,
+  agent_pre_status text,
+  agent_post_status text,
+  passing_status text,
+  validation_status text,
+  average_score numeric,
+  critical_errors integer,
+  critical_fail_error integer,
+  significant_error integer,
+  total_errors_count integer,
+  transcript text,
+  error_description text,
+  recommendations text,
+  reversal_requested_at timestamptz,
+  reversal_responded_at timestamptz,
+  reversal_type text,
+  reversal_justification_from_agent text,
+  reversal_metrics_parameters jsonb,
+  reversal_attachments jsonb,
+  reversal_approved boolean,
+  reversal_approved_by text,
+  reversal_resolved_by text,
+  sla_in_hours numeric,
+  response_from_auditor text,
+  within_auditor_scope boolean,
+  score_before_appeal numeric,
+  score_after_appeal numeric,
+  did_result_in_pass boolean,
+  passed_after_appeal boolean,
+  acknowledgement_status text,
+  acknowledgement_status_updated_at timestamptz,
+  audit_rating integer,
+  audit_rating_feedback text,
+  audit_rated_at timestamptz,
+  extra jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  primary key (audit_table, id)
+);
+
+create index if not exists audits_submitted_at_idx
+  on public.audits (submitted_at desc);
+
+create index if not exists audits_employee_email_idx
+  on public.audits (lower(employee_email), submitted_at desc);
+
+create index if not exists audits_auditor_email_idx
+  on public.audits (lower(auditor_email), submitted_at desc);
+
+create index if not exists audits_scorecard_id_idx
+  on public.audits (scorecard_id, submitted_at desc);
+
+create table if not exists public.audit_parameter_results (
+  audit_table text not null,
+  audit_id text not null,
+  field_id text not null,
+  value numeric,
+  feedback jsonb,
+  comment jsonb,
+  primary key (audit_table, audit_id, field_id),
+  foreign key (audit_table, audit_id)
+    references public.audits (audit_table, id) on update cascade on delete cascade
+);
+
+create index if not exists audit_parameter_results_field_idx
+  on public.audit_parameter_results (field_id);
+
+-- One row per per-scorecard table the tool has looked at
+create table if not exists public.audit_storage_migrations (
+  table_name text primary key,
+  source_rows integer not null default 0,
+  copied_rows integer not null default 0,
+  failed_rows integer not null default 0,
+  errors jsonb not null default '[]'::jsonb,
+  migrated_at timestamptz,
+  switched_at timestamptz
+);
+
+-- No policies and no table privileges for anon/authenticated: pages read and write through the
+-- compatibility views (owned by the table owner, so they aren't subject to RLS here) and their
+-- security definer trigger; the migration tool uses the service role
+alter table public.audits enable row level security;
+alter table public.audit_parameter_results enable row level security;
+alter table public.audit_storage_migrations enable row level security;
+revoke all on public.audits from anon, authenticated;
+revoke all on public.audit_parameter_results from anon, authenticated;
+revoke all on public.audit_storage_migrations from anon, authenticated;
+
+-- Parameter columns of a scorecard table: the scorecard's parameters, plus any feedback_<x>
+-- column the table has for a parameter that has since been removed from the scorecard
+create or replace function public.audit_parameter_fields(p_table_name text, p_row jsonb default '{}'::jsonb)
+returns setof text
+language sql
+stable
+as $$
+  select sp.field_id::text
+    from public.scorecard_parameters sp
+    join public.scorecards s on s.id = sp.scorecard_id
+   where s.table_name = p_table_name
+     and sp.field_id is not null
+  union
+  select substr(key, length('feedback_') + 1)
+    from jsonb_object_keys(coalesce(p_row, '{}'::jsonb)) as key
+   where key like 'feedback\_%';
+$$;
+
+-- Write one audit (a row of a scorecard table as JSON) into the normalized tables,
+-- replacing what was there for the same (audit_table, id). Runs as its owner, so writes through
+-- a switched view don't depend on anon/authenticated having grants on audits or
+-- audit_parameter_results; the view's own grants decide who may write. Not callable directly.
+create or replace function public.save_normalized_audit(p_table_name text, p_row jsonb)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_columns text[];
+  v_extra jsonb := '{}'::jsonb;
+  v_comments jsonb := coalesce(p_row->'parameter_comments', '{}'::jsonb);
+  v_fields text[];
+  v_key text;
+  v_id text := p_row->>'id';
+begin
+  if v_id is null then
+    raise exception 'Audit in % has no id', p_table_name;
+  end if;
+
+  select array_agg(attname::text)
+    into v_columns
+    from pg_attribute
+   where attrelid = 'public.audits'::regclass
+     and attnum > 0
+     and not attisdropped;
+
+  select array_agg(field) into v_fields from public.audit_parameter_fields(p_table_name, p_row) as field;
+  v_fields := coalesce(v_fields, '{}');
+
+  if jsonb_typeof(v_comments) <> 'object' then
+    v_comments := '{}'::jsonb;
+  end if;
+
+  for v_key in select jsonb_object_keys(p_row) loop
+    if not (v_key = any(v_columns))
+       and not (v_key = any(v_fields))
+       and not (v_key like 'feedback\_%' and substr(v_key, length('feedback_') + 1) = any(v_fields))
+       and v_key <> 'parameter_comments' then
+      v_extra := v_extra || jsonb_build_object(v_key, p_row->v_key);
+    end if;
+  end loop;
+
+  delete from public.audits where audit_table = p_table_name and id = v_id;
+
+  insert into public.audits
+  select (jsonb_populate_record(
+    null::public.audits,
+    (p_row - 'extra' - 'audit_table')
+      || jsonb_build_object(
+        'audit_table', p_table_name,
+        'id', v_id,
+        'scorecard_id', coalesce(
+          p_row->>'scorecard_id',
+          (select s.id::text from public.scorecards s where s.table_name = p_table_name limit 1)
+        ),
+        'extra', v_extra,
+        'created_at', coalesce(nullif(p_row->'created_at', 'null'), nullif(p_row->'submitted_at', 'null'), to_jsonb(now())),
+        'updated_at', now()
+      )
+  )).*;
+
+  insert into public.audit_parameter_results (audit_table, audit_id, field_id, value, feedback, comment)
+  select p_table_name,
+         v_id,
+         field,
+         case when jsonb_typeof(p_row->field) = 'number' then (p_row->>field)::numeric
+              when p_row->>field ~ '^\s*-?[0-9]+(\.[0-9]+)?\s*$' then trim(p_row->>field)::numeric
+         end,
+         p_row->('feedback_' || field),
+         v_comments->field
+    from (
+      select field from unnest(v_fields) as field
+      union
+      select jsonb_object_keys(v_comments)
+    ) params
+   where p_row ? field
+      or p_row ? ('feedback_' || field)
+      or v_comments ? field;
+end;
+$$;
+
+-- INSTEAD OF trigger on the compatibility views; the view's name is the scorecard table.
+-- Security definer for the same reason as save_normalized_audit().
+create or replace function public.write_normalized_audit()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if tg_op = 'DELETE' then
+    delete from public.audits where audit_table = tg_table_name and id = old.id::text;
+    return old;
+  end if;
+
+  if tg_op = 'UPDATE' and old.id::text <> new.id::text then
+    delete from public.audits where audit_table = tg_table_name and id = old.id::text;
+  end if;
+
+  perform public.save_normalized_audit(tg_table_name, to_jsonb(new));
+  return new;
+end;
+$$;
+
+-- Copy one scorecard table into the normalized tables. Rows that fail are counted and
+-- reported; the rest are copied. With p_dry_run nothing is kept.
+create or replace function public.migrate_audit_table(p_table_name text, p_dry_run boolean default false)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_row jsonb;
+  v_source integer := 0;
+  v_copied integer := 0;
+  v_failed integer := 0;
+  v_errors jsonb := '[]'::jsonb;
+  v_normalized integer;
+begin
+  if exists (select 1 from public.audit_storage_migrations m
+              where m.table_name = p_table_name and m.switched_at is not null) then
+    return jsonb_build_object('success', true, 'table_name', p_table_name, 'skipped', 'already switched to normalized storage');
+  end if;
+
+  if to_regclass(format('public.%I', p_table_name)) is null then
+    return jsonb_build_object('success', false, 'table_name', p_table_name, 'error', format('Table %s does not exist', p_table_name));
+  end if;
+
+  begin
+    -- A full copy each time, so audits deleted from the table since the last run go too
+    delete from public.audits where audit_table = p_table_name;
+
+    for v_row in execute format('select to_jsonb(t) from public.%I t', p_table_name) loop
+      v_source := v_source + 1;
+      begin
+        perform public.save_normalized_audit(p_table_name, v_row);
+        v_copied := v_copied + 1;
+      exception when others then
+        v_failed := v_failed + 1;
+        if jsonb_array_length(v_errors) < 20 then
+          v_errors := v_errors || jsonb_build_array(jsonb_build_object('id', v_row->>'id', 'error', sqlerrm));
+        end if;
+      end;
+    end loop;
+
+    select count(*) into v_normalized from public.audits where audit_table = p_table_name;
+
+    if p_dry_run then
+      raise exception using errcode = 'P0001', message = 'audit storage dry run';
+    end if;
+  exception when sqlstate 'P0001' then
+    -- Only the dry run raises P0001 here; everything copied above is rolled back
+    if sqlerrm <> 'audit storage dry run' then
+      raise;
+    end if;
+  end;
+
+  if not p_dry_run then
+    insert into public.audit_storage_migrations as m
+      (table_name, source_rows, copied_rows, failed_rows, errors, migrated_at)
+    values (p_table_name, v_source, v_copied, v_failed, v_errors, now())
+    on conflict (table_name) do update
+      set source_rows = excluded.source_rows,
+          copied_rows = excluded.copied_rows,
+          failed_rows = excluded.failed_rows,
+          errors = excluded.errors,
+          migrated_at = excluded.migrated_at;
+  end if;
+
+  return jsonb_build_object(
+    'success', v_failed = 0,
+    'table_name', p_table_name,
+    'dry_run', p_dry_run,
+    'source_rows', v_source,
+    'copied_rows', v_copied,
+    'failed_rows', v_failed,
+    'normalized_rows', v_normalized,
+    'errors', v_errors
+  );
+end;
+$$;
+
+-- Re-copy a scorecard table under a lock, then replace it with a view over the normalized
+-- tables. Refuses if any row fails to copy, so nothing is left behind in the old table.
+create or replace function public.switch_audit_table(p_table_name text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_result jsonb;
+  v_columns text := '';
+  v_column record;
+  v_fields text[];
+  v_source text;
+  v_legacy text := format('audit_legacy.%I', p_table_name);
+  v_audit_columns jsonb;
+begin
+  if to_regclass(format('public.%I', p_table_name)) is null
+     or (select relkind from pg_class where oid = to_regclass(format('public.%I', p_table_name))) <> 'r' then
+    return jsonb_build_object('success', false, 'table_name', p_table_name, 'error', format('%s is not a scorecard table', p_table_name));
+  end if;
+  if to_regclass(v_legacy) is not null then
+    return jsonb_build_object('success', false, 'table_name', p_table_name, 'error', format('%s already exists', v_legacy));
+  end if;
+
+  -- Nobody writes to the table between the copy and the switch
+  execute format('lock table public.%I in exclusive mode', p_table_name);
+
+  v_result := public.migrate_audit_table(p_table_name, false);
+  if (v_result->>'failed_rows')::integer > 0 then
+    return v_result || jsonb_build_object('success', false, 'error', 'Some rows could not be copied; fix them and run again');
+  end if;
+
+  execute format('alter table public.%I set schema audit_legacy', p_table_name);
+
+  select array_agg(field) into v_fields from public.audit_parameter_fields(p_table_name) as field;
+  v_fields := coalesce(v_fields, '{}');
+
+  select jsonb_object_agg(attname, format_type(atttypid, atttypmod))
+    into v_audit_columns
+    from pg_attribute
+   where attrelid = 'public.audits'::regclass
+     and attnum > 0
+     and not attisdropped
+     and attname not in ('audit_table', 'extra');
+
+  -- Same columns, in the same order and with the same types, as the table it replaces
+  for v_column in
+    select a.attname::text as name, format_type(a.atttypid, a.atttypmod) as type
+      from pg_attribute a
+     where a.attrelid = v_legacy::regclass
+       and a.attnum > 0
+       and not a.attisdropped
+     order by a.attnum
+  loop
+    if v_audit_columns->>v_column.name = v_column.type then
+      -- Columns of the same type stay plain so filters on them can use the audits indexes
+      v_columns := v_columns || format(', a.%I', v_column.name);
+      continue;
+    end if;
+
+    if v_audit_columns ? v_column.name then
+      v_source := format('to_jsonb(a.%I)', v_column.name);
+    elsif v_column.name = any(v_fields) then
+      v_source := format(
+        '(select to_jsonb(r.value) from public.audit_parameter_results r where r.audit_table = a.audit_table and r.audit_id = a.id and r.field_id = %L)',
+        v_column.name);
+    elsif v_column.name like 'feedback\_%' and substr(v_column.name, length('feedback_') + 1) = any(v_fields) then
+      v_source := format(
+        '(select r.feedback from public.audit_parameter_results r where r.audit_table = a.audit_table and r.audit_id = a.id and r.field_id = %L)',
+        substr(v_column.name, length('feedback_') + 1));
+    elsif v_column.name = 'parameter_comments' then
+      v_source := '(select jsonb_object_agg(r.field_id, r.comment) from public.audit_parameter_results r where r.audit_table = a.audit_table and r.audit_id = a.id and r.comment is not null)';
+    else
+      v_source := format('a.extra->%L', v_column.name);
+    end if;
+
+    -- JSON back to the column's own type, the same way the row was read in
+    v_columns := v_columns || format(
+      ', (jsonb_populate_record(null::%s, jsonb_build_object(%L, %s))).%I as %I',
+      v_legacy, v_column.name, v_source, v_column.name, v_column.name);
+  end loop;
+
+  execute format(
+    'create view public.%I as select %s from public.audits a where a.audit_table = %L',
+    p_table_name, substr(v_columns, 3), p_table_name);
+
+  -- Inserts that leave out id, submitted_at etc. still get the table's defaults
+  for v_column in
+    select a.attname::text as name, pg_get_expr(d.adbin, d.adrelid) as expression
+      from pg_attrdef d
+      join pg_attribute a on a.attrelid = d.adrelid and a.attnum = d.adnum
+     where d.adrelid = v_legacy::regclass
+  loop
+    execute format('alter view public.%I alter column %I set default %s', p_table_name, v_column.name, v_column.expression);
+  end loop;
+
+  execute format(
+    'create trigger %I instead of insert or update or delete on public.%I for each row execute function public.write_normalized_audit()',
+    p_table_name || '_write_normalized', p_table_name);
+
+  execute format('grant select, insert, update, delete on public.%I to anon, authenticated, service_role', p_table_name);
+
+  update public.audit_storage_migrations set switched_at = now() where table_name = p_table_name;
+
+  return v_result || jsonb_build_object('success', true, 'switched', true);
+end;
+$$;
+
+-- Undo switch_audit_table for one scorecard: the table comes back with the view's current
+-- contents, including audits written through the view since the switch
+create or replace function public.restore_audit_table(p_table_name text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_rows integer;
+begin
+  if to_regclass(format('audit_legacy.%I', p_table_name)) is null then
+    return jsonb_build_object('success', false, 'table_name', p_table_name, 'error', format('%s was not switched', p_table_name));
+  end if;
+
+  execute format('delete from audit_legacy.%I', p_table_name);
+  execute format('insert into audit_legacy.%I select * from public.%I', p_table_name, p_table_name);
+  get diagnostics v_rows = row_count;
+
+  execute format('drop view public.%I', p_table_name);
+  execute format('alter table audit_legacy.%I set schema public', p_table_name);
+  delete from public.audits where audit_table = p_table_name;
+  delete from public.audit_storage_migrations where table_name = p_table_name;
+
+  return jsonb_build_object('success', true, 'table_name', p_table_name, 'restored_rows', v_rows);
+end;
+$$;
+
+revoke execute on function public.migrate_audit_table(text, boolean) from public, anon, authenticated;
+revoke execute on function public.switch_audit_table(text) from public, anon, authenticated;
+revoke execute on function public.restore_audit_table(text) from public, anon, authenticated;
+revoke execute on function public.save_normalized_audit(text, jsonb) from public, anon, authenticated;
+grant execute on function public.migrate_audit_table(text, boolean) to service_role;
+grant execute on function public.switch_audit_table(text) to service_role;
+grant execute on function public.restore_audit_table(text) to service_role;
+
+-- Scorecard tables, switched or not. audits itself and the moved-away originals are left out
+-- so pages that fan out don't count an audit twice.
+drop function if exists public.get_audit_tables();
+create function public.get_audit_tables()
+returns table (table_name text, storage text)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select c.relname::text,
+         case when c.relkind = 'v' then 'normalized' else 'legacy' end
+    from pg_class c
+    join pg_namespace n on n.oid = c.relnamespace
+   where n.nspname = 'public'
+     and c.relkind in ('r', 'v')
+     and c.relname not in ('audits', 'audit_parameter_results', 'audit_versions', 'audit_drafts')
+     and exists (select 1 from pg_attribute a where a.attrelid = c.oid and a.attname = 'auditor_email' and not a.attisdropped)
+     and exists (select 1 from pg_attribute a where a.attrelid = c.oid and a.attname = 'employee_email' and not a.attisdropped)
+     and exists (select 1 from pg_attribute a where a.attrelid = c.oid and a.attname = 'submitted_at' and not a.attisdropped)
+   order by 1;
+$$;
+
+-- Dropping a switched scorecard also removes its audits and the moved-away original
+drop function if exists public.drop_audit_table(text);
+create function public.drop_audit_table(table_name text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_table text := table_name;
+  v_storage text;
+begin
+  select t.storage into v_storage from public.get_audit_tables() t where t.table_name = v_table;
+  if v_storage is null then
+    return jsonb_build_object('success', false, 'error', format('%s is not an audit table', v_table));
+  end if;
+
+  if v_storage = 'normalized' then
+    execute format('drop view public.%I', v_table);
+    execute format('drop table if exists audit_legacy.%I', v_table);
+    delete from public.audits a where a.audit_table = v_table;
+    delete from public.audit_storage_migrations m where m.table_name = v_table;
+  else
+    execute format('drop table public.%I', v_table);
+  end if;
+
+  return jsonb_build_object('success', true);
+exception when others then
+  return jsonb_build_object('success', false, 'error', sqlerrm);
+end;
+$$;
+
+grant execute on function public.get_audit_tables() to anon, authenticated;
+grant execute on function public.drop_audit_table(text) to anon, authenticated;
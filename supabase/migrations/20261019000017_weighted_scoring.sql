@@ -0,0 +1,61 @@
+-- Weighted scoring
+-- A fourth scoring type next to deductive, additive and hybrid (see audit-scoring.js):
+-- parameters are grouped into sections, each parameter earns its points (its weight in the
+-- section) in proportion to its answer, and the score is the weighted average of the section
+-- scores. Answers marked Not Applicable are left out of both sides of the division.
+--   scorecards.section_weights          - {"<section>": weight}; sections not listed weigh 1
+--   scorecard_parameters.section        - section name; parameters without one share a section
+--   scorecard_parameters.allow_na       - the audit form offers N/A for this parameter, saved as -1
+--   scorecard_parameters.rating_max     - top of the scale for field_type 'rating' (0..rating_max)
+-- N/A can be offered on any scoring type and is left out of every score: it never costs or earns
+-- points, and additive scorecards leave it out of the points available too.
+
+alter table public.scorecards
+  add column if not exists section_weights jsonb not null default '{}'::jsonb;
+
+alter table public.scorecard_parameters
+  add column if not exists section text,
+  add column if not exists allow_na boolean not null default false,
+  add column if not exists rating_max integer;
+
+-- Check constraints on scoring_type / field_type, where a project has them, only know the
+-- older values; swap them for ones that include the new ones
+do $$
+declare
+  constraint_row record;
+  had_scoring_type_check boolean := false;
+  had_field_type_check boolean := false;
+begin
+  for constraint_row in
+    select conrelid::regclass as table_name, conname, pg_get_constraintdef(oid) as definition
+    from pg_constraint
+    where contype = 'c'
+      and conrelid in ('public.scorecards'::regclass, 'public.scorecard_parameters'::regclass)
+      and (pg_get_constraintdef(oid) like '%scoring_type%' or pg_get_constraintdef(oid) like '%field_type%')
+  loop
+    if constraint_row.definition like '%scoring_type%' then
+      had_scoring_type_check := true;
+    else
+      had_field_type_check := true;
+    end if;
+    execute format('alter table %s drop constraint %I', constraint_row.table_name, constraint_row.conname);
+  end loop;
+
+  if had_scoring_type_check then
+    alter table public.scorecards
+      add constraint scorecards_scoring_type_check
+      check (scoring_type in ('deductive', 'additive', 'hybrid', 'weighted'));
+  end if;
+
+  if had_field_type_check then
+    alter table public.scorecard_parameters
+      add constraint scorecard_parameters_field_type_check
+      check (field_type in ('counter', 'radio', 'rating'));
+  end if;
+end $$;
+
+alter table public.scorecard_parameters
+  drop constraint if exists scorecard_parameters_rating_max_check;
+alter table public.scorecard_parameters
+  add constraint scorecard_parameters_rating_max_check
+  check (rating_max is null or rating_max between 1 and 10);
@@ -0,0 +1,225 @@
+-- Scorecard versions
+-- A scorecard's versions are scorecards rows chained by parent_scorecard_id (the "family"),
+-- each with its own audit table, so an audit is pinned to the version it was scored with by
+-- the table it lives in (audits.audit_table / audits.scorecard_id once normalized).
+--   status            - draft: editable, has no audit table yet and isn't offered to auditors
+--                       published: the version audits are scored with; its scoring can't change
+--                       retired: superseded by a later published version, kept for its audits
+--   published_at / retired_at
+--   scorecard_parameters.parameter_key
+--                     - identity of a parameter across versions of a family. Carried over when
+--                       a new version is drafted, so a renamed field_id / error_name keeps its
+--                       key; the compare view on scorecards.html can remap it. Defaults to field_id.
+-- Published and retired versions only accept changes that don't affect scoring (name,
+-- description, channels, is_active; parameter descriptions, prompts and keys). Anything else
+-- needs a new draft, published with publish_scorecard_version().
+
+alter table public.scorecards
+  add column if not exists status text not null default 'published'
+    check (status in ('draft', 'published', 'retired')),
+  add column if not exists published_at timestamptz,
+  add column if not exists retired_at timestamptz;
+
+alter table public.scorecard_parameters
+  add column if not exists parameter_key text;
+
+-- Versions superseded before statuses existed were deactivated when their successor was created
+update public.scorecards s
+   set status = 'retired',
+       retired_at = coalesce(s.retired_at, now())
+ where s.status = 'published'
+   and not s.is_active
+   and exists (
+     select 1 from public.scorecards child
+      where child.parent_scorecard_id::text = s.id::text
+   );
+
+update public.scorecards
+   set published_at = coalesce(published_at, created_at)
+ where status <> 'draft';
+
+update public.scorecard_parameters
+   set parameter_key = field_id
+ where parameter_key is null;
+
+-- Every version of a scorecard with the id of the family's first version
+create or replace view public.scorecard_families as
+with recursive chain as (
+  select s.id::text as scorecard_id, s.id::text as family_id
+    from public.scorecards s
+   where s.parent_scorecard_id is null
+      or not exists (
+        select 1 from public.scorecards parent
+         where parent.id::text = s.parent_scorecard_id::text
+      )
+  union all
+  select s.id::text, chain.family_id
+    from public.scorecards s
+    join chain on s.parent_scorecard_id::text = chain.scorecard_id
+)
+select chain.family_id, s.id::text as scorecard_id, s.table_name, s.version, s.status
+  from chain
+  join public.scorecards s on s.id::text = chain.scorecard_id;
+
+-- Parameters of every version with their family and the name they have in the family's
+-- latest published version, for reporting across versions, e.g.
+--   select l.family_id, l.parameter_key, l.current_name, sum(r.value)
+--     from audit_parameter_results r
+--     join scorecard_parameter_lineage l on l.table_name = r.audit_table and l.field_id = r.field_id
+--    group by 1, 2, 3
+create or replace view public.scorecard_parameter_lineage as
+with params as (
+  select f.family_id, f.scorecard_id, f.table_name, f.version, f.status,
+         sp.field_id, sp.error_name, coalesce(sp.parameter_key, sp.field_id) as parameter_key
+    from public.scorecard_families f
+    join public.scorecard_parameters sp on sp.scorecard_id::text = f.scorecard_id
+)
+select p.family_id, p.scorecard_id, p.table_name, p.version, p.status,
+       p.field_id, p.error_name, p.parameter_key,
+       coalesce((
+         select latest.error_name
+           from params latest
+          where latest.family_id = p.family_id
+            and latest.parameter_key = p.parameter_key
+            and latest.status <> 'draft'
+          order by latest.version desc nulls last
+          limit 1
+       ), p.error_name) as current_name
+  from params p;
+
+create or replace function public.guard_scorecard_version()
+returns trigger
+language plpgsql
+as $$
+declare
+  -- Columns that can change without changing how audits are scored
+  v_free_columns text[] := array['name', 'description', 'channels', 'default_for_channels',
+    'is_active', 'status', 'published_at', 'retired_at', 'updated_at'];
+begin
+  if old.status = 'draft' then
+    return new;
+  end if;
+
+  if new.status = 'draft'
+     or (old.status = 'retired' and new.status <> 'retired') then
+    raise exception 'Scorecard "%" v% is %; it can''t become % again',
+      old.name, coalesce(old.version, 1), old.status, new.status;
+  end if;
+
+  if (to_jsonb(new) - v_free_columns) is distinct from (to_jsonb(old) - v_free_columns) then
+    raise exception 'Scorecard "%" v% is %; scoring changes need a new version',
+      old.name, coalesce(old.version, 1), old.status;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists scorecards_guard_version on public.scorecards;
+create trigger scorecards_guard_version
+  before update on public.scorecards
+  for each row execute function public.guard_scorecard_version();
+
+create or replace function public.guard_scorecard_parameter_version()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_free_columns text[] := array['description', 'prompt', 'enable_ai_audit', 'parameter_key', 'updated_at'];
+  v_scorecard record;
+begin
+  if tg_op <> 'DELETE' then
+    new.parameter_key := coalesce(new.parameter_key, new.field_id);
+  end if;
+
+  select name, version, status
+    into v_scorecard
+    from public.scorecards
+   where id::text = (case when tg_op = 'DELETE' then old.scorecard_id else new.scorecard_id end)::text;
+
+  -- Drafts are edited freely; a missing scorecard means it is being deleted (cascade)
+  if not found or v_scorecard.status = 'draft' then
+    return case when tg_op = 'DELETE' then old else new end;
+  end if;
+
+  if tg_op = 'UPDATE'
+     and new.scorecard_id::text = old.scorecard_id::text
+     and (to_jsonb(new) - v_free_columns) = (to_jsonb(old) - v_free_columns) then
+    return new;
+  end if;
+
+  raise exception 'Scorecard "%" v% is %; its parameters can''t be changed, create a new version',
+    v_scorecard.name, coalesce(v_scorecard.version, 1), v_scorecard.status;
+end;
+$$;
+
+drop trigger if exists scorecard_parameters_guard_version on public.scorecard_parameters;
+create trigger scorecard_parameters_guard_version
+  before insert or update or delete on public.scorecard_parameters
+  for each row execute function public.guard_scorecard_parameter_version();
+
+-- Publish a draft: it becomes the active version and the family's published versions are
+-- retired. The draft's audit table must exist already (create_audit_table).
+create or replace function public.publish_scorecard_version(p_scorecard_id text)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_scorecard record;
+  v_family_id text;
+  v_retired text[];
+begin
+  select * into v_scorecard
+    from public.scorecards
+   where id::text = p_scorecard_id
+     for update;
+
+  if not found then
+    return jsonb_build_object('success', false, 'error', 'Scorecard not found');
+  end if;
+
+  if v_scorecard.status <> 'draft' then
+    return jsonb_build_object('success', false, 'error',
+      format('v%s is already %s', coalesce(v_scorecard.version, 1), v_scorecard.status));
+  end if;
+
+  if to_regclass(format('public.%I', v_scorecard.table_name)) is null then
+    return jsonb_build_object('success', false, 'error',
+      format('Audit table %s has not been created', v_scorecard.table_name));
+  end if;
+
+  select family_id into v_family_id
+    from public.scorecard_families
+   where scorecard_id = p_scorecard_id;
+
+  with retired as (
+    update public.scorecards s
+       set status = 'retired',
+           is_active = false,
+           retired_at = now()
+      from public.scorecard_families f
+     where f.family_id = v_family_id
+       and f.scorecard_id = s.id::text
+       and s.status = 'published'
+    returning s.id::text as id
+  )
+  select coalesce(array_agg(id), '{}') into v_retired from retired;
+
+  update public.scorecards
+     set status = 'published',
+         is_active = true,
+         published_at = now()
+   where id::text = p_scorecard_id;
+
+  return jsonb_build_object(
+    'success', true,
+    'scorecard_id', p_scorecard_id,
+    'version', coalesce(v_scorecard.version, 1),
+    'retired', to_jsonb(v_retired)
+  );
+end;
+$$;
+
+grant select on public.scorecard_families to anon, authenticated;
+grant select on public.scorecard_parameter_lineage to anon, authenticated;
+grant execute on function public.publish_scorecard_version(text) to anon, authenticated;
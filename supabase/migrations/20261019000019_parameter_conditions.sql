@@ -0,0 +1,27 @@
+-- Conditional parameters
+-- A parameter can apply only when an earlier parameter's answer meets a condition, e.g.
+-- "Refund policy followed" only when "Refund requested" is Yes. The audit form hides it
+-- otherwise, it is saved as N/A (-1) and left out of the score (see audit-scoring.js).
+--   scorecard_parameters.show_if - null (always asked) or
+--       {"match": "all" | "any",
+--        "rules": [{"field_id": "<earlier parameter>",
+--                   "operator": "equals" | "not_equals" | "greater_than" | "less_than",
+--                   "value": <number; Yes/No parameters are 1/0>}]}
+-- Unanswered and N/A answers meet no rule, and a parameter depending on a hidden one is hidden.
+-- The column isn't one of the free columns of guard_scorecard_parameter_version(), so a
+-- published version's conditions can't change; changing them drafts a new version.
+
+alter table public.scorecard_parameters
+  add column if not exists show_if jsonb;
+
+alter table public.scorecard_parameters
+  drop constraint if exists scorecard_parameters_show_if_check;
+
+alter table public.scorecard_parameters
+  add constraint scorecard_parameters_show_if_check
+  check (
+    show_if is null
+    or (jsonb_typeof(show_if) = 'object'
+        and jsonb_typeof(show_if -> 'rules') = 'array'
+        and coalesce(show_if ->> 'match', 'all') in ('all', 'any'))
+  );
@@ -0,0 +1,7 @@
+-- Live sign-out of removed accounts
+-- users was published over Realtime by 20261019000007 with the default replica identity, so
+-- its delete events only carried the primary key: auth-check.js couldn't tell whose account
+-- was removed, and couldn't filter the events to the signed-in user's row. With the full old
+-- row each tab subscribes to deletes of its own email only.
+
+alter table public.users replica identity full;
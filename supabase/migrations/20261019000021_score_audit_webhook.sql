@@ -0,0 +1,120 @@
+-- Server-side score check on every audit write
+-- Pages call the score-audit edge function after a save, but a client can skip that call, so
+-- the database asks for the check too: an AFTER INSERT OR UPDATE trigger on every scorecard
+-- table, and on audits for scorecards switched to normalized storage, posts
+-- { type, table, record: { id, audit_table } } to score-audit with pg_net. score-audit
+-- recomputes the score and corrects the row; it only writes when something changed, so its
+-- own UPDATE ends the loop. Rows the migration tool copies into audits for tables that
+-- aren't switched yet are skipped: the scorecard table is still the live one.
+--
+-- Reads two Vault secrets; until both exist writes go through unchecked (with a warning):
+--   score_audit_url            - https://<project-ref>.supabase.co/functions/v1/score-audit
+--   score_audit_webhook_secret - same value as the function's SCORE_AUDIT_WEBHOOK_SECRET
+--
+--   select vault.create_secret('https://<project-ref>.supabase.co/functions/v1/score-audit', 'score_audit_url');
+--   select vault.create_secret('<secret>', 'score_audit_webhook_secret');
+--
+-- Scorecard tables created later (create_audit_table) get the trigger from an event trigger.
+
+create extension if not exists pg_net with schema extensions;
+
+create or replace function public.request_audit_score_check()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_row jsonb := to_jsonb(new);
+  v_url text;
+  v_secret text;
+begin
+  if tg_table_name = 'audits' and not exists (
+    select 1 from public.audit_storage_migrations m
+     where m.table_name = v_row->>'audit_table' and m.switched_at is not null
+  ) then
+    return null;
+  end if;
+
+  select decrypted_secret into v_url from vault.decrypted_secrets where name = 'score_audit_url';
+  select decrypted_secret into v_secret from vault.decrypted_secrets where name = 'score_audit_webhook_secret';
+  if v_url is null or v_secret is null then
+    raise warning 'score_audit_url / score_audit_webhook_secret are not set in Vault; % was not score-checked', tg_table_name;
+    return null;
+  end if;
+
+  perform net.http_post(
+    url := v_url,
+    body := jsonb_build_object(
+      'type', tg_op,
+      'table', tg_table_name,
+      'record', jsonb_build_object('id', v_row->'id', 'audit_table', v_row->'audit_table')
+    ),
+    headers := jsonb_build_object('Content-Type', 'application/json', 'x-webhook-secret', v_secret)
+  );
+  return null;
+end;
+$$;
+
+revoke execute on function public.request_audit_score_check() from public, anon, authenticated;
+
+-- Put the trigger on one table; safe to call again
+create or replace function public.attach_audit_score_check(p_table_name text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  execute format('drop trigger if exists %I on public.%I', p_table_name || '_score_check', p_table_name);
+  execute format(
+    'create trigger %I after insert or update on public.%I for each row execute function public.request_audit_score_check()',
+    p_table_name || '_score_check', p_table_name);
+end;
+$$;
+
+revoke execute on function public.attach_audit_score_check(text) from public, anon, authenticated;
+
+-- New scorecard tables: same test as get_audit_tables()
+create or replace function public.attach_audit_score_check_on_create()
+returns event_trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_command record;
+begin
+  for v_command in
+    select c.relname::text as table_name
+      from pg_event_trigger_ddl_commands() d
+      join pg_class c on c.oid = d.objid
+      join pg_namespace n on n.oid = c.relnamespace
+     where d.command_tag = 'CREATE TABLE'
+       and n.nspname = 'public'
+       and c.relkind = 'r'
+  loop
+    if exists (select 1 from public.get_audit_tables() t
+                where t.table_name = v_command.table_name and t.storage = 'legacy') then
+      perform public.attach_audit_score_check(v_command.table_name);
+    end if;
+  end loop;
+end;
+$$;
+
+drop event trigger if exists attach_audit_score_check_on_create;
+create event trigger attach_audit_score_check_on_create
+  on ddl_command_end
+  when tag in ('CREATE TABLE')
+  execute function public.attach_audit_score_check_on_create();
+
+-- Existing scorecard tables and the normalized audits table
+do $$
+declare
+  v_table text;
+begin
+  for v_table in select t.table_name from public.get_audit_tables() t where t.storage = 'legacy' loop
+    perform public.attach_audit_score_check(v_table);
+  end loop;
+  perform public.attach_audit_score_check('audits');
+end $$;
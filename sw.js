@@ -0,0 +1,164 @@
+/**
+ * QMS Service Worker
+ * Caches the static pages and scripts so the audit forms still open on a flaky
+ * connection. Writes made while offline are queued by offline-sync.js, not here.
+ *
+ * - Pages, scripts and styles: network first, cached copy when the network fails
+ * - CDN libraries (Supabase JS, Tailwind, fonts): cached copy first
+ * - Supabase API / edge function calls and non-GET requests: never cached
+ *
+ * Bump CACHE_VERSION when the list below changes so old caches are dropped.
+ */
+
+const CACHE_VERSION = 'v8'
+const STATIC_CACHE = `qms-static-${CACHE_VERSION}`
+const CDN_CACHE = `qms-cdn-${CACHE_VERSION}`
+
+// Everything vercel.json serves from the output directory that the app loads
+const STATIC_ASSETS = [
+  '/',
+  '/index.html',
+  '/login.html',
+  '/auth-callback.html',
+  '/reset-password.html',
+  '/home.html',
+  '/create-audit.html',
+  '/audit-form.html',
+  '/edit-audit.html',
+  '/audit-view.html',
+  '/audit-reports.html',
+  '/audit-distribution.html',
+  '/auditor-dashboard.html',
+  '/ai-audits.html',
+  '/ata.html',
+  '/calibration.html',
+  '/coaching-remediation.html',
+  '/employee-performance.html',
+  '/event-management.html',
+  '/improvement-corner.html',
+  '/reversal.html',
+  '/scorecards.html',
+  '/search.html',
+  '/settings.html',
+  '/profile.html',
+  '/user-management.html',
+  '/access-control.html',
+  '/admin-conversations.html',
+  '/bug-report.html',
+  '/bug-reports-view.html',
+  '/grading-guide.html',
+  '/help.html',
+  '/article-common-scenarios.html',
+  '/article-scoring-basics.html',
+  '/article-scoring-types.html',
+  '/sidebar.html',
+  '/sidebar.css',
+  '/theme.css',
+  '/env-config.js',
+  '/supabase-config.js',
+  '/auth-check.js',
+  '/access-control.js',
+  '/confirmation-dialog.js',
+  '/offline-sync.js',
+  '/audit-drafts.js',
+  '/audit-history.js',
+  '/supabase/functions/_shared/audit-scoring.js',
+  '/scorecard-versions.js',
+  '/scorecard-package.js',
+  '/scorecard-simulator.js',
+  '/load-sidebar.js',
+  '/dark-mode.js',
+  '/search.js',
+  '/form-validation.js',
+  '/intercom-config.js',
+  '/timezone-utils.js',
+  '/date-filter-utils.js',
+  '/audit-template.js',
+  '/keyboard-shortcuts.js',
+  '/admin-conversations.js',
+  '/assets/logos/ai_avatar.webp'
+]
+
+const CDN_HOSTS = [
+  'cdn.jsdelivr.net',
+  'cdn.tailwindcss.com',
+  'fonts.googleapis.com',
+  'fonts.gstatic.com'
+]
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(STATIC_CACHE).then((cache) =>
+      // Cache what we can; one missing file shouldn't stop the worker installing
+      Promise.all(STATIC_ASSETS.map((asset) =>
+        cache.add(new Request(asset, { cache: 'reload' })).catch((error) => {
+          console.warn('Service worker could not cache', asset, error)
+        })
+      ))
+    ).then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys().then((keys) => Promise.all(
+      keys
+        .filter((key) => key.startsWith('qms-') && key !== STATIC_CACHE && key !== CDN_CACHE)
+        .map((key) => caches.delete(key))
+    )).then(() => self.clients.claim())
+  )
+})
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request
+  if (request.method !== 'GET') return
+
+  const url = new URL(request.url)
+
+  if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request))
+    return
+  }
+
+  if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request))
+  }
+  // Anything else (Supabase, Intercom, Google sign-in) goes straight to the network
+})
+
+async function networkFirst(request) {
+  const cache = await caches.open(STATIC_CACHE)
+  // Pages are requested with query strings (audit-view.html?id=..., reset-password.html?token=...).
+  // Only the listed assets are cached, and only under their path, so tokens never reach
+  // Cache Storage and the cache doesn't grow with every id
+  const path = new URL(request.url).pathname
+  const cacheable = STATIC_ASSETS.includes(path)
+  try {
+    const response = await fetch(request)
+    if (response.ok && cacheable) {
+      cache.put(path, response.clone())
+    }
+    return response
+  } catch (error) {
+    const cached = cacheable ? await cache.match(path) : null
+    if (cached) return cached
+    if (request.mode === 'navigate') {
+      const home = await cache.match('/home.html')
+      if (home) return home
+    }
+    throw error
+  }
+}
+
+async function cacheFirst(request) {
+  const cache = await caches.open(CDN_CACHE)
+  const cached = await cache.match(request)
+  if (cached) return cached
+
+  const response = await fetch(request)
+  // Opaque responses (no-cors script tags) report status 0 but are still usable
+  if (response.ok || response.type === 'opaque') {
+    cache.put(request, response.clone())
+  }
+  return response
+}